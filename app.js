@@ -0,0 +1,47 @@
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+const { requestId } = require('./middleware/requestId');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const app = express();
+
+// Behind a load balancer or reverse proxy, trust it for the client IP (used by rate limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Middleware
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Health check route
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Cleaning Platform Backend API is running',
+    version: '1.0.0'
+  });
+});
+
+// API Routes
+app.use('/api/auth', require('./routes/authRoutes'));
+app.use('/api/me', require('./routes/accountRoutes'));
+app.use('/api/users', require('./routes/usersRoutes'));
+app.use('/api/messages', require('./routes/messagesRoutes'));
+app.use('/api/conversations', require('./routes/conversationsRoutes'));
+app.use('/api/jobs', require('./routes/jobsRoutes'));
+app.use('/api/properties', require('./routes/propertiesRoutes'));
+app.use('/api/housekeepers', require('./routes/housekeepersRoutes'));
+app.use('/api/reviews', require('./routes/reviewsRoutes'));
+app.use('/api/availability', require('./routes/availabilityRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+
+// 404 and error handling (see middleware/errorHandler.js)
+app.use(notFound);
+app.use(errorHandler);
+
+// Exported without listening, so tests can drive it with supertest
+module.exports = app;
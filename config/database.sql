@@ -1,15 +1,22 @@
 -- Supabase Database Schema for Cleaning Platform
--- Run these queries in your Supabase SQL Editor
--- URL: https://supabase.com/dashboard → Your Project → SQL Editor
+-- Reference copy of the full schema, kept in sync with config/migrations
+-- Create and update databases with `npm run migrate` rather than running this file
 
 -- Enable UUID extension (if not already enabled)
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable btree_gist (used by the jobs double-booking constraint)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Create users table
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email TEXT UNIQUE NOT NULL,
     password TEXT NOT NULL,
+    email_verified_at TIMESTAMP,
+    suspended_at TIMESTAMP,
+    suspension_reason TEXT,
+    deleted_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -18,34 +25,654 @@ CREATE TABLE IF NOT EXISTS profiles (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE UNIQUE NOT NULL,
     name TEXT NOT NULL,
-    role TEXT NOT NULL CHECK (role IN ('owner', 'housekeeper')),
+    role TEXT NOT NULL CHECK (role IN ('owner', 'housekeeper', 'admin')),
+    rating_average NUMERIC(3, 2),
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    avatar_url TEXT,
+    phone TEXT,
+    bio TEXT,
+    timezone TEXT,
     created_at TIMESTAMP DEFAULT NOW()
 );
 
 -- Create index on user_id for faster lookups
 CREATE INDEX IF NOT EXISTS idx_profiles_user_id ON profiles(user_id);
 
+-- Create housekeeper_profiles table (fields used for discovery and search)
+CREATE TABLE IF NOT EXISTS housekeeper_profiles (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    bio TEXT,
+    hourly_rate NUMERIC(10, 2) CHECK (hourly_rate >= 0),
+    currency TEXT NOT NULL DEFAULT 'GBP',
+    services TEXT[] NOT NULL DEFAULT '{}',
+    service_areas TEXT[] NOT NULL DEFAULT '{}',
+    postcode TEXT,
+    service_radius_km NUMERIC(6, 2) CHECK (service_radius_km > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_services ON housekeeper_profiles USING gin(services);
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_areas ON housekeeper_profiles USING gin(service_areas);
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_rate ON housekeeper_profiles(hourly_rate);
+
+-- Searchable housekeepers: active accounts with a housekeeper profile
+CREATE OR REPLACE VIEW housekeeper_search AS
+SELECT
+    p.user_id,
+    p.name,
+    p.rating_average,
+    p.rating_count,
+    h.bio,
+    h.hourly_rate,
+    h.currency,
+    h.services,
+    h.service_areas,
+    h.postcode,
+    h.service_radius_km,
+    h.updated_at
+FROM profiles p
+JOIN housekeeper_profiles h ON h.user_id = p.user_id
+JOIN users u ON u.id = p.user_id
+WHERE p.role = 'housekeeper'
+  AND u.suspended_at IS NULL;
+
 -- Create index on email for faster lookups
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 
+-- Create sessions table (one per login/device, holds the hashed refresh token)
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+-- Create auth_tokens table (hashed single-use tokens for emailed links)
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose);
+
+-- Create properties table (homes managed by owners)
+CREATE TABLE IF NOT EXISTS properties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT,
+    address_line1 TEXT NOT NULL,
+    address_line2 TEXT,
+    city TEXT NOT NULL,
+    postcode TEXT NOT NULL,
+    country TEXT,
+    size_sqm NUMERIC(8, 2) CHECK (size_sqm > 0),
+    bedrooms INTEGER CHECK (bedrooms >= 0),
+    bathrooms INTEGER CHECK (bathrooms >= 0),
+    rooms JSONB NOT NULL DEFAULT '[]',
+    access_instructions TEXT,
+    checklist_templates JSONB NOT NULL DEFAULT '[]',
+    photos JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_properties_owner ON properties(owner_id);
+
+-- Create jobs table (cleaning bookings created by owners)
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    housekeeper_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    property_id UUID REFERENCES properties(id) ON DELETE SET NULL,
+    property_address TEXT NOT NULL,
+    scheduled_start TIMESTAMPTZ NOT NULL,
+    scheduled_end TIMESTAMPTZ NOT NULL,
+    tasks JSONB NOT NULL DEFAULT '[]',
+    price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+    currency TEXT NOT NULL DEFAULT 'GBP',
+    notes TEXT,
+    status TEXT NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'accepted', 'in_progress', 'completed', 'cancelled')),
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancellation_reason TEXT,
+    accepted_at TIMESTAMPTZ,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (scheduled_end > scheduled_start),
+    -- A housekeeper can't hold two accepted/in-progress jobs at overlapping times
+    CONSTRAINT jobs_no_double_booking
+        EXCLUDE USING gist (housekeeper_id WITH =, tstzrange(scheduled_start, scheduled_end) WITH &&)
+        WHERE (status IN ('accepted', 'in_progress'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_owner ON jobs(owner_id, scheduled_start);
+CREATE INDEX IF NOT EXISTS idx_jobs_housekeeper ON jobs(housekeeper_id, scheduled_start);
+CREATE INDEX IF NOT EXISTS idx_jobs_property ON jobs(property_id);
+
+-- Create job_offers table (a job offered to one housekeeper)
+CREATE TABLE IF NOT EXISTS job_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    responded_at TIMESTAMPTZ,
+    UNIQUE (job_id, housekeeper_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_offers_housekeeper ON job_offers(housekeeper_id, status);
+
+-- Create reviews table (one per participant per completed job)
+CREATE TABLE IF NOT EXISTS reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+    reviewer_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    reviewee_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (job_id, reviewer_id),
+    CHECK (reviewer_id <> reviewee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_id, created_at DESC);
+
+-- Create availability_slots table (weekly recurring availability, local time)
+CREATE TABLE IF NOT EXISTS availability_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    timezone TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_slots_housekeeper ON availability_slots(housekeeper_id, weekday);
+
+-- Create availability_exceptions table (time off and extra one-off availability)
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('time_off', 'extra')),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_housekeeper ON availability_exceptions(housekeeper_id, starts_at);
+
+-- Create conversations table (named group conversations)
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create conversation_participants table
+CREATE TABLE IF NOT EXISTS conversation_participants (
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    joined_at TIMESTAMP DEFAULT NOW(),
+    last_read_at TIMESTAMP,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id);
+
 -- Create messages table for chat system
+-- A message goes either to one user (receiver_id) or to a group (conversation_id)
 CREATE TABLE IF NOT EXISTS messages (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     sender_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
-    receiver_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    receiver_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
     message TEXT NOT NULL,
     deleted_for_sender BOOLEAN DEFAULT FALSE,
     deleted_for_receiver BOOLEAN DEFAULT FALSE,
-    created_at TIMESTAMP DEFAULT NOW()
+    delivered_at TIMESTAMP,
+    read_at TIMESTAMP,
+    moderated_at TIMESTAMP,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    edited_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', coalesce(message, ''))) STORED,
+    CONSTRAINT messages_single_destination CHECK ((receiver_id IS NULL) <> (conversation_id IS NULL))
 );
 
 -- Create indexes on messages for faster queries
 CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
 CREATE INDEX IF NOT EXISTS idx_messages_receiver ON messages(receiver_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_sender_receiver_created ON messages(sender_id, receiver_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_sender_created ON messages(receiver_id, sender_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_job ON messages(job_id) WHERE job_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created ON messages(conversation_id, created_at DESC) WHERE conversation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_unread ON messages(receiver_id, sender_id) WHERE read_at IS NULL;
+
+-- Create message_attachments table (file contents live in the storage adapter)
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    uploader_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    width INTEGER,
+    height INTEGER,
+    storage_key TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+
+-- Create message_edits table (previous versions of edited messages)
+CREATE TABLE IF NOT EXISTS message_edits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    previous_message TEXT NOT NULL,
+    edited_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    edited_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at);
+
+-- Create user_blocks and reports tables (blocking and moderation queue)
+CREATE TABLE IF NOT EXISTS user_blocks (
+    blocker_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    blocked_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+CREATE TABLE IF NOT EXISTS reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reporter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    reported_user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+
+-- One row per counterpart: latest visible message and unread count, most recent first
+-- Direct conversations only: group messages are summarised by GET /api/conversations
+CREATE OR REPLACE FUNCTION get_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    counterpart_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH visible AS (
+        SELECT m.id, m.sender_id, m.receiver_id, m.message, m.read_at, m.created_at,
+               CASE WHEN m.sender_id = p_user_id THEN m.receiver_id ELSE m.sender_id END AS other_id
+        FROM messages m
+        WHERE m.conversation_id IS NULL
+          AND ((m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE))
+    ),
+    latest AS (
+        SELECT DISTINCT ON (other_id) other_id, id, message, sender_id, created_at
+        FROM visible
+        ORDER BY other_id, created_at DESC, id DESC
+    ),
+    unread AS (
+        SELECT other_id, COUNT(*) AS total
+        FROM visible
+        WHERE receiver_id = p_user_id AND read_at IS NULL
+        GROUP BY other_id
+    )
+    SELECT l.other_id, l.id, l.message, l.sender_id, l.created_at, COALESCE(u.total, 0)
+    FROM latest l
+    LEFT JOIN unread u ON u.other_id = l.other_id
+    ORDER BY l.created_at DESC, l.id DESC;
+$$;
+
+-- One row per group conversation the user is in: latest message visible to them (since they joined)
+-- and how many messages from others arrived after last_read_at
+CREATE OR REPLACE FUNCTION get_group_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    conversation_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        cp.conversation_id,
+        latest.id,
+        latest.message,
+        latest.sender_id,
+        latest.created_at,
+        (
+            SELECT COUNT(*)
+            FROM messages m
+            WHERE m.conversation_id = cp.conversation_id
+              AND m.sender_id <> p_user_id
+              AND m.deleted_for_receiver = FALSE
+              AND (cp.joined_at IS NULL OR m.created_at >= cp.joined_at)
+              AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+        )
+    FROM conversation_participants cp
+    LEFT JOIN LATERAL (
+        SELECT m.id, m.message, m.sender_id, m.created_at
+        FROM messages m
+        WHERE m.conversation_id = cp.conversation_id
+          AND (cp.joined_at IS NULL OR m.created_at >= cp.joined_at)
+          AND ((m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.sender_id <> p_user_id AND m.deleted_for_receiver = FALSE))
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT 1
+    ) AS latest ON TRUE
+    WHERE cp.user_id = p_user_id;
+$$;
+
+-- Full-text search over the messages visible to a user (direct, and group messages from when they joined), best match first
+CREATE OR REPLACE FUNCTION search_messages(
+    p_user_id UUID,
+    p_query TEXT,
+    p_counterpart_id UUID DEFAULT NULL,
+    p_from TIMESTAMP DEFAULT NULL,
+    p_to TIMESTAMP DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    sender_id UUID,
+    receiver_id UUID,
+    conversation_id UUID,
+    message TEXT,
+    created_at TIMESTAMP,
+    snippet TEXT,
+    rank REAL,
+    total_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('english', p_query) AS q
+    ),
+    matches AS (
+        SELECT m.*, ts_rank(m.search_vector, query.q) AS match_rank, query.q
+        FROM messages m, query
+        WHERE m.search_vector @@ query.q
+          AND (
+              (m.conversation_id IS NULL AND (
+                  (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+                  OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE)
+              ))
+              OR (EXISTS (
+                  -- Group messages sent before the user joined stay hidden from them
+                  SELECT 1 FROM conversation_participants cp
+                  WHERE cp.conversation_id = m.conversation_id
+                    AND cp.user_id = p_user_id
+                    AND (cp.joined_at IS NULL OR m.created_at >= cp.joined_at)
+              ) AND (
+                  (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+                  OR (m.sender_id <> p_user_id AND m.deleted_for_receiver = FALSE)
+              ))
+          )
+          AND (p_counterpart_id IS NULL
+               OR m.sender_id = p_counterpart_id
+               OR (m.receiver_id = p_counterpart_id AND m.sender_id = p_user_id))
+          AND (p_from IS NULL OR m.created_at >= p_from)
+          AND (p_to IS NULL OR m.created_at < p_to)
+    )
+    SELECT
+        matches.id,
+        matches.sender_id,
+        matches.receiver_id,
+        matches.conversation_id,
+        matches.message,
+        matches.created_at,
+        -- Escape the text first so the <mark> tags are the only markup in the snippet
+        ts_headline(
+            'english',
+            replace(replace(replace(matches.message, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+            matches.q,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'
+        ),
+        matches.match_rank,
+        COUNT(*) OVER ()
+    FROM matches
+    ORDER BY matches.match_rank DESC, matches.created_at DESC, matches.id DESC
+    LIMIT p_limit OFFSET p_offset;
+$$;
+
+-- Deleting an account keeps the users row with its email and password scrubbed, so the messages
+-- the user exchanged stay in the other person's conversations instead of cascading away.
+-- Everything else that identifies the user or lets them sign in is removed.
+CREATE OR REPLACE FUNCTION anonymize_user(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql AS $$
+BEGIN
+    UPDATE users
+    SET email = 'deleted-' || id || '@deleted.invalid',
+        password = '',
+        email_verified_at = NULL,
+        suspension_reason = NULL,
+        deleted_at = NOW()
+    WHERE id = p_user_id AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    DELETE FROM profiles WHERE user_id = p_user_id;
+    DELETE FROM housekeeper_profiles WHERE user_id = p_user_id;
+    DELETE FROM availability_slots WHERE housekeeper_id = p_user_id;
+    DELETE FROM availability_exceptions WHERE housekeeper_id = p_user_id;
+    DELETE FROM properties WHERE owner_id = p_user_id;
+    DELETE FROM conversation_participants WHERE user_id = p_user_id;
+    DELETE FROM user_blocks WHERE blocker_id = p_user_id OR blocked_id = p_user_id;
+    DELETE FROM auth_tokens WHERE user_id = p_user_id;
+
+    UPDATE sessions SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+
+    RETURN TRUE;
+END;
+$$;
+
+-- Either both rows are created or neither is; a taken email fails with unique_violation (23505)
+CREATE OR REPLACE FUNCTION create_user_with_profile(p_email TEXT, p_password TEXT, p_name TEXT, p_role TEXT)
+RETURNS JSON
+LANGUAGE plpgsql AS $$
+DECLARE
+    new_user users;
+    new_profile profiles;
+BEGIN
+    INSERT INTO users (email, password)
+    VALUES (lower(p_email), p_password)
+    RETURNING * INTO new_user;
+
+    INSERT INTO profiles (user_id, name, role)
+    VALUES (new_user.id, p_name, p_role)
+    RETURNING * INTO new_profile;
+
+    RETURN json_build_object(
+        'user', json_build_object('id', new_user.id, 'email', new_user.email, 'created_at', new_user.created_at),
+        'profile', row_to_json(new_profile)
+    );
+END;
+$$;
+
+-- Account functions are for the backend only. Supabase grants EXECUTE on new functions to its
+-- API roles, which would let anyone holding the anon key call them through PostgREST.
+DO $$
+BEGIN
+    REVOKE EXECUTE ON FUNCTION create_user_with_profile(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC;
+    REVOKE EXECUTE ON FUNCTION anonymize_user(UUID) FROM PUBLIC;
+
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        REVOKE EXECUTE ON FUNCTION create_user_with_profile(TEXT, TEXT, TEXT, TEXT) FROM anon, authenticated;
+        REVOKE EXECUTE ON FUNCTION anonymize_user(UUID) FROM anon, authenticated;
+    END IF;
+END;
+$$;
+
+-- Whether a housekeeper is free for the whole of [p_from, p_to): covered by their weekly slots
+-- and extra availability, with no time off and no accepted/in-progress job overlapping it.
+-- Weekly slots are wall-clock times in their own timezone, so they follow DST changes.
+CREATE OR REPLACE FUNCTION is_housekeeper_free(p_housekeeper_id UUID, p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+    SELECT
+        (
+            SELECT COALESCE(range_agg(available.period), '{}'::tstzmultirange) @> tstzrange(p_from, p_to)
+            FROM (
+                -- Local calendar days around the range, with a day of margin for timezone offsets
+                SELECT tstzrange((day + s.start_time) AT TIME ZONE s.timezone, (day + s.end_time) AT TIME ZONE s.timezone) AS period
+                FROM availability_slots s
+                CROSS JOIN LATERAL generate_series(
+                    ((p_from AT TIME ZONE s.timezone)::date - 1)::timestamp,
+                    ((p_to AT TIME ZONE s.timezone)::date + 1)::timestamp,
+                    INTERVAL '1 day'
+                ) AS day
+                WHERE s.housekeeper_id = p_housekeeper_id
+                  AND EXTRACT(DOW FROM day) = s.weekday
+                UNION ALL
+                SELECT tstzrange(e.starts_at, e.ends_at)
+                FROM availability_exceptions e
+                WHERE e.housekeeper_id = p_housekeeper_id
+                  AND e.kind = 'extra'
+            ) AS available
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM availability_exceptions e
+            WHERE e.housekeeper_id = p_housekeeper_id
+              AND e.kind = 'time_off'
+              AND e.starts_at < p_to
+              AND e.ends_at > p_from
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM jobs j
+            WHERE j.housekeeper_id = p_housekeeper_id
+              AND j.status IN ('accepted', 'in_progress')
+              AND j.scheduled_start < p_to
+              AND j.scheduled_end > p_from
+        );
+$$;
+
+-- Searchable housekeepers free for the whole of [p_from, p_to); callers filter, sort and page the result
+CREATE OR REPLACE FUNCTION available_housekeepers(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS SETOF housekeeper_search
+LANGUAGE sql STABLE AS $$
+    SELECT *
+    FROM housekeeper_search h
+    WHERE is_housekeeper_free(h.user_id, p_from, p_to);
+$$;
+
+-- Recompute a user's rating_average and rating_count from the reviews they received.
+-- The profile row is locked first, so concurrent reviews of the same user are counted one
+-- after the other and the UPDATE reads every review committed before it got the lock.
+CREATE OR REPLACE FUNCTION refresh_rating_summary(p_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+BEGIN
+    PERFORM 1 FROM profiles WHERE user_id = p_user_id FOR UPDATE;
+
+    UPDATE profiles
+    SET rating_average = summary.average,
+        rating_count = summary.total
+    FROM (
+        SELECT ROUND(AVG(rating), 2) AS average, COUNT(*) AS total
+        FROM reviews
+        WHERE reviewee_id = p_user_id
+    ) AS summary
+    WHERE profiles.user_id = p_user_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reviews_refresh_rating_summary()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_rating_summary(OLD.reviewee_id);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.reviewee_id <> OLD.reviewee_id) THEN
+        PERFORM refresh_rating_summary(NEW.reviewee_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reviews_rating_summary ON reviews;
+CREATE TRIGGER reviews_rating_summary
+AFTER INSERT OR DELETE OR UPDATE OF rating, reviewee_id ON reviews
+FOR EACH ROW EXECUTE FUNCTION reviews_refresh_rating_summary();
+
+-- Backend-only, like the account functions above
+DO $$
+BEGIN
+    REVOKE EXECUTE ON FUNCTION refresh_rating_summary(UUID) FROM PUBLIC;
+
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        REVOKE EXECUTE ON FUNCTION refresh_rating_summary(UUID) FROM anon, authenticated;
+    END IF;
+END;
+$$;
 
 -- Add comments for documentation
 COMMENT ON TABLE users IS 'Stores user authentication information';
 COMMENT ON TABLE profiles IS 'Stores user profile and role information';
+COMMENT ON COLUMN profiles.timezone IS 'IANA timezone the user picked, e.g. Europe/London';
+COMMENT ON COLUMN users.deleted_at IS 'When the user deleted their account (the row is kept, anonymized)';
 COMMENT ON TABLE messages IS 'Stores chat messages between users';
-
+COMMENT ON TABLE auth_tokens IS 'Stores hashed single-use tokens for password reset and email verification';
+COMMENT ON TABLE properties IS 'Stores homes managed by owners';
+COMMENT ON COLUMN properties.access_instructions IS 'Entry codes and key locations - only shown to the owner and housekeepers with an active job';
+COMMENT ON TABLE jobs IS 'Stores cleaning jobs booked by owners';
+COMMENT ON TABLE job_offers IS 'Stores job offers sent to housekeepers';
+COMMENT ON TABLE sessions IS 'Stores login sessions with hashed, rotating refresh tokens';
+COMMENT ON TABLE availability_slots IS 'Stores weekly recurring availability of housekeepers (weekday 0 = Sunday)';
+COMMENT ON TABLE availability_exceptions IS 'Stores time off and extra one-off availability of housekeepers';
+COMMENT ON TABLE housekeeper_profiles IS 'Stores housekeeper-specific profile fields used for discovery';
+COMMENT ON COLUMN housekeeper_profiles.service_areas IS 'Upper-cased area names or postcode prefixes the housekeeper covers';
+COMMENT ON TABLE reviews IS 'Stores ratings left by owners and housekeepers after a completed job';
+COMMENT ON TABLE message_attachments IS 'Stores metadata of files attached to messages (contents live in the storage adapter)';
+COMMENT ON TABLE message_edits IS 'Stores previous versions of edited messages';
+COMMENT ON TABLE conversations IS 'Stores named group conversations';
+COMMENT ON TABLE conversation_participants IS 'Stores members of group conversations and how far they have read';
+COMMENT ON TABLE user_blocks IS 'Stores user blocks; a block stops messages in both directions';
+COMMENT ON TABLE reports IS 'Stores user reports awaiting admin review (moderation queue)';
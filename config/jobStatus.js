@@ -0,0 +1,44 @@
+/**
+ * Job lifecycle
+ * requested → accepted → in_progress → completed
+ *     ↘           ↘
+ *      cancelled   cancelled
+ */
+const JOB_STATUS = {
+  REQUESTED: 'requested',
+  ACCEPTED: 'accepted',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const JOB_TRANSITIONS = {
+  [JOB_STATUS.REQUESTED]: [JOB_STATUS.ACCEPTED, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.ACCEPTED]: [JOB_STATUS.IN_PROGRESS, JOB_STATUS.CANCELLED],
+  [JOB_STATUS.IN_PROGRESS]: [JOB_STATUS.COMPLETED],
+  [JOB_STATUS.COMPLETED]: [],
+  [JOB_STATUS.CANCELLED]: []
+};
+
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Check whether a job may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  return (JOB_TRANSITIONS[from] || []).includes(to);
+};
+
+module.exports = {
+  JOB_STATUS,
+  OFFER_STATUS,
+  canTransition
+};
@@ -0,0 +1,5 @@
+-- Rollback: Initial schema (drops every user, profile and message)
+
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS profiles;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,5 @@
+-- Rollback: Add deletion fields to messages table
+-- The columns themselves belong to 0001_initial_schema, so only the comments are removed
+
+COMMENT ON COLUMN messages.deleted_for_sender IS NULL;
+COMMENT ON COLUMN messages.deleted_for_receiver IS NULL;
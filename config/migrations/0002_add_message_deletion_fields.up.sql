@@ -1,5 +1,4 @@
 -- Migration: Add deletion fields to messages table
--- Run this in Supabase SQL Editor if messages table already exists
 
 ALTER TABLE messages 
 ADD COLUMN IF NOT EXISTS deleted_for_sender BOOLEAN DEFAULT FALSE;
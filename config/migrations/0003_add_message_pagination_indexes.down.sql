@@ -0,0 +1,4 @@
+-- Rollback: Add composite indexes for cursor-paginated conversation queries
+
+DROP INDEX IF EXISTS idx_messages_sender_receiver_created;
+DROP INDEX IF EXISTS idx_messages_receiver_sender_created;
@@ -0,0 +1,7 @@
+-- Migration: Add composite indexes for cursor-paginated conversation queries
+
+CREATE INDEX IF NOT EXISTS idx_messages_sender_receiver_created
+ON messages(sender_id, receiver_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_sender_created
+ON messages(receiver_id, sender_id, created_at DESC);
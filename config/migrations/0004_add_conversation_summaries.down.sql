@@ -0,0 +1,5 @@
+-- Rollback: Add read tracking and the conversation summary function
+
+DROP FUNCTION IF EXISTS get_conversation_summaries(UUID);
+DROP INDEX IF EXISTS idx_messages_receiver_unread;
+ALTER TABLE messages DROP COLUMN IF EXISTS read_at;
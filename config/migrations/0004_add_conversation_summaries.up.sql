@@ -0,0 +1,44 @@
+-- Migration: Add read tracking and the conversation summary function
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+COMMENT ON COLUMN messages.read_at IS 'When the receiver read the message (NULL = unread)';
+
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_unread
+ON messages(receiver_id, sender_id) WHERE read_at IS NULL;
+
+-- One row per counterpart: latest visible message and unread count, most recent first
+CREATE OR REPLACE FUNCTION get_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    counterpart_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH visible AS (
+        SELECT m.id, m.sender_id, m.receiver_id, m.message, m.read_at, m.created_at,
+               CASE WHEN m.sender_id = p_user_id THEN m.receiver_id ELSE m.sender_id END AS other_id
+        FROM messages m
+        WHERE (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE)
+    ),
+    latest AS (
+        SELECT DISTINCT ON (other_id) other_id, id, message, sender_id, created_at
+        FROM visible
+        ORDER BY other_id, created_at DESC, id DESC
+    ),
+    unread AS (
+        SELECT other_id, COUNT(*) AS total
+        FROM visible
+        WHERE receiver_id = p_user_id AND read_at IS NULL
+        GROUP BY other_id
+    )
+    SELECT l.other_id, l.id, l.message, l.sender_id, l.created_at, COALESCE(u.total, 0)
+    FROM latest l
+    LEFT JOIN unread u ON u.other_id = l.other_id
+    ORDER BY l.created_at DESC, l.id DESC;
+$$;
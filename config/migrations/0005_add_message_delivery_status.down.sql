@@ -0,0 +1,3 @@
+-- Rollback: Add delivery tracking to messages table
+
+ALTER TABLE messages DROP COLUMN IF EXISTS delivered_at;
@@ -0,0 +1,6 @@
+-- Migration: Add delivery tracking to messages table
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+
+COMMENT ON COLUMN messages.delivered_at IS 'When the message was first fetched by the receiver (NULL = not delivered)';
@@ -0,0 +1,3 @@
+-- Rollback: Add sessions table for refresh tokens and session revocation
+
+DROP TABLE IF EXISTS sessions;
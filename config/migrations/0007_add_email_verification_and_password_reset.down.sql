@@ -0,0 +1,4 @@
+-- Rollback: Add email verification and single-use auth tokens
+
+DROP TABLE IF EXISTS auth_tokens;
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,11 @@
+-- Rollback: Add the admin role, account suspension and message moderation
+-- Fails while admin accounts exist: change their role first
+
+ALTER TABLE messages DROP COLUMN IF EXISTS moderated_by;
+ALTER TABLE messages DROP COLUMN IF EXISTS moderated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS suspension_reason;
+ALTER TABLE users DROP COLUMN IF EXISTS suspended_at;
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles
+ADD CONSTRAINT profiles_role_check CHECK (role IN ('owner', 'housekeeper'));
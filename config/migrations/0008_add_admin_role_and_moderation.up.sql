@@ -0,0 +1,23 @@
+-- Migration: Add the admin role, account suspension and message moderation
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles
+ADD CONSTRAINT profiles_role_check CHECK (role IN ('owner', 'housekeeper', 'admin'));
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN users.suspended_at IS 'When an admin suspended the account (NULL = active)';
+COMMENT ON COLUMN messages.moderated_at IS 'When an admin removed the message';
+
+-- Promote an existing account to admin:
+-- UPDATE profiles SET role = 'admin' WHERE user_id = '<user id>';
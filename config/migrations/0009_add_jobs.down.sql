@@ -0,0 +1,6 @@
+-- Rollback: Add jobs and job offers, and link messages to jobs
+
+DROP INDEX IF EXISTS idx_messages_job;
+ALTER TABLE messages DROP COLUMN IF EXISTS job_id;
+DROP TABLE IF EXISTS job_offers;
+DROP TABLE IF EXISTS jobs;
@@ -0,0 +1,52 @@
+-- Migration: Add jobs and job offers, and link messages to jobs
+
+-- Create jobs table (cleaning bookings created by owners)
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    housekeeper_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    property_address TEXT NOT NULL,
+    scheduled_start TIMESTAMPTZ NOT NULL,
+    scheduled_end TIMESTAMPTZ NOT NULL,
+    tasks JSONB NOT NULL DEFAULT '[]',
+    price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+    currency TEXT NOT NULL DEFAULT 'GBP',
+    notes TEXT,
+    status TEXT NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'accepted', 'in_progress', 'completed', 'cancelled')),
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancellation_reason TEXT,
+    accepted_at TIMESTAMPTZ,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (scheduled_end > scheduled_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_owner ON jobs(owner_id, scheduled_start);
+CREATE INDEX IF NOT EXISTS idx_jobs_housekeeper ON jobs(housekeeper_id, scheduled_start);
+
+-- Create job_offers table (a job offered to one housekeeper)
+CREATE TABLE IF NOT EXISTS job_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    responded_at TIMESTAMPTZ,
+    UNIQUE (job_id, housekeeper_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_offers_housekeeper ON job_offers(housekeeper_id, status);
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES jobs(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_job ON messages(job_id) WHERE job_id IS NOT NULL;
+
+COMMENT ON TABLE jobs IS 'Stores cleaning jobs booked by owners';
+COMMENT ON TABLE job_offers IS 'Stores job offers sent to housekeepers';
+COMMENT ON COLUMN messages.job_id IS 'Optional job the message is about';
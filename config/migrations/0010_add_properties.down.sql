@@ -0,0 +1,5 @@
+-- Rollback: Add properties and link jobs to them
+
+DROP INDEX IF EXISTS idx_jobs_property;
+ALTER TABLE jobs DROP COLUMN IF EXISTS property_id;
+DROP TABLE IF EXISTS properties;
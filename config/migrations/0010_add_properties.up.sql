@@ -0,0 +1,32 @@
+-- Migration: Add properties and link jobs to them
+
+-- Create properties table (homes managed by owners)
+CREATE TABLE IF NOT EXISTS properties (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    name TEXT,
+    address_line1 TEXT NOT NULL,
+    address_line2 TEXT,
+    city TEXT NOT NULL,
+    postcode TEXT NOT NULL,
+    country TEXT,
+    size_sqm NUMERIC(8, 2) CHECK (size_sqm > 0),
+    bedrooms INTEGER CHECK (bedrooms >= 0),
+    bathrooms INTEGER CHECK (bathrooms >= 0),
+    rooms JSONB NOT NULL DEFAULT '[]',
+    access_instructions TEXT,
+    checklist_templates JSONB NOT NULL DEFAULT '[]',
+    photos JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_properties_owner ON properties(owner_id);
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS property_id UUID REFERENCES properties(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_property ON jobs(property_id);
+
+COMMENT ON TABLE properties IS 'Stores homes managed by owners';
+COMMENT ON COLUMN properties.access_instructions IS 'Entry codes and key locations - only shown to the owner and housekeepers with an active job';
@@ -0,0 +1,5 @@
+-- Rollback: Add housekeeper availability and prevent double-booking
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_no_double_booking;
+DROP TABLE IF EXISTS availability_exceptions;
+DROP TABLE IF EXISTS availability_slots;
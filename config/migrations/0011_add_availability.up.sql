@@ -0,0 +1,42 @@
+-- Migration: Add housekeeper availability and prevent double-booking
+
+-- Needed for the jobs exclusion constraint (equality on UUID inside a GiST index)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Recurring weekly slots, in the housekeeper's local time
+CREATE TABLE IF NOT EXISTS availability_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    timezone TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_slots_housekeeper ON availability_slots(housekeeper_id, weekday);
+
+-- One-off time off or extra availability
+CREATE TABLE IF NOT EXISTS availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    housekeeper_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('time_off', 'extra')),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_availability_exceptions_housekeeper ON availability_exceptions(housekeeper_id, starts_at);
+
+-- A housekeeper can't hold two accepted/in-progress jobs at overlapping times
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_no_double_booking;
+ALTER TABLE jobs
+ADD CONSTRAINT jobs_no_double_booking
+EXCLUDE USING gist (housekeeper_id WITH =, tstzrange(scheduled_start, scheduled_end) WITH &&)
+WHERE (status IN ('accepted', 'in_progress'));
+
+COMMENT ON TABLE availability_slots IS 'Stores weekly recurring availability of housekeepers (weekday 0 = Sunday)';
+COMMENT ON TABLE availability_exceptions IS 'Stores time off and extra one-off availability of housekeepers';
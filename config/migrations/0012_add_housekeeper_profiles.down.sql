@@ -0,0 +1,6 @@
+-- Rollback: Add housekeeper profiles and search
+
+DROP VIEW IF EXISTS housekeeper_search;
+DROP TABLE IF EXISTS housekeeper_profiles;
+ALTER TABLE profiles DROP COLUMN IF EXISTS rating_count;
+ALTER TABLE profiles DROP COLUMN IF EXISTS rating_average;
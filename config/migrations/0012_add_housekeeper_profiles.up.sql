@@ -0,0 +1,48 @@
+-- Migration: Add housekeeper profiles and search
+
+-- Aggregate rating shown on every profile (kept up to date by the application)
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2),
+ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+
+-- Housekeeper-specific profile fields
+CREATE TABLE IF NOT EXISTS housekeeper_profiles (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    bio TEXT,
+    hourly_rate NUMERIC(10, 2) CHECK (hourly_rate >= 0),
+    currency TEXT NOT NULL DEFAULT 'GBP',
+    services TEXT[] NOT NULL DEFAULT '{}',
+    service_areas TEXT[] NOT NULL DEFAULT '{}',
+    postcode TEXT,
+    service_radius_km NUMERIC(6, 2) CHECK (service_radius_km > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_services ON housekeeper_profiles USING gin(services);
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_areas ON housekeeper_profiles USING gin(service_areas);
+CREATE INDEX IF NOT EXISTS idx_housekeeper_profiles_rate ON housekeeper_profiles(hourly_rate);
+
+-- Searchable housekeepers: active accounts with a housekeeper profile
+CREATE OR REPLACE VIEW housekeeper_search AS
+SELECT
+    p.user_id,
+    p.name,
+    p.rating_average,
+    p.rating_count,
+    h.bio,
+    h.hourly_rate,
+    h.currency,
+    h.services,
+    h.service_areas,
+    h.postcode,
+    h.service_radius_km,
+    h.updated_at
+FROM profiles p
+JOIN housekeeper_profiles h ON h.user_id = p.user_id
+JOIN users u ON u.id = p.user_id
+WHERE p.role = 'housekeeper'
+  AND u.suspended_at IS NULL;
+
+COMMENT ON TABLE housekeeper_profiles IS 'Stores housekeeper-specific profile fields used for discovery';
+COMMENT ON COLUMN housekeeper_profiles.service_areas IS 'Upper-cased area names or postcode prefixes the housekeeper covers';
@@ -0,0 +1,3 @@
+-- Rollback: Add two-way reviews for completed jobs
+
+DROP TABLE IF EXISTS reviews;
@@ -0,0 +1,18 @@
+-- Migration: Add two-way reviews for completed jobs
+
+CREATE TABLE IF NOT EXISTS reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+    reviewer_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    reviewee_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (job_id, reviewer_id),
+    CHECK (reviewer_id <> reviewee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_id, created_at DESC);
+
+COMMENT ON TABLE reviews IS 'Stores ratings left by owners and housekeepers after a completed job';
@@ -0,0 +1,4 @@
+-- Rollback: Add message attachments (photos and documents)
+-- Only the metadata is dropped: files stay in the storage adapter
+
+DROP TABLE IF EXISTS message_attachments;
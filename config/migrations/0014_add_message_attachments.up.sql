@@ -0,0 +1,19 @@
+-- Migration: Add message attachments (photos and documents)
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    uploader_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    width INTEGER,
+    height INTEGER,
+    storage_key TEXT UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+
+COMMENT ON TABLE message_attachments IS 'Stores metadata of files attached to messages (contents live in the storage adapter)';
+COMMENT ON COLUMN message_attachments.width IS 'Image width in pixels, for laying out thumbnails (NULL for documents)';
@@ -0,0 +1,50 @@
+-- Rollback: Add group conversations
+-- Group messages can't be kept without their conversation, so they are deleted
+
+DELETE FROM messages WHERE conversation_id IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_messages_conversation_created;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_single_destination;
+ALTER TABLE messages DROP COLUMN IF EXISTS conversation_id;
+
+ALTER TABLE messages
+ALTER COLUMN receiver_id SET NOT NULL;
+
+DROP TABLE IF EXISTS conversation_participants;
+DROP TABLE IF EXISTS conversations;
+
+-- Restore the summary function from 0004_add_conversation_summaries
+CREATE OR REPLACE FUNCTION get_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    counterpart_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH visible AS (
+        SELECT m.id, m.sender_id, m.receiver_id, m.message, m.read_at, m.created_at,
+               CASE WHEN m.sender_id = p_user_id THEN m.receiver_id ELSE m.sender_id END AS other_id
+        FROM messages m
+        WHERE (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE)
+    ),
+    latest AS (
+        SELECT DISTINCT ON (other_id) other_id, id, message, sender_id, created_at
+        FROM visible
+        ORDER BY other_id, created_at DESC, id DESC
+    ),
+    unread AS (
+        SELECT other_id, COUNT(*) AS total
+        FROM visible
+        WHERE receiver_id = p_user_id AND read_at IS NULL
+        GROUP BY other_id
+    )
+    SELECT l.other_id, l.id, l.message, l.sender_id, l.created_at, COALESCE(u.total, 0)
+    FROM latest l
+    LEFT JOIN unread u ON u.other_id = l.other_id
+    ORDER BY l.created_at DESC, l.id DESC;
+$$;
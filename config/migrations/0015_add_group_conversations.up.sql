@@ -0,0 +1,74 @@
+-- Migration: Add group conversations
+
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_participants (
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    joined_at TIMESTAMP DEFAULT NOW(),
+    last_read_at TIMESTAMP,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id);
+
+-- A message goes either to one user (receiver_id) or to a group (conversation_id)
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+
+ALTER TABLE messages
+ALTER COLUMN receiver_id DROP NOT NULL;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_single_destination;
+ALTER TABLE messages
+ADD CONSTRAINT messages_single_destination CHECK ((receiver_id IS NULL) <> (conversation_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+ON messages(conversation_id, created_at DESC) WHERE conversation_id IS NOT NULL;
+
+-- Direct conversations only: group messages are summarised by GET /api/conversations
+CREATE OR REPLACE FUNCTION get_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    counterpart_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH visible AS (
+        SELECT m.id, m.sender_id, m.receiver_id, m.message, m.read_at, m.created_at,
+               CASE WHEN m.sender_id = p_user_id THEN m.receiver_id ELSE m.sender_id END AS other_id
+        FROM messages m
+        WHERE m.conversation_id IS NULL
+          AND ((m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE))
+    ),
+    latest AS (
+        SELECT DISTINCT ON (other_id) other_id, id, message, sender_id, created_at
+        FROM visible
+        ORDER BY other_id, created_at DESC, id DESC
+    ),
+    unread AS (
+        SELECT other_id, COUNT(*) AS total
+        FROM visible
+        WHERE receiver_id = p_user_id AND read_at IS NULL
+        GROUP BY other_id
+    )
+    SELECT l.other_id, l.id, l.message, l.sender_id, l.created_at, COALESCE(u.total, 0)
+    FROM latest l
+    LEFT JOIN unread u ON u.other_id = l.other_id
+    ORDER BY l.created_at DESC, l.id DESC;
+$$;
+
+COMMENT ON TABLE conversations IS 'Stores named group conversations';
+COMMENT ON TABLE conversation_participants IS 'Stores members of group conversations and how far they have read';
+COMMENT ON COLUMN messages.conversation_id IS 'Group conversation the message was sent to (NULL for direct messages)';
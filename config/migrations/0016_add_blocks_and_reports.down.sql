@@ -0,0 +1,4 @@
+-- Rollback: Add user blocking and the moderation queue
+
+DROP TABLE IF EXISTS reports;
+DROP TABLE IF EXISTS user_blocks;
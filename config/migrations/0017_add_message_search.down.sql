@@ -0,0 +1,5 @@
+-- Rollback: Add full-text message search
+
+DROP FUNCTION IF EXISTS search_messages;
+DROP INDEX IF EXISTS idx_messages_search;
+ALTER TABLE messages DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,4 @@
+-- Rollback: Add message editing with edit history
+
+DROP TABLE IF EXISTS message_edits;
+ALTER TABLE messages DROP COLUMN IF EXISTS edited_at;
@@ -0,0 +1,17 @@
+-- Migration: Add message editing with edit history
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS message_edits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE NOT NULL,
+    previous_message TEXT NOT NULL,
+    edited_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    edited_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at);
+
+COMMENT ON TABLE message_edits IS 'Stores previous versions of edited messages';
+COMMENT ON COLUMN messages.edited_at IS 'When the sender last edited the message (NULL if never edited)';
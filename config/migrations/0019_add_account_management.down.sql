@@ -0,0 +1,9 @@
+-- Rollback: Add editable profile fields and account deletion
+-- Deleted accounts stay anonymized: their users rows just lose the deleted_at marker
+
+DROP FUNCTION IF EXISTS anonymize_user(UUID);
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE profiles DROP COLUMN IF EXISTS timezone;
+ALTER TABLE profiles DROP COLUMN IF EXISTS bio;
+ALTER TABLE profiles DROP COLUMN IF EXISTS phone;
+ALTER TABLE profiles DROP COLUMN IF EXISTS avatar_url;
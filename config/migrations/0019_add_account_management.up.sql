@@ -0,0 +1,47 @@
+-- Migration: Add editable profile fields and account deletion
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS avatar_url TEXT,
+ADD COLUMN IF NOT EXISTS phone TEXT,
+ADD COLUMN IF NOT EXISTS bio TEXT,
+ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+COMMENT ON COLUMN profiles.timezone IS 'IANA timezone the user picked, e.g. Europe/London';
+COMMENT ON COLUMN users.deleted_at IS 'When the user deleted their account (the row is kept, anonymized)';
+
+-- Deleting an account keeps the users row with its email and password scrubbed, so the messages
+-- the user exchanged stay in the other person's conversations instead of cascading away.
+-- Everything else that identifies the user or lets them sign in is removed.
+CREATE OR REPLACE FUNCTION anonymize_user(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql AS $$
+BEGIN
+    UPDATE users
+    SET email = 'deleted-' || id || '@deleted.invalid',
+        password = '',
+        email_verified_at = NULL,
+        suspension_reason = NULL,
+        deleted_at = NOW()
+    WHERE id = p_user_id AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    DELETE FROM profiles WHERE user_id = p_user_id;
+    DELETE FROM housekeeper_profiles WHERE user_id = p_user_id;
+    DELETE FROM availability_slots WHERE housekeeper_id = p_user_id;
+    DELETE FROM availability_exceptions WHERE housekeeper_id = p_user_id;
+    DELETE FROM properties WHERE owner_id = p_user_id;
+    DELETE FROM conversation_participants WHERE user_id = p_user_id;
+    DELETE FROM user_blocks WHERE blocker_id = p_user_id OR blocked_id = p_user_id;
+    DELETE FROM auth_tokens WHERE user_id = p_user_id;
+
+    UPDATE sessions SET revoked_at = NOW() WHERE user_id = p_user_id AND revoked_at IS NULL;
+
+    RETURN TRUE;
+END;
+$$;
@@ -0,0 +1,4 @@
+-- Rollback: Create the user and profile rows of a signup in one transaction
+-- anonymize_user keeps its restricted EXECUTE grants
+
+DROP FUNCTION IF EXISTS create_user_with_profile(TEXT, TEXT, TEXT, TEXT);
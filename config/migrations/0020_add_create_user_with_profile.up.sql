@@ -0,0 +1,38 @@
+-- Migration: Create the user and profile rows of a signup in one transaction
+
+-- Either both rows are created or neither is; a taken email fails with unique_violation (23505)
+CREATE OR REPLACE FUNCTION create_user_with_profile(p_email TEXT, p_password TEXT, p_name TEXT, p_role TEXT)
+RETURNS JSON
+LANGUAGE plpgsql AS $$
+DECLARE
+    new_user users;
+    new_profile profiles;
+BEGIN
+    INSERT INTO users (email, password)
+    VALUES (lower(p_email), p_password)
+    RETURNING * INTO new_user;
+
+    INSERT INTO profiles (user_id, name, role)
+    VALUES (new_user.id, p_name, p_role)
+    RETURNING * INTO new_profile;
+
+    RETURN json_build_object(
+        'user', json_build_object('id', new_user.id, 'email', new_user.email, 'created_at', new_user.created_at),
+        'profile', row_to_json(new_profile)
+    );
+END;
+$$;
+
+-- Account functions are for the backend only. Supabase grants EXECUTE on new functions to its
+-- API roles, which would let anyone holding the anon key call them through PostgREST.
+DO $$
+BEGIN
+    REVOKE EXECUTE ON FUNCTION create_user_with_profile(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC;
+    REVOKE EXECUTE ON FUNCTION anonymize_user(UUID) FROM PUBLIC;
+
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        REVOKE EXECUTE ON FUNCTION create_user_with_profile(TEXT, TEXT, TEXT, TEXT) FROM anon, authenticated;
+        REVOKE EXECUTE ON FUNCTION anonymize_user(UUID) FROM anon, authenticated;
+    END IF;
+END;
+$$;
@@ -0,0 +1,4 @@
+-- Rollback: Filter housekeepers by availability in the database
+
+DROP FUNCTION IF EXISTS available_housekeepers(TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS is_housekeeper_free(UUID, TIMESTAMPTZ, TIMESTAMPTZ);
@@ -0,0 +1,53 @@
+-- Migration: Filter housekeepers by availability in the database
+
+-- Whether a housekeeper is free for the whole of [p_from, p_to): covered by their weekly slots
+-- and extra availability, with no time off and no accepted/in-progress job overlapping it.
+-- Weekly slots are wall-clock times in their own timezone, so they follow DST changes.
+CREATE OR REPLACE FUNCTION is_housekeeper_free(p_housekeeper_id UUID, p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+    SELECT
+        (
+            SELECT COALESCE(range_agg(available.period), '{}'::tstzmultirange) @> tstzrange(p_from, p_to)
+            FROM (
+                -- Local calendar days around the range, with a day of margin for timezone offsets
+                SELECT tstzrange((day + s.start_time) AT TIME ZONE s.timezone, (day + s.end_time) AT TIME ZONE s.timezone) AS period
+                FROM availability_slots s
+                CROSS JOIN LATERAL generate_series(
+                    ((p_from AT TIME ZONE s.timezone)::date - 1)::timestamp,
+                    ((p_to AT TIME ZONE s.timezone)::date + 1)::timestamp,
+                    INTERVAL '1 day'
+                ) AS day
+                WHERE s.housekeeper_id = p_housekeeper_id
+                  AND EXTRACT(DOW FROM day) = s.weekday
+                UNION ALL
+                SELECT tstzrange(e.starts_at, e.ends_at)
+                FROM availability_exceptions e
+                WHERE e.housekeeper_id = p_housekeeper_id
+                  AND e.kind = 'extra'
+            ) AS available
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM availability_exceptions e
+            WHERE e.housekeeper_id = p_housekeeper_id
+              AND e.kind = 'time_off'
+              AND e.starts_at < p_to
+              AND e.ends_at > p_from
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM jobs j
+            WHERE j.housekeeper_id = p_housekeeper_id
+              AND j.status IN ('accepted', 'in_progress')
+              AND j.scheduled_start < p_to
+              AND j.scheduled_end > p_from
+        );
+$$;
+
+-- Searchable housekeepers free for the whole of [p_from, p_to); callers filter, sort and page the result
+CREATE OR REPLACE FUNCTION available_housekeepers(p_from TIMESTAMPTZ, p_to TIMESTAMPTZ)
+RETURNS SETOF housekeeper_search
+LANGUAGE sql STABLE AS $$
+    SELECT *
+    FROM housekeeper_search h
+    WHERE is_housekeeper_free(h.user_id, p_from, p_to);
+$$;
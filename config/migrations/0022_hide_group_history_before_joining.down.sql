@@ -0,0 +1,69 @@
+-- Rollback: Hide group messages sent before a participant joined from their search results
+
+-- Full-text search over the messages visible to a user (direct and group), best match first
+CREATE OR REPLACE FUNCTION search_messages(
+    p_user_id UUID,
+    p_query TEXT,
+    p_counterpart_id UUID DEFAULT NULL,
+    p_from TIMESTAMP DEFAULT NULL,
+    p_to TIMESTAMP DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    sender_id UUID,
+    receiver_id UUID,
+    conversation_id UUID,
+    message TEXT,
+    created_at TIMESTAMP,
+    snippet TEXT,
+    rank REAL,
+    total_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    WITH query AS (
+        SELECT websearch_to_tsquery('english', p_query) AS q
+    ),
+    matches AS (
+        SELECT m.*, ts_rank(m.search_vector, query.q) AS match_rank, query.q
+        FROM messages m, query
+        WHERE m.search_vector @@ query.q
+          AND (
+              (m.conversation_id IS NULL AND (
+                  (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+                  OR (m.receiver_id = p_user_id AND m.deleted_for_receiver = FALSE)
+              ))
+              OR (m.conversation_id IN (
+                  SELECT cp.conversation_id FROM conversation_participants cp WHERE cp.user_id = p_user_id
+              ) AND (
+                  (m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+                  OR (m.sender_id <> p_user_id AND m.deleted_for_receiver = FALSE)
+              ))
+          )
+          AND (p_counterpart_id IS NULL
+               OR m.sender_id = p_counterpart_id
+               OR (m.receiver_id = p_counterpart_id AND m.sender_id = p_user_id))
+          AND (p_from IS NULL OR m.created_at >= p_from)
+          AND (p_to IS NULL OR m.created_at < p_to)
+    )
+    SELECT
+        matches.id,
+        matches.sender_id,
+        matches.receiver_id,
+        matches.conversation_id,
+        matches.message,
+        matches.created_at,
+        -- Escape the text first so the <mark> tags are the only markup in the snippet
+        ts_headline(
+            'english',
+            replace(replace(replace(matches.message, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+            matches.q,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5'
+        ),
+        matches.match_rank,
+        COUNT(*) OVER ()
+    FROM matches
+    ORDER BY matches.match_rank DESC, matches.created_at DESC, matches.id DESC
+    LIMIT p_limit OFFSET p_offset;
+$$;
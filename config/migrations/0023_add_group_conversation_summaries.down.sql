@@ -0,0 +1,3 @@
+-- Rollback: Summarise all of a user's group conversations in one query
+
+DROP FUNCTION IF EXISTS get_group_conversation_summaries(UUID);
@@ -0,0 +1,42 @@
+-- Migration: Summarise all of a user's group conversations in one query
+
+-- One row per group conversation the user is in: latest message visible to them (since they joined)
+-- and how many messages from others arrived after last_read_at
+CREATE OR REPLACE FUNCTION get_group_conversation_summaries(p_user_id UUID)
+RETURNS TABLE (
+    conversation_id UUID,
+    last_message_id UUID,
+    last_message TEXT,
+    last_message_sender_id UUID,
+    last_message_at TIMESTAMP,
+    unread_count BIGINT
+)
+LANGUAGE sql STABLE AS $$
+    SELECT
+        cp.conversation_id,
+        latest.id,
+        latest.message,
+        latest.sender_id,
+        latest.created_at,
+        (
+            SELECT COUNT(*)
+            FROM messages m
+            WHERE m.conversation_id = cp.conversation_id
+              AND m.sender_id <> p_user_id
+              AND m.deleted_for_receiver = FALSE
+              AND (cp.joined_at IS NULL OR m.created_at >= cp.joined_at)
+              AND (cp.last_read_at IS NULL OR m.created_at > cp.last_read_at)
+        )
+    FROM conversation_participants cp
+    LEFT JOIN LATERAL (
+        SELECT m.id, m.message, m.sender_id, m.created_at
+        FROM messages m
+        WHERE m.conversation_id = cp.conversation_id
+          AND (cp.joined_at IS NULL OR m.created_at >= cp.joined_at)
+          AND ((m.sender_id = p_user_id AND m.deleted_for_sender = FALSE)
+           OR (m.sender_id <> p_user_id AND m.deleted_for_receiver = FALSE))
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT 1
+    ) AS latest ON TRUE
+    WHERE cp.user_id = p_user_id;
+$$;
@@ -0,0 +1,6 @@
+-- Rollback: Keep profile rating summaries up to date with a trigger on reviews
+-- Summaries are left as they are and stop updating until the migration is applied again
+
+DROP TRIGGER IF EXISTS reviews_rating_summary ON reviews;
+DROP FUNCTION IF EXISTS reviews_refresh_rating_summary();
+DROP FUNCTION IF EXISTS refresh_rating_summary(UUID);
@@ -0,0 +1,63 @@
+-- Migration: Keep profile rating summaries up to date with a trigger on reviews
+
+-- Recompute a user's rating_average and rating_count from the reviews they received.
+-- The profile row is locked first, so concurrent reviews of the same user are counted one
+-- after the other and the UPDATE reads every review committed before it got the lock.
+CREATE OR REPLACE FUNCTION refresh_rating_summary(p_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql AS $$
+BEGIN
+    PERFORM 1 FROM profiles WHERE user_id = p_user_id FOR UPDATE;
+
+    UPDATE profiles
+    SET rating_average = summary.average,
+        rating_count = summary.total
+    FROM (
+        SELECT ROUND(AVG(rating), 2) AS average, COUNT(*) AS total
+        FROM reviews
+        WHERE reviewee_id = p_user_id
+    ) AS summary
+    WHERE profiles.user_id = p_user_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reviews_refresh_rating_summary()
+RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_rating_summary(OLD.reviewee_id);
+    END IF;
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.reviewee_id <> OLD.reviewee_id) THEN
+        PERFORM refresh_rating_summary(NEW.reviewee_id);
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS reviews_rating_summary ON reviews;
+CREATE TRIGGER reviews_rating_summary
+AFTER INSERT OR DELETE OR UPDATE OF rating, reviewee_id ON reviews
+FOR EACH ROW EXECUTE FUNCTION reviews_refresh_rating_summary();
+
+-- Backfill summaries written by the application before the trigger existed
+UPDATE profiles
+SET rating_average = summary.average,
+    rating_count = summary.total
+FROM (
+    SELECT reviewee_id, ROUND(AVG(rating), 2) AS average, COUNT(*) AS total
+    FROM reviews
+    GROUP BY reviewee_id
+) AS summary
+WHERE profiles.user_id = summary.reviewee_id;
+
+-- Backend-only, like the account functions in 0020
+DO $$
+BEGIN
+    REVOKE EXECUTE ON FUNCTION refresh_rating_summary(UUID) FROM PUBLIC;
+
+    IF EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        REVOKE EXECUTE ON FUNCTION refresh_rating_summary(UUID) FROM anon, authenticated;
+    END IF;
+END;
+$$;
@@ -0,0 +1,30 @@
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Request limits, overridable from the environment
+ * - AUTH: per IP, across the credential endpoints (login, signup, password reset, verification)
+ * - MESSAGE: per sender, shared by POST /api/messages and the message:send socket event
+ * - LOGIN_LOCKOUT: per account; after maxAttempts failed passwords the account is locked for
+ *   baseLockoutMs, doubling with every further failure up to maxLockoutMs
+ */
+const RATE_LIMITS = {
+  AUTH: {
+    max: Number(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+    windowMs: (Number(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15) * MINUTE_MS
+  },
+  MESSAGE: {
+    max: Number(process.env.MESSAGE_RATE_LIMIT_MAX) || 30,
+    windowMs: (Number(process.env.MESSAGE_RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000
+  },
+  LOGIN_LOCKOUT: {
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    baseLockoutMs: (Number(process.env.LOGIN_LOCKOUT_SECONDS) || 30) * 1000,
+    maxLockoutMs: 60 * MINUTE_MS,
+    // Failed attempts are forgotten this long after the first one
+    failureWindowMs: 24 * 60 * MINUTE_MS
+  }
+};
+
+module.exports = {
+  RATE_LIMITS
+};
@@ -0,0 +1,16 @@
+/**
+ * Moderation queue lifecycle
+ * open → resolved (action taken) | dismissed (no action needed)
+ */
+const REPORT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+const REPORT_STATUSES = Object.values(REPORT_STATUS);
+
+module.exports = {
+  REPORT_STATUS,
+  REPORT_STATUSES
+};
@@ -0,0 +1,20 @@
+/**
+ * User roles
+ * Admins can't sign up - promote an existing account in the profiles table
+ */
+const ROLES = {
+  OWNER: 'owner',
+  HOUSEKEEPER: 'housekeeper',
+  ADMIN: 'admin'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Roles a user can choose at signup
+const SIGNUP_ROLES = [ROLES.OWNER, ROLES.HOUSEKEEPER];
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  SIGNUP_ROLES
+};
@@ -1,15 +1,35 @@
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseServiceKey) {
-  throw new Error('Missing Supabase environment variables. Please check your .env file.');
-}
+/**
+ * Create the Supabase client on first use, so modules can be loaded (e.g. with
+ * DATA_STORE=memory) without Supabase credentials
+ * @returns {import('@supabase/supabase-js').SupabaseClient} Client using the service role key (bypasses RLS)
+ */
+const getClient = () => {
+  if (client) {
+    return client;
+  }
 
-// Create Supabase client with service role key (bypasses RLS)
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-module.exports = supabase;
+  if (!supabaseUrl || !supabaseServiceKey) {
+    throw new Error('Missing Supabase environment variables. Please check your .env file.');
+  }
+
+  client = createClient(supabaseUrl, supabaseServiceKey);
+  return client;
+};
 
+// Behaves like the client itself (supabase.from(...), supabase.rpc(...), supabase.storage)
+const supabase = new Proxy({}, {
+  get: (target, property) => {
+    const value = getClient()[property];
+    return typeof value === 'function' ? value.bind(getClient()) : value;
+  }
+});
+
+module.exports = supabase;
@@ -0,0 +1,154 @@
+const repositories = require('../repositories');
+const { hashPassword, comparePassword } = require('../utils/bcrypt');
+const { revokeAllSessions } = require('../services/sessionService');
+const { disconnectUser } = require('../socket');
+const { ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Profile fields the user can change with PATCH /api/me
+const EDITABLE_FIELDS = ['name', 'avatar_url', 'phone', 'bio', 'timezone'];
+
+/**
+ * Combine the user and profile rows into the account returned by /api/me
+ * @param {Object} user - users row
+ * @param {Object} profile - profiles row
+ * @returns {Object} Account without the password hash
+ */
+const formatAccount = (user, profile) => ({
+  id: user.id,
+  email: user.email,
+  email_verified: Boolean(user.email_verified_at),
+  name: profile.name,
+  role: profile.role,
+  avatar_url: profile.avatar_url || null,
+  phone: profile.phone || null,
+  bio: profile.bio || null,
+  timezone: profile.timezone || null,
+  created_at: user.created_at
+});
+
+/**
+ * Load the caller's user and profile rows
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} { user, profile }
+ */
+const findAccount = async (userId) => {
+  const user = await repositories.users.findById(userId);
+  const profile = user && await repositories.profiles.findByUserId(userId);
+
+  if (!user || !profile) {
+    throw new NotFoundError('Account not found');
+  }
+
+  return { user, profile };
+};
+
+/**
+ * Check the password the caller typed against their account
+ * @param {Object} user - users row
+ * @param {string} password - Plain text password
+ * @returns {Promise<void>} Throws 403 if it doesn't match
+ */
+const checkPassword = async (user, password) => {
+  if (!(await comparePassword(password, user.password))) {
+    throw new ForbiddenError('Current password is incorrect');
+  }
+};
+
+/**
+ * Get the caller's account
+ * GET /api/me
+ */
+const getAccount = async (req, res) => {
+  const { user, profile } = await findAccount(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: formatAccount(user, profile)
+  });
+};
+
+/**
+ * Update the caller's profile
+ * PATCH /api/me
+ *
+ * Body (all optional): { name, avatar_url, phone, bio, timezone } - null or "" clears a field (except name)
+ */
+const updateAccount = async (req, res) => {
+  // Fields are checked by updateAccountSchema (routes/accountRoutes.js)
+  const body = req.body || {};
+  const fields = {};
+
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).forEach(field => {
+    const value = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    fields[field] = value === '' ? null : value;
+  });
+
+  if (Object.keys(fields).length === 0) {
+    throw new ValidationError(`No fields to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const { user } = await findAccount(req.user.userId);
+  const profile = await repositories.profiles.update(user.id, fields);
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated',
+    data: formatAccount(user, profile)
+  });
+};
+
+/**
+ * Change the caller's password
+ * POST /api/me/password
+ *
+ * Body: { current_password, new_password }
+ * Every other session is signed out; the one making the request stays signed in
+ */
+const changePassword = async (req, res) => {
+  const { current_password: currentPassword, new_password: newPassword } = req.body;
+  const { user } = await findAccount(req.user.userId);
+
+  await checkPassword(user, currentPassword);
+
+  if (currentPassword === newPassword) {
+    throw new ValidationError('New password must be different from the current password');
+  }
+
+  await repositories.users.updatePassword(user.id, await hashPassword(newPassword));
+  await revokeAllSessions(user.id, req.user.sessionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed. Your other sessions have been signed out.'
+  });
+};
+
+/**
+ * Delete the caller's account
+ * DELETE /api/me
+ *
+ * Body: { password }
+ * The profile and personal data are removed and every session is signed out. Messages stay
+ * with the people they were exchanged with, attributed to a deleted account with no name.
+ */
+const deleteAccount = async (req, res) => {
+  const { user } = await findAccount(req.user.userId);
+
+  await checkPassword(user, req.body.password);
+
+  // anonymize revokes the sessions in the same transaction; their sockets are closed here
+  await repositories.users.anonymize(user.id);
+  disconnectUser(user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deleted'
+  });
+};
+
+module.exports = {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount
+};
@@ -0,0 +1,284 @@
+const supabase = require('../config/supabase');
+const { isValidRole, isValidUUID } = require('../utils/validate');
+const { parseCursorQuery } = require('../utils/pagination');
+const { getMessagePage, userMessagesScope } = require('../services/messageService');
+const { revokeAllSessions } = require('../services/sessionService');
+const { getParticipants } = require('../services/conversationService');
+const { REPORT_STATUS, REPORT_STATUSES } = require('../config/reportStatus');
+const { emitToUser } = require('../socket');
+const { NotFoundError, ValidationError, createHttpError } = require('../utils/errors');
+
+/**
+ * List users with their profile and account status
+ * GET /api/admin/users?role=&suspended=
+ */
+const listUsers = async (req, res) => {
+  const { role, suspended } = req.query;
+
+  if (role !== undefined && !isValidRole(role)) {
+    throw new ValidationError('Invalid role');
+  }
+
+  let query = supabase
+    .from('profiles')
+    .select('user_id, name, role, created_at, users!inner(email, email_verified_at, suspended_at, suspension_reason)')
+    .order('created_at', { ascending: false });
+
+  if (role) {
+    query = query.eq('role', role);
+  }
+
+  if (suspended === 'true') {
+    query = query.not('users.suspended_at', 'is', null);
+  } else if (suspended === 'false') {
+    query = query.is('users.suspended_at', null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const users = (data || []).map(({ users: account, ...profile }) => ({
+    ...profile,
+    ...account
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: users
+  });
+};
+
+/**
+ * Suspend or reinstate a user account
+ * Suspending signs the user out everywhere and blocks future logins
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {boolean} suspend - True to suspend, false to reinstate
+ */
+const setSuspension = async (req, res, suspend) => {
+  const { userId } = req.params;
+
+  if (!isValidUUID(userId)) {
+    throw new ValidationError('Invalid user id');
+  }
+
+  if (userId === req.user.userId) {
+    throw new ValidationError('You cannot change the suspension of your own account');
+  }
+
+  const { reason } = req.body || {};
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .update({
+      suspended_at: suspend ? new Date().toISOString() : null,
+      suspension_reason: suspend && typeof reason === 'string' ? reason.trim() : null
+    })
+    .eq('id', userId)
+    .select('id, email, suspended_at, suspension_reason')
+    .single();
+
+  if (error || !user) {
+    throw new NotFoundError('User not found');
+  }
+
+  if (suspend) {
+    await revokeAllSessions(userId);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: suspend ? 'User suspended' : 'User reinstated',
+    data: user
+  });
+};
+
+/**
+ * Suspend a user
+ * POST /api/admin/users/:userId/suspend
+ */
+const suspendUser = (req, res) => setSuspension(req, res, true);
+
+/**
+ * Reinstate a suspended user
+ * POST /api/admin/users/:userId/unsuspend
+ */
+const unsuspendUser = (req, res) => setSuspension(req, res, false);
+
+/**
+ * List every message a user sent or received, including deleted ones
+ * GET /api/admin/messages?userId=&before=&after=&limit=
+ */
+const listUserMessages = async (req, res) => {
+  const { userId } = req.query;
+
+  if (!isValidUUID(userId)) {
+    throw new ValidationError('A valid userId is required');
+  }
+
+  const pagination = parseCursorQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
+
+  const result = await getMessagePage(userMessagesScope(userId), pagination);
+
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination
+  });
+};
+
+/**
+ * Remove a message for both participants
+ * DELETE /api/admin/messages/:messageId
+ */
+const moderateMessage = async (req, res) => {
+  const { messageId } = req.params;
+
+  if (!isValidUUID(messageId)) {
+    throw new ValidationError('Invalid message id');
+  }
+
+  const { data: message, error } = await supabase
+    .from('messages')
+    .update({
+      deleted_for_sender: true,
+      deleted_for_receiver: true,
+      moderated_at: new Date().toISOString(),
+      moderated_by: req.user.userId
+    })
+    .eq('id', messageId)
+    .select('id, sender_id, receiver_id, conversation_id')
+    .single();
+
+  if (error || !message) {
+    throw new NotFoundError('Message not found');
+  }
+
+  const recipientIds = message.conversation_id
+    ? (await getParticipants(message.conversation_id)).map(participant => participant.user_id)
+    : [message.receiver_id, message.sender_id];
+  recipientIds.forEach(userId => emitToUser(userId, 'message:deleted', message));
+
+  res.status(200).json({
+    success: true,
+    message: 'Message removed by moderator'
+  });
+};
+
+/**
+ * List reports in the moderation queue, oldest first
+ * GET /api/admin/reports?status=open|resolved|dismissed
+ */
+const listReports = async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${REPORT_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('reports')
+    .select('*, message:messages(id, sender_id, receiver_id, conversation_id, message, created_at)')
+    .order('created_at', { ascending: true });
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: reports, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const userIds = new Set();
+  (reports || []).forEach(report => {
+    userIds.add(report.reporter_id);
+    userIds.add(report.reported_user_id);
+  });
+
+  let profilesByUserId = new Map();
+  if (userIds.size > 0) {
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('user_id, name, role')
+      .in('user_id', [...userIds]);
+
+    if (profilesError) {
+      throw profilesError;
+    }
+    profilesByUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: (reports || []).map(report => ({
+      ...report,
+      reporter: profilesByUserId.get(report.reporter_id) || { user_id: report.reporter_id },
+      reported_user: profilesByUserId.get(report.reported_user_id) || { user_id: report.reported_user_id }
+    }))
+  });
+};
+
+/**
+ * Close a report
+ * PATCH /api/admin/reports/:reportId
+ *
+ * Body: { status: 'resolved' | 'dismissed', note? }. Suspending the user or removing the
+ * message are separate admin actions.
+ */
+const resolveReport = async (req, res) => {
+  const { reportId } = req.params;
+  const { status, note } = req.body || {};
+
+  if (!isValidUUID(reportId)) {
+    throw new ValidationError('Invalid report id');
+  }
+
+  if (![REPORT_STATUS.RESOLVED, REPORT_STATUS.DISMISSED].includes(status)) {
+    throw new ValidationError("status must be either 'resolved' or 'dismissed'");
+  }
+
+  const { data: report, error } = await supabase
+    .from('reports')
+    .update({
+      status,
+      resolution_note: typeof note === 'string' ? note.trim() : null,
+      resolved_by: req.user.userId,
+      resolved_at: new Date().toISOString()
+    })
+    .eq('id', reportId)
+    .eq('status', REPORT_STATUS.OPEN)
+    .select('*')
+    .single();
+
+  if (error || !report) {
+    throw new NotFoundError('Open report not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Report ${status}`,
+    data: report
+  });
+};
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  listUserMessages,
+  moderateMessage,
+  listReports,
+  resolveReport
+};
@@ -1,234 +1,403 @@
-const supabase = require('../config/supabase');
+const repositories = require('../repositories');
 const { hashPassword, comparePassword } = require('../utils/bcrypt');
 const { generateToken } = require('../utils/jwt');
-const { isValidEmail, isValidPassword, isValidRole, validateRequiredFields } = require('../utils/validate');
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessionService');
+const { TOKEN_PURPOSES, createAuthToken, consumeAuthToken } = require('../services/authTokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../mailer');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../services/loginAttemptService');
+const { retryAfterSeconds } = require('../rateLimit');
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError,
+  ValidationError
+} = require('../utils/errors');
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+/**
+ * Start a session for a user and issue an access token plus refresh token
+ * @param {Object} req - Express request (for device details)
+ * @param {Object} user - { id, email }
+ * @param {string} role - User role
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const issueTokens = async (req, user, role) => {
+  const { session, refreshToken } = await createSession(user.id, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+  });
+
+  const token = generateToken({
+    userId: user.id,
+    email: user.email,
+    role,
+    sessionId: session.id
+  });
+
+  return { token, refreshToken };
+};
+
+/**
+ * Email a fresh verification link to a user
+ * Failures are logged but don't fail the calling request
+ * @param {Object} user - { id, email }
+ * @returns {Promise<void>}
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = await createAuthToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MINUTES);
+    await sendVerificationEmail(user.email, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
 
 /**
  * User Signup Controller
  * POST /api/auth/signup
  */
 const signup = async (req, res) => {
+  // Fields are checked by signupSchema (routes/authRoutes.js)
+  const { email, password, name, role } = req.body;
+
+  // Hash password
+  const hashedPassword = await hashPassword(password);
+
+  // Create the user and profile together: either both rows exist afterwards or neither does.
+  // The unique email constraint also catches two signups racing for the same address.
+  let user;
+  let profile;
   try {
-    const { email, password, name, role } = req.body;
-
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['email', 'password', 'name', 'role']);
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: validation.message
-      });
+    ({ user, profile } = await repositories.users.createWithProfile({
+      email,
+      password: hashedPassword,
+      name: name.trim(),
+      role
+    }));
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError('User with this email already exists');
     }
+    throw error;
+  }
 
-    // Validate email format
-    if (!isValidEmail(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
+  // Ask the user to confirm their email address
+  await sendVerification(user);
 
-    // Validate password strength
-    if (!isValidPassword(password)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+  // Start a session and generate tokens
+  const { token, refreshToken } = await issueTokens(req, user, profile.role);
 
-    // Validate role
-    if (!isValidRole(role)) {
-      return res.status(400).json({
-        success: false,
-        message: "Role must be either 'owner' or 'housekeeper'"
-      });
+  res.status(201).json({
+    success: true,
+    message: 'User registered successfully',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: profile.name,
+        role: profile.role,
+        email_verified: false,
+        created_at: user.created_at
+      },
+      token,
+      refreshToken
     }
+  });
+};
 
-    // Check if user already exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', email.toLowerCase())
-      .single();
+/**
+ * Error for a login attempt on a locked account
+ * @param {number} lockoutMs - Time until the lock ends
+ * @returns {TooManyRequestsError} 429 with Retry-After
+ */
+const lockedOutError = (lockoutMs) => {
+  const seconds = retryAfterSeconds(lockoutMs);
+  return new TooManyRequestsError(`Too many failed login attempts. Try again in ${seconds} seconds.`, seconds);
+};
 
-    if (checkError && checkError.code !== 'PGRST116') { // PGRST116 is "not found" error
-      throw checkError;
-    }
+/**
+ * User Login Controller
+ * POST /api/auth/login
+ */
+const login = async (req, res) => {
+  const { email, password } = req.body;
+
+  // Refuse accounts locked after too many failed passwords
+  const lockoutMs = await getLockout(email);
+  if (lockoutMs > 0) {
+    throw lockedOutError(lockoutMs);
+  }
+
+  // Find user by email
+  const user = await repositories.users.findByEmail(email);
+
+  // Verify password (unknown emails count as failures too, so lockouts don't reveal which accounts exist)
+  const isPasswordValid = user && await comparePassword(password, user.password);
 
-    if (existingUser) {
-      return res.status(409).json({
-        success: false,
-        message: 'User with this email already exists'
-      });
+  if (!isPasswordValid) {
+    const newLockoutMs = await recordFailedLogin(email);
+    if (newLockoutMs > 0) {
+      throw lockedOutError(newLockoutMs);
     }
 
-    // Hash password
-    const hashedPassword = await hashPassword(password);
-
-    // Create user in database
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .insert([
-        {
-          email: email.toLowerCase(),
-          password: hashedPassword
-        }
-      ])
-      .select('id, email, created_at')
-      .single();
-
-    if (userError) {
-      throw userError;
+    throw new UnauthorizedError('Invalid email or password');
+  }
+
+  await clearFailedLogins(email);
+
+  // Suspended accounts can't sign in
+  if (user.suspended_at) {
+    throw new ForbiddenError('This account has been suspended');
+  }
+
+  // Optionally refuse accounts that haven't confirmed their email address
+  if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+    throw new ForbiddenError('Please verify your email address before logging in');
+  }
+
+  // Get user profile
+  const profile = await repositories.profiles.findByUserId(user.id);
+
+  if (!profile) {
+    throw new NotFoundError('User profile not found');
+  }
+
+  // Start a session and generate tokens
+  const { token, refreshToken } = await issueTokens(req, user, profile.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        name: profile.name,
+        role: profile.role,
+        email_verified: Boolean(user.email_verified_at),
+        created_at: user.created_at
+      },
+      token,
+      refreshToken
     }
+  });
+};
+
+/**
+ * Refresh Token Controller
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The old refresh token can't be used again.
+ */
+const refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const rotated = await rotateRefreshToken(refreshToken);
+
+  if (!rotated) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  // Re-read the user so the new access token carries the current email and role
+  const user = await repositories.users.findById(rotated.userId);
+  const profile = await repositories.profiles.findByUserId(rotated.userId);
 
-    // Create profile for the user
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .insert([
-        {
-          user_id: user.id,
-          name: name.trim(),
-          role: role
-        }
-      ])
-      .select('id, name, role')
-      .single();
-
-    if (profileError) {
-      // If profile creation fails, rollback user creation
-      await supabase.from('users').delete().eq('id', user.id);
-      throw profileError;
+  if (!user || !profile || user.suspended_at) {
+    await revokeSession(rotated.session.id, rotated.userId);
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const token = generateToken({
+    userId: user.id,
+    email: user.email,
+    role: profile.role,
+    sessionId: rotated.session.id
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token,
+      refreshToken: rotated.refreshToken
     }
+  });
+};
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
-      role: profile.role
-    });
-
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: profile.name,
-          role: profile.role,
-          created_at: user.created_at
-        },
-        token
-      }
-    });
+/**
+ * Logout Controller
+ * POST /api/auth/logout
+ *
+ * Revokes the session of the access token used for this request
+ */
+const logout = async (req, res) => {
+  await revokeSession(req.user.sessionId, req.user.userId);
 
-  } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error registering user',
-      error: error.message
-    });
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+};
+
+/**
+ * List Sessions Controller
+ * GET /api/auth/sessions
+ *
+ * Lists the user's active sessions (devices), flagging the current one
+ */
+const getSessions = async (req, res) => {
+  const sessions = await listSessions(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sessionId
+    }))
+  });
+};
+
+/**
+ * Revoke Session Controller
+ * DELETE /api/auth/sessions/:sessionId
+ *
+ * Signs a device out. Its access token stops working immediately.
+ */
+const deleteSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  const revoked = await revokeSession(sessionId, req.user.userId);
+
+  if (!revoked) {
+    throw new NotFoundError('Session not found');
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
 };
 
 /**
- * User Login Controller
- * POST /api/auth/login
+ * Forgot Password Controller
+ * POST /api/auth/forgot-password
+ *
+ * Emails a password reset link. Always responds the same way so the
+ * endpoint can't be used to find out which emails are registered.
  */
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['email', 'password']);
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: validation.message
-      });
-    }
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
 
-    // Validate email format
-    if (!isValidEmail(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid email format'
-      });
-    }
+  const user = await repositories.users.findByEmail(email);
 
-    // Find user by email
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email.toLowerCase())
-      .single();
-
-    if (userError || !user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
+  // Like sendVerification, a failure is logged rather than changing the response
+  if (user) {
+    try {
+      const token = await createAuthToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+      await sendPasswordResetEmail(user.email, token, PASSWORD_RESET_TTL_MINUTES);
+    } catch (error) {
+      console.error('Send password reset email error:', error);
     }
+  }
 
-    // Verify password
-    const isPasswordValid = await comparePassword(password, user.password);
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+};
 
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
+/**
+ * Reset Password Controller
+ * POST /api/auth/reset-password
+ *
+ * Sets a new password using a reset token and signs out every session
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
 
-    // Get user profile
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('user_id', user.id)
-      .single();
-
-    if (profileError || !profile) {
-      return res.status(404).json({
-        success: false,
-        message: 'User profile not found'
-      });
-    }
+  const userId = await consumeAuthToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
-      role: profile.role
-    });
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          name: profile.name,
-          role: profile.role,
-          created_at: user.created_at
-        },
-        token
-      }
-    });
+  if (!userId) {
+    throw new ValidationError('Invalid or expired reset token');
+  }
 
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error logging in',
-      error: error.message
-    });
+  const hashedPassword = await hashPassword(password);
+
+  await repositories.users.updatePassword(userId, hashedPassword);
+
+  // Anyone holding the old password may have active sessions
+  await revokeAllSessions(userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+};
+
+/**
+ * Verify Email Controller
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeAuthToken(token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+
+  if (!userId) {
+    throw new ValidationError('Invalid or expired verification token');
   }
+
+  await repositories.users.markEmailVerified(userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully'
+  });
+};
+
+/**
+ * Resend Verification Controller
+ * POST /api/auth/resend-verification
+ *
+ * Like forgot-password, responds the same way whether or not the email is registered
+ */
+const resendVerification = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await repositories.users.findByEmail(email);
+
+  if (user && !user.email_verified_at) {
+    await sendVerification(user);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If this email needs verification, a new link has been sent'
+  });
 };
 
 module.exports = {
   signup,
-  login
+  login,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession
 };
 
@@ -0,0 +1,310 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/validate');
+const { ROLES } = require('../config/roles');
+const { DAY_MS, isValidTimeZone, parseTimeOfDay, intervalsOverlap } = require('../utils/time');
+const { EXCEPTION_KINDS, MAX_RANGE_DAYS, getFreeWindows } = require('../services/availabilityService');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Get the caller's weekly slots and upcoming exceptions
+ * GET /api/availability/me
+ */
+const getMyAvailability = async (req, res) => {
+  const housekeeperId = req.user.userId;
+
+  const { data: slots, error: slotsError } = await supabase
+    .from('availability_slots')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId)
+    .order('weekday', { ascending: true })
+    .order('start_time', { ascending: true });
+
+  if (slotsError) {
+    throw slotsError;
+  }
+
+  const { data: exceptions, error: exceptionsError } = await supabase
+    .from('availability_exceptions')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId)
+    .gt('ends_at', new Date().toISOString())
+    .order('starts_at', { ascending: true });
+
+  if (exceptionsError) {
+    throw exceptionsError;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      slots: slots || [],
+      exceptions: exceptions || []
+    }
+  });
+};
+
+/**
+ * Add a recurring weekly slot
+ * POST /api/availability/slots
+ *
+ * Body: { weekday (0 = Sunday … 6 = Saturday), start_time "HH:MM", end_time "HH:MM", timezone }
+ */
+const createSlot = async (req, res) => {
+  const housekeeperId = req.user.userId;
+  const { weekday, start_time, end_time, timezone } = req.body || {};
+
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw new ValidationError('weekday must be an integer from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const start = parseTimeOfDay(start_time);
+  const end = parseTimeOfDay(end_time);
+
+  if (start === null || end === null) {
+    throw new ValidationError('start_time and end_time must be in HH:MM format');
+  }
+
+  if (end <= start) {
+    throw new ValidationError('end_time must be after start_time');
+  }
+
+  if (!isValidTimeZone(timezone)) {
+    throw new ValidationError('timezone must be a valid IANA timezone, e.g. Europe/London');
+  }
+
+  const { data: existingSlots, error: existingError } = await supabase
+    .from('availability_slots')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId);
+
+  if (existingError) {
+    throw existingError;
+  }
+
+  if ((existingSlots || []).some(slot => slot.timezone !== timezone)) {
+    throw new ValidationError('All weekly slots must use the same timezone');
+  }
+
+  const overlapping = (existingSlots || []).find(slot =>
+    slot.weekday === weekday &&
+    intervalsOverlap(
+      { start, end },
+      { start: parseTimeOfDay(slot.start_time), end: parseTimeOfDay(slot.end_time) }
+    )
+  );
+
+  if (overlapping) {
+    throw new ConflictError(
+      `This slot overlaps an existing slot (${overlapping.start_time}-${overlapping.end_time}) on the same day`,
+      { data: { conflicting_slot: overlapping } }
+    );
+  }
+
+  const { data: slot, error } = await supabase
+    .from('availability_slots')
+    .insert([{
+      housekeeper_id: housekeeperId,
+      weekday,
+      start_time,
+      end_time,
+      timezone
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Availability slot added',
+    data: slot
+  });
+};
+
+/**
+ * Remove a weekly slot
+ * DELETE /api/availability/slots/:slotId
+ */
+const deleteSlot = async (req, res) => {
+  const { slotId } = req.params;
+
+  if (!isValidUUID(slotId)) {
+    throw new ValidationError('Invalid slot id');
+  }
+
+  const { data, error } = await supabase
+    .from('availability_slots')
+    .delete()
+    .eq('id', slotId)
+    .eq('housekeeper_id', req.user.userId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw new NotFoundError('Availability slot not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Availability slot removed'
+  });
+};
+
+/**
+ * Add time off or extra one-off availability
+ * POST /api/availability/exceptions
+ *
+ * Body: { kind: 'time_off' | 'extra', starts_at, ends_at, reason? }
+ */
+const createException = async (req, res) => {
+  const housekeeperId = req.user.userId;
+  const { kind, starts_at, ends_at, reason } = req.body || {};
+
+  if (!Object.values(EXCEPTION_KINDS).includes(kind)) {
+    throw new ValidationError("kind must be either 'time_off' or 'extra'");
+  }
+
+  const start = Date.parse(starts_at);
+  const end = Date.parse(ends_at);
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new ValidationError('starts_at and ends_at must be valid ISO timestamps');
+  }
+
+  if (end <= start) {
+    throw new ValidationError('ends_at must be after starts_at');
+  }
+
+  const { data: overlapping, error: overlapError } = await supabase
+    .from('availability_exceptions')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId)
+    .eq('kind', kind)
+    .lt('starts_at', new Date(end).toISOString())
+    .gt('ends_at', new Date(start).toISOString())
+    .limit(1);
+
+  if (overlapError) {
+    throw overlapError;
+  }
+
+  if (overlapping && overlapping.length > 0) {
+    throw new ConflictError('This period overlaps an existing entry of the same kind', {
+      data: { conflicting_exception: overlapping[0] }
+    });
+  }
+
+  const { data: exception, error } = await supabase
+    .from('availability_exceptions')
+    .insert([{
+      housekeeper_id: housekeeperId,
+      kind,
+      starts_at: new Date(start).toISOString(),
+      ends_at: new Date(end).toISOString(),
+      reason: typeof reason === 'string' ? reason.trim() : null
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: kind === EXCEPTION_KINDS.TIME_OFF ? 'Time off added' : 'Extra availability added',
+    data: exception
+  });
+};
+
+/**
+ * Remove time off or extra availability
+ * DELETE /api/availability/exceptions/:exceptionId
+ */
+const deleteException = async (req, res) => {
+  const { exceptionId } = req.params;
+
+  if (!isValidUUID(exceptionId)) {
+    throw new ValidationError('Invalid exception id');
+  }
+
+  const { data, error } = await supabase
+    .from('availability_exceptions')
+    .delete()
+    .eq('id', exceptionId)
+    .eq('housekeeper_id', req.user.userId)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data || data.length === 0) {
+    throw new NotFoundError('Availability exception not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Availability exception removed'
+  });
+};
+
+/**
+ * Get a housekeeper's free windows in a date range
+ * GET /api/availability/:housekeeperId/free?from=&to=
+ *
+ * Free = weekly slots + extra availability - time off - booked jobs
+ */
+const getFreeTime = async (req, res) => {
+  const { housekeeperId } = req.params;
+
+  if (!isValidUUID(housekeeperId)) {
+    throw new ValidationError('Invalid housekeeper id');
+  }
+
+  const from = Date.parse(req.query.from);
+  const to = Date.parse(req.query.to);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+    throw new ValidationError('from and to must be valid ISO timestamps, with to after from');
+  }
+
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ValidationError(`The range can't be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('user_id')
+    .eq('user_id', housekeeperId)
+    .eq('role', ROLES.HOUSEKEEPER)
+    .maybeSingle();
+
+  if (profileError) {
+    throw profileError;
+  }
+  if (!profile) {
+    throw new NotFoundError('Housekeeper not found');
+  }
+
+  const windows = await getFreeWindows(housekeeperId, from, to);
+
+  res.status(200).json({
+    success: true,
+    data: windows
+  });
+};
+
+module.exports = {
+  getMyAvailability,
+  createSlot,
+  deleteSlot,
+  createException,
+  deleteException,
+  getFreeTime
+};
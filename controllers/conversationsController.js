@@ -0,0 +1,471 @@
+const supabase = require('../config/supabase');
+const repositories = require('../repositories');
+const { isValidUUID } = require('../utils/validate');
+const { parseCursorQuery } = require('../utils/pagination');
+const { checkMessagingPermission, getMessagePage } = require('../services/messageService');
+const {
+  MAX_PARTICIPANTS,
+  getParticipants,
+  findConversationForParticipant,
+  groupConversationScope
+} = require('../services/conversationService');
+const { getBlockedUserIds } = require('../services/blockService');
+const { emitToUser } = require('../socket');
+const { ForbiddenError, NotFoundError, ValidationError, createHttpError } = require('../utils/errors');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate a conversation name
+ * @param {*} name - Requested name
+ * @returns {Object} { isValid: boolean, message?: string, value?: string }
+ */
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { isValid: false, message: 'name is required' };
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { isValid: false, message: `name can't be longer than ${MAX_NAME_LENGTH} characters` };
+  }
+  return { isValid: true, value: name.trim() };
+};
+
+/**
+ * Check that the acting user may add each user to a group
+ * The same contact rules as direct messages apply between the acting user and each new participant,
+ * and nobody can join a group with someone they have blocked or been blocked by
+ * @param {Object} user - req.user
+ * @param {*} userIds - Requested user IDs
+ * @param {Array<string>} [memberIds=[]] - Current participants
+ * @returns {Promise<Object>} { success: true, data: string[] } or { success: false, status, message }
+ */
+const checkNewParticipants = async (user, userIds, memberIds = []) => {
+  if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(isValidUUID)) {
+    return { success: false, status: 400, message: 'Provide a non-empty array of user ids' };
+  }
+
+  const uniqueIds = [...new Set(userIds)].filter(userId => userId !== user.userId);
+
+  for (const userId of uniqueIds) {
+    const permission = await checkMessagingPermission(user.userId, user.role, userId);
+    if (!permission.success) {
+      return {
+        success: false,
+        status: permission.status,
+        message: `Can't add user ${userId}: ${permission.message}`
+      };
+    }
+  }
+
+  // Blocks between other participants aren't the acting user's business, so the reason isn't given
+  const groupIds = new Set([...memberIds, ...uniqueIds]);
+  for (const userId of uniqueIds.filter(id => !memberIds.includes(id))) {
+    const blockedIds = await getBlockedUserIds(userId);
+    if ([...blockedIds].some(blockedId => groupIds.has(blockedId))) {
+      return { success: false, status: 403, message: `Can't add user ${userId} to this conversation` };
+    }
+  }
+
+  return { success: true, data: uniqueIds };
+};
+
+/**
+ * Add names and account roles to participant rows
+ * @param {Array<Object>} participants - conversation_participants rows
+ * @returns {Promise<Array<Object>>} Participants with name and role
+ */
+const withProfiles = async (participants) => {
+  if (participants.length === 0) {
+    return participants;
+  }
+
+  const profiles = await repositories.profiles.listSummaries(participants.map(participant => participant.user_id));
+  const profilesByUserId = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+  return participants.map(participant => ({
+    ...profilesByUserId.get(participant.user_id),
+    ...participant
+  }));
+};
+
+/**
+ * Send the current state of a conversation to its participants
+ * @param {Object} conversation - Conversation row
+ * @returns {Promise<Object>} Conversation with participants
+ */
+const notifyConversationUpdated = async (conversation) => {
+  const participants = await withProfiles(await getParticipants(conversation.id));
+  const payload = { ...conversation, participants };
+
+  participants.forEach(participant => emitToUser(participant.user_id, 'conversation:updated', payload));
+  return payload;
+};
+
+/**
+ * Create a group conversation
+ * POST /api/conversations
+ *
+ * Body: { name, participant_ids: [] }. The creator joins as an admin.
+ */
+const createConversation = async (req, res) => {
+  const { name, participant_ids: participantIds } = req.body || {};
+
+  const nameValidation = validateName(name);
+  if (!nameValidation.isValid) {
+    throw new ValidationError(nameValidation.message);
+  }
+
+  const check = await checkNewParticipants(req.user, participantIds);
+  if (!check.success) {
+    throw createHttpError(check.status, check.message);
+  }
+
+  if (check.data.length + 1 > MAX_PARTICIPANTS) {
+    throw new ValidationError(`A conversation can have at most ${MAX_PARTICIPANTS} participants`);
+  }
+
+  const conversation = await repositories.conversations.create({
+    name: nameValidation.value,
+    created_by: req.user.userId
+  });
+
+  try {
+    await repositories.conversations.addParticipants([
+      { conversation_id: conversation.id, user_id: req.user.userId, is_admin: true },
+      ...check.data.map(userId => ({ conversation_id: conversation.id, user_id: userId, is_admin: false }))
+    ]);
+  } catch (error) {
+    await repositories.conversations.remove(conversation.id);
+    throw error;
+  }
+
+  const data = await notifyConversationUpdated(conversation);
+
+  res.status(201).json({
+    success: true,
+    message: 'Conversation created',
+    data
+  });
+};
+
+/**
+ * List the caller's group conversations, most recent activity first
+ * GET /api/conversations
+ *
+ * Each entry has its participants, the last visible message and the caller's unread count
+ */
+const listConversations = async (req, res) => {
+  const userId = req.user.userId;
+
+  const { data: memberships, error } = await supabase
+    .from('conversation_participants')
+    .select('conversation:conversations(*)')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!memberships || memberships.length === 0) {
+    return res.status(200).json({
+      success: true,
+      data: []
+    });
+  }
+
+  // One query per kind of data, whatever the number of conversations
+  const [
+    { data: summaries, error: summariesError },
+    { data: participantRows, error: participantsError }
+  ] = await Promise.all([
+    supabase.rpc('get_group_conversation_summaries', { p_user_id: userId }),
+    supabase
+      .from('conversation_participants')
+      .select('conversation_id, user_id, is_admin, joined_at, last_read_at')
+      .in('conversation_id', memberships.map(({ conversation }) => conversation.id))
+      .order('joined_at', { ascending: true })
+  ]);
+
+  if (summariesError) {
+    throw summariesError;
+  }
+  if (participantsError) {
+    throw participantsError;
+  }
+
+  const summariesById = new Map((summaries || []).map(summary => [summary.conversation_id, summary]));
+  const participantsById = new Map();
+  (await withProfiles(participantRows || [])).forEach(({ conversation_id: conversationId, ...participant }) => {
+    participantsById.set(conversationId, [...(participantsById.get(conversationId) || []), participant]);
+  });
+
+  const conversations = memberships.map(({ conversation }) => {
+    const summary = summariesById.get(conversation.id) || {};
+
+    return {
+      ...conversation,
+      participants: participantsById.get(conversation.id) || [],
+      last_message: summary.last_message_id
+        ? {
+          id: summary.last_message_id,
+          sender_id: summary.last_message_sender_id,
+          message: summary.last_message,
+          created_at: summary.last_message_at
+        }
+        : null,
+      unread_count: Number(summary.unread_count) || 0
+    };
+  });
+
+  conversations.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
+  res.status(200).json({
+    success: true,
+    data: conversations
+  });
+};
+
+/**
+ * Get a group conversation with its participants
+ * GET /api/conversations/:conversationId
+ */
+const getConversation = async (req, res) => {
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...lookup.data.conversation,
+      participants: await withProfiles(lookup.data.participants)
+    }
+  });
+};
+
+/**
+ * Rename a group conversation (admins only)
+ * PATCH /api/conversations/:conversationId
+ *
+ * Body: { name }
+ */
+const renameConversation = async (req, res) => {
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  if (!lookup.data.participant.is_admin) {
+    throw new ForbiddenError('Only conversation admins can rename the conversation');
+  }
+
+  const nameValidation = validateName((req.body || {}).name);
+  if (!nameValidation.isValid) {
+    throw new ValidationError(nameValidation.message);
+  }
+
+  const conversation = await repositories.conversations.update(lookup.data.conversation.id, {
+    name: nameValidation.value,
+    updated_at: new Date().toISOString()
+  });
+
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Conversation renamed',
+    data: await notifyConversationUpdated(conversation)
+  });
+};
+
+/**
+ * Invite users to a group conversation (admins only)
+ * POST /api/conversations/:conversationId/participants
+ *
+ * Body: { user_ids: [] }
+ */
+const addParticipants = async (req, res) => {
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { conversation, participants, participant } = lookup.data;
+
+  if (!participant.is_admin) {
+    throw new ForbiddenError('Only conversation admins can add participants');
+  }
+
+  const check = await checkNewParticipants(
+    req.user,
+    (req.body || {}).user_ids,
+    participants.map(member => member.user_id)
+  );
+  if (!check.success) {
+    throw createHttpError(check.status, check.message);
+  }
+
+  const currentIds = new Set(participants.map(member => member.user_id));
+  const newIds = check.data.filter(userId => !currentIds.has(userId));
+
+  if (participants.length + newIds.length > MAX_PARTICIPANTS) {
+    throw new ValidationError(`A conversation can have at most ${MAX_PARTICIPANTS} participants`);
+  }
+
+  if (newIds.length > 0) {
+    await repositories.conversations.addParticipants(
+      newIds.map(userId => ({ conversation_id: conversation.id, user_id: userId, is_admin: false }))
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: newIds.length > 0 ? 'Participants added' : 'Everyone is already in the conversation',
+    data: await notifyConversationUpdated(conversation)
+  });
+};
+
+/**
+ * Remove a participant, or leave the conversation
+ * DELETE /api/conversations/:conversationId/participants/:userId
+ *
+ * Admins can remove anyone; everyone can remove themselves. When the last admin
+ * leaves, the longest-standing participant becomes admin.
+ */
+const removeParticipant = async (req, res) => {
+  const { userId } = req.params;
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { conversation, participants, participant } = lookup.data;
+  const leaving = userId === req.user.userId;
+
+  if (!leaving && !participant.is_admin) {
+    throw new ForbiddenError('Only conversation admins can remove participants');
+  }
+
+  const removed = participants.find(member => member.user_id === userId);
+  if (!removed) {
+    throw new NotFoundError('User is not in this conversation');
+  }
+
+  const { error } = await supabase
+    .from('conversation_participants')
+    .delete()
+    .eq('conversation_id', conversation.id)
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const remaining = participants.filter(member => member.user_id !== userId);
+  if (removed.is_admin && remaining.length > 0 && !remaining.some(member => member.is_admin)) {
+    const { error: promoteError } = await supabase
+      .from('conversation_participants')
+      .update({ is_admin: true })
+      .eq('conversation_id', conversation.id)
+      .eq('user_id', remaining[0].user_id);
+
+    if (promoteError) {
+      throw promoteError;
+    }
+  }
+
+  emitToUser(userId, 'conversation:removed', { id: conversation.id });
+  if (remaining.length > 0) {
+    await notifyConversationUpdated(conversation);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: leaving ? 'You left the conversation' : 'Participant removed'
+  });
+};
+
+/**
+ * Get messages of a group conversation (cursor paginated like direct conversations)
+ * GET /api/conversations/:conversationId/messages?before=&after=&limit=
+ */
+const getConversationMessages = async (req, res) => {
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const pagination = parseCursorQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
+
+  const result = await getMessagePage(
+    groupConversationScope(lookup.data.conversation.id, req.user.userId, lookup.data.participant.joined_at),
+    pagination
+  );
+
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: result.data,
+    pagination: result.pagination
+  });
+};
+
+/**
+ * Mark a group conversation as read up to now
+ * PATCH /api/conversations/:conversationId/read
+ */
+const markConversationAsRead = async (req, res) => {
+  const lookup = await findConversationForParticipant(req.params.conversationId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { conversation, participants } = lookup.data;
+  const readAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('conversation_participants')
+    .update({ last_read_at: readAt })
+    .eq('conversation_id', conversation.id)
+    .eq('user_id', req.user.userId);
+
+  if (error) {
+    throw error;
+  }
+
+  const payload = { conversation_id: conversation.id, user_id: req.user.userId, read_at: readAt };
+  participants
+    .filter(participant => participant.user_id !== req.user.userId)
+    .forEach(participant => emitToUser(participant.user_id, 'conversation:read', payload));
+
+  res.status(200).json({
+    success: true,
+    data: payload
+  });
+};
+
+module.exports = {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  addParticipants,
+  removeParticipant,
+  getConversationMessages,
+  markConversationAsRead
+};
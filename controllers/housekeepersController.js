@@ -0,0 +1,345 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/validate');
+const { parsePageQuery } = require('../utils/pagination');
+const { DAY_MS } = require('../utils/time');
+const { MAX_RANGE_DAYS } = require('../services/availabilityService');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const SORT_OPTIONS = {
+  rating: [
+    ['rating_average', { ascending: false, nullsFirst: false }],
+    ['rating_count', { ascending: false }]
+  ],
+  price_asc: [['hourly_rate', { ascending: true, nullsFirst: false }]],
+  price_desc: [['hourly_rate', { ascending: false, nullsFirst: false }]],
+  name: [['name', { ascending: true }]]
+};
+
+/**
+ * Normalize a service area name so searches match regardless of case and spacing
+ * @param {string} value - Area name or postcode prefix
+ * @returns {string} Upper-cased area
+ */
+const normalizeArea = (value) => value.trim().replace(/\s+/g, ' ').toUpperCase();
+
+/**
+ * Normalize a postcode for matching ("sw1a 1aa" -> "SW1A1AA")
+ * @param {string} value - Postcode
+ * @returns {string} Postcode without spaces, upper-cased
+ */
+const normalizePostcode = (value) => value.replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Every prefix of a postcode that could be listed as a service area ("SW1A1AA" -> "SW", "SW1", "SW1A", ...)
+ * @param {string} postcode - Normalized postcode
+ * @returns {Array<string>} Prefixes of two characters or more
+ */
+const postcodePrefixes = (postcode) => {
+  const prefixes = [];
+  for (let length = 2; length <= postcode.length; length++) {
+    prefixes.push(postcode.slice(0, length));
+  }
+  return prefixes;
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+// Service names and areas: letters, digits, spaces and . ' & - _
+// Searches put them in a PostgREST array literal, where , { } " and \ would change its meaning
+const LABEL_PATTERN = /^[\p{L}\p{N} .'&_-]{1,100}$/u;
+const LABEL_RULE = 'can only contain letters, numbers, spaces, dots, apostrophes, ampersands, hyphens and underscores (up to 100 characters)';
+
+const isLabelArray = (value) => isStringArray(value) && value.every(item => LABEL_PATTERN.test(item.trim()));
+
+/**
+ * Validate housekeeper profile fields (all optional)
+ * @param {Object} body - Request body
+ * @returns {Object} { isValid: boolean, message?: string, values?: Object }
+ */
+const validateHousekeeperProfile = (body) => {
+  const values = {};
+
+  if (body.bio !== undefined) {
+    if (body.bio !== null && typeof body.bio !== 'string') {
+      return { isValid: false, message: 'bio must be a string' };
+    }
+    values.bio = body.bio === null ? null : body.bio.trim();
+  }
+
+  if (body.hourly_rate !== undefined) {
+    if (body.hourly_rate !== null && (typeof body.hourly_rate !== 'number' || !(body.hourly_rate >= 0))) {
+      return { isValid: false, message: 'hourly_rate must be a non-negative number' };
+    }
+    values.hourly_rate = body.hourly_rate;
+  }
+
+  if (body.currency !== undefined) {
+    if (typeof body.currency !== 'string' || !/^[A-Za-z]{3}$/.test(body.currency)) {
+      return { isValid: false, message: 'currency must be a 3-letter code' };
+    }
+    values.currency = body.currency.toUpperCase();
+  }
+
+  if (body.services !== undefined) {
+    if (!isStringArray(body.services)) {
+      return { isValid: false, message: 'services must be an array of strings' };
+    }
+    if (!isLabelArray(body.services)) {
+      return { isValid: false, message: `services ${LABEL_RULE}` };
+    }
+    values.services = [...new Set(body.services.map(service => service.trim().toLowerCase()))];
+  }
+
+  if (body.service_areas !== undefined) {
+    if (!isStringArray(body.service_areas)) {
+      return { isValid: false, message: 'service_areas must be an array of strings' };
+    }
+    if (!isLabelArray(body.service_areas)) {
+      return { isValid: false, message: `service_areas ${LABEL_RULE}` };
+    }
+    values.service_areas = [...new Set(body.service_areas.map(normalizeArea))];
+  }
+
+  if (body.postcode !== undefined) {
+    if (body.postcode !== null && (typeof body.postcode !== 'string' || !body.postcode.trim())) {
+      return { isValid: false, message: 'postcode must be a non-empty string' };
+    }
+    values.postcode = body.postcode === null ? null : normalizePostcode(body.postcode);
+  }
+
+  if (body.service_radius_km !== undefined) {
+    if (body.service_radius_km !== null && (typeof body.service_radius_km !== 'number' || !(body.service_radius_km > 0))) {
+      return { isValid: false, message: 'service_radius_km must be a positive number' };
+    }
+    values.service_radius_km = body.service_radius_km;
+  }
+
+  return { isValid: true, values };
+};
+
+/**
+ * Parse an optional numeric query parameter
+ * @param {string} value - Query value
+ * @returns {number|undefined|null} Number, undefined if missing, null if invalid
+ */
+const parseNumberQuery = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Search housekeepers
+ * GET /api/housekeepers/search?area=&postcode=&services=&min_rating=&min_rate=&max_rate=
+ *                              &available_from=&available_to=&sort=&page=&limit=
+ *
+ * - area: a service area the housekeeper lists
+ * - postcode: matches housekeepers whose postcode is the same or who list a prefix of it (e.g. "SW1")
+ * - services: comma-separated, housekeepers must offer all of them
+ * - available_from/available_to: housekeepers free for the whole window
+ * - sort: rating (default), price_asc, price_desc, name
+ */
+const searchHousekeepers = async (req, res) => {
+  const { area, postcode, services, sort = 'rating' } = req.query;
+
+  // A repeated query key (?area=a&area=b) arrives as an array
+  const repeated = ['area', 'postcode', 'services'].find(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+  if (repeated) {
+    throw new ValidationError(`${repeated} must be a single string`);
+  }
+
+  const wantedArea = area ? normalizeArea(area) : '';
+  if (wantedArea && !LABEL_PATTERN.test(wantedArea)) {
+    throw new ValidationError(`area ${LABEL_RULE}`);
+  }
+
+  const wantedPostcode = postcode ? normalizePostcode(postcode) : '';
+  if (wantedPostcode && !/^[A-Z0-9]{2,10}$/.test(wantedPostcode)) {
+    throw new ValidationError('Invalid postcode');
+  }
+
+  const wantedServices = services ? services.split(',').map(service => service.trim().toLowerCase()).filter(Boolean) : [];
+  if (!wantedServices.every(service => LABEL_PATTERN.test(service))) {
+    throw new ValidationError(`services ${LABEL_RULE}`);
+  }
+
+  const pagination = parsePageQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
+
+  if (!SORT_OPTIONS[sort]) {
+    throw new ValidationError(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+
+  const minRating = parseNumberQuery(req.query.min_rating);
+  const minRate = parseNumberQuery(req.query.min_rate);
+  const maxRate = parseNumberQuery(req.query.max_rate);
+
+  if (minRating === null || minRate === null || maxRate === null) {
+    throw new ValidationError('min_rating, min_rate and max_rate must be numbers');
+  }
+
+  const { available_from: availableFrom, available_to: availableTo } = req.query;
+  let query;
+
+  if (!availableFrom && !availableTo) {
+    query = supabase
+      .from('housekeeper_search')
+      .select('*', { count: 'exact' });
+  } else {
+    const from = Date.parse(availableFrom);
+    const to = Date.parse(availableTo);
+
+    if (Number.isNaN(from) || Number.isNaN(to) || to <= from) {
+      throw new ValidationError('available_from and available_to must be valid ISO timestamps, with available_to after available_from');
+    }
+
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ValidationError(`The availability window can't be longer than ${MAX_RANGE_DAYS} days`);
+    }
+
+    // Same rows as housekeeper_search, keeping housekeepers free for the whole window
+    query = supabase.rpc(
+      'available_housekeepers',
+      { p_from: new Date(from).toISOString(), p_to: new Date(to).toISOString() },
+      { count: 'exact' }
+    );
+  }
+
+  if (wantedArea) {
+    query = query.contains('service_areas', [wantedArea]);
+  }
+
+  if (wantedPostcode) {
+    query = query.or(`postcode.eq.${wantedPostcode},service_areas.ov.{${postcodePrefixes(wantedPostcode).join(',')}}`);
+  }
+
+  if (wantedServices.length > 0) {
+    query = query.contains('services', wantedServices);
+  }
+
+  if (minRating !== undefined) {
+    query = query.gte('rating_average', minRating);
+  }
+  if (minRate !== undefined) {
+    query = query.gte('hourly_rate', minRate);
+  }
+  if (maxRate !== undefined) {
+    query = query.lte('hourly_rate', maxRate);
+  }
+
+  SORT_OPTIONS[sort].forEach(([column, options]) => {
+    query = query.order(column, options);
+  });
+  query = query.order('user_id', { ascending: true });
+
+  const { data, error, count } = await query.range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: data || [],
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: count || 0,
+      hasMore: pagination.offset + (data || []).length < (count || 0)
+    }
+  });
+};
+
+/**
+ * Get a housekeeper's public profile
+ * GET /api/housekeepers/:housekeeperId
+ */
+const getHousekeeper = async (req, res) => {
+  const { housekeeperId } = req.params;
+
+  if (!isValidUUID(housekeeperId)) {
+    throw new ValidationError('Invalid housekeeper id');
+  }
+
+  const { data: housekeeper, error } = await supabase
+    .from('housekeeper_search')
+    .select('*')
+    .eq('user_id', housekeeperId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!housekeeper) {
+    throw new NotFoundError('Housekeeper not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: housekeeper
+  });
+};
+
+/**
+ * Get the caller's housekeeper profile
+ * GET /api/housekeepers/me
+ */
+const getMyHousekeeperProfile = async (req, res) => {
+  const { data: profile, error } = await supabase
+    .from('housekeeper_profiles')
+    .select('*')
+    .eq('user_id', req.user.userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: profile || { user_id: req.user.userId, services: [], service_areas: [] }
+  });
+};
+
+/**
+ * Create or update the caller's housekeeper profile
+ * PUT /api/housekeepers/me
+ *
+ * Body (all optional): { bio, hourly_rate, currency, services: [], service_areas: [], postcode, service_radius_km }
+ */
+const updateMyHousekeeperProfile = async (req, res) => {
+  const validation = validateHousekeeperProfile(req.body || {});
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  const { data: profile, error } = await supabase
+    .from('housekeeper_profiles')
+    .upsert(
+      { ...validation.values, user_id: req.user.userId, updated_at: new Date().toISOString() },
+      { onConflict: 'user_id' }
+    )
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Housekeeper profile saved',
+    data: profile
+  });
+};
+
+module.exports = {
+  searchHousekeepers,
+  getHousekeeper,
+  getMyHousekeeperProfile,
+  updateMyHousekeeperProfile
+};
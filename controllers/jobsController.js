@@ -0,0 +1,649 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/validate');
+const { JOB_STATUS, OFFER_STATUS, canTransition } = require('../config/jobStatus');
+const { ROLES } = require('../config/roles');
+const { findJob, isJobParticipant, findBookedJobs, isHousekeeperFree } = require('../services/jobService');
+const { emitToUser } = require('../socket');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError, createHttpError } = require('../utils/errors');
+
+/**
+ * Validate the fields of a new job
+ * @param {Object} body - Request body
+ * @returns {Object} { isValid: boolean, message?: string, values?: Object }
+ */
+const validateJobInput = (body) => {
+  const { property_address, scheduled_start, scheduled_end, tasks, price, currency, notes } = body;
+
+  if (typeof property_address !== 'string' || !property_address.trim()) {
+    return { isValid: false, message: 'property_address is required' };
+  }
+
+  const start = Date.parse(scheduled_start);
+  const end = Date.parse(scheduled_end);
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return { isValid: false, message: 'scheduled_start and scheduled_end must be valid ISO timestamps' };
+  }
+
+  if (end <= start) {
+    return { isValid: false, message: 'scheduled_end must be after scheduled_start' };
+  }
+
+  if (start <= Date.now()) {
+    return { isValid: false, message: 'scheduled_start must be in the future' };
+  }
+
+  if (tasks !== undefined && (!Array.isArray(tasks) || tasks.some(task => typeof task !== 'string' || !task.trim()))) {
+    return { isValid: false, message: 'tasks must be an array of non-empty strings' };
+  }
+
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    return { isValid: false, message: 'price must be a non-negative number' };
+  }
+
+  if (currency !== undefined && (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency))) {
+    return { isValid: false, message: 'currency must be a 3-letter ISO code' };
+  }
+
+  return {
+    isValid: true,
+    values: {
+      property_address: property_address.trim(),
+      scheduled_start: new Date(start).toISOString(),
+      scheduled_end: new Date(end).toISOString(),
+      tasks: (tasks || []).map(task => task.trim()),
+      price,
+      currency: currency || 'GBP',
+      notes: typeof notes === 'string' ? notes.trim() : null
+    }
+  };
+};
+
+/**
+ * Format a property's address as a single line
+ * @param {Object} property - Property row
+ * @returns {string} Address
+ */
+const formatAddress = (property) => {
+  return [property.address_line1, property.address_line2, property.city, property.postcode]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Offer a job to housekeepers, skipping ones who already have an offer
+ * @param {Object} job - Job row
+ * @param {Array<string>} housekeeperIds - Housekeeper user IDs
+ * @returns {Promise<Object>} { success: true, data } or { success: false, status, message }
+ */
+const createOffers = async (job, housekeeperIds) => {
+  if (!Array.isArray(housekeeperIds) || housekeeperIds.some(id => !isValidUUID(id))) {
+    return { success: false, status: 400, message: 'housekeeper_ids must be an array of user ids' };
+  }
+
+  const uniqueIds = [...new Set(housekeeperIds)];
+  if (uniqueIds.length === 0) {
+    return { success: true, data: [] };
+  }
+
+  const { data: housekeepers, error: profilesError } = await supabase
+    .from('profiles')
+    .select('user_id')
+    .eq('role', ROLES.HOUSEKEEPER)
+    .in('user_id', uniqueIds);
+
+  if (profilesError) {
+    throw profilesError;
+  }
+
+  if (!housekeepers || housekeepers.length !== uniqueIds.length) {
+    return { success: false, status: 404, message: 'One or more housekeepers were not found' };
+  }
+
+  // Checked per housekeeper, so it doesn't depend on them having filled in a housekeeper profile
+  const free = await Promise.all(uniqueIds.map(id => isHousekeeperFree(id, job.scheduled_start, job.scheduled_end)));
+  const unavailableIds = uniqueIds.filter((id, index) => !free[index]);
+
+  if (unavailableIds.length > 0) {
+    return {
+      success: false,
+      status: 409,
+      message: `These housekeepers aren't available at the job's time: ${unavailableIds.join(', ')}`
+    };
+  }
+
+  const { data: offers, error } = await supabase
+    .from('job_offers')
+    .upsert(
+      uniqueIds.map(housekeeperId => ({ job_id: job.id, housekeeper_id: housekeeperId })),
+      { onConflict: 'job_id,housekeeper_id', ignoreDuplicates: true }
+    )
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  (offers || []).forEach(offer => {
+    emitToUser(offer.housekeeper_id, 'job:offer', { offer, job });
+  });
+
+  return { success: true, data: offers || [] };
+};
+
+/**
+ * Notify both sides of a job that it changed
+ * @param {Object} job - Updated job row
+ */
+const notifyJobUpdated = (job) => {
+  emitToUser(job.owner_id, 'job:updated', job);
+  if (job.housekeeper_id) {
+    emitToUser(job.housekeeper_id, 'job:updated', job);
+  }
+};
+
+/**
+ * Create a job
+ * POST /api/jobs
+ *
+ * Body: { property_id? | property_address, scheduled_start, scheduled_end, tasks, price, currency?, notes?, housekeeper_ids? }
+ * When property_id is given the address defaults to the property's address
+ */
+const createJob = async (req, res) => {
+  const body = { ...(req.body || {}) };
+  let propertyId = null;
+
+  if (body.property_id !== undefined && body.property_id !== null) {
+    if (!isValidUUID(body.property_id)) {
+      throw new ValidationError('Invalid property id');
+    }
+
+    const { data: property, error: propertyError } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('id', body.property_id)
+      .eq('owner_id', req.user.userId)
+      .maybeSingle();
+
+    if (propertyError) {
+      throw propertyError;
+    }
+    if (!property) {
+      throw new NotFoundError('Property not found');
+    }
+
+    propertyId = property.id;
+    body.property_address = body.property_address || formatAddress(property);
+  }
+
+  const validation = validateJobInput(body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .insert([{
+      ...validation.values,
+      property_id: propertyId,
+      owner_id: req.user.userId,
+      status: JOB_STATUS.REQUESTED
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  let offers = [];
+  if (body.housekeeper_ids !== undefined) {
+    const result = await createOffers(job, body.housekeeper_ids);
+    if (!result.success) {
+      await supabase.from('jobs').delete().eq('id', job.id);
+      throw createHttpError(result.status, result.message);
+    }
+    offers = result.data;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Job created successfully',
+    data: { ...job, offers }
+  });
+};
+
+/**
+ * List the caller's jobs
+ * GET /api/jobs?status=
+ *
+ * Owners see jobs they created, housekeepers see jobs assigned to them, admins see all jobs
+ */
+const listJobs = async (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !Object.values(JOB_STATUS).includes(status)) {
+    throw new ValidationError('Invalid job status');
+  }
+
+  let query = supabase
+    .from('jobs')
+    .select('*')
+    .order('scheduled_start', { ascending: true });
+
+  if (req.user.role === ROLES.OWNER) {
+    query = query.eq('owner_id', req.user.userId);
+  } else if (req.user.role === ROLES.HOUSEKEEPER) {
+    query = query.eq('housekeeper_id', req.user.userId);
+  }
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: jobs, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: jobs || []
+  });
+};
+
+/**
+ * Get a job
+ * GET /api/jobs/:jobId
+ *
+ * Visible to its owner, its housekeeper, housekeepers it was offered to and admins.
+ * The owner also gets the list of offers.
+ */
+const getJob = async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidUUID(jobId)) {
+    throw new ValidationError('Invalid job id');
+  }
+
+  const job = await findJob(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (req.user.role !== ROLES.ADMIN && !(await isJobParticipant(job, req.user.userId))) {
+    throw new ForbiddenError('Unauthorized to view this job');
+  }
+
+  let offers;
+  if (job.owner_id === req.user.userId || req.user.role === ROLES.ADMIN) {
+    const { data, error } = await supabase
+      .from('job_offers')
+      .select('*')
+      .eq('job_id', jobId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    offers = data || [];
+  }
+
+  res.status(200).json({
+    success: true,
+    data: offers ? { ...job, offers } : job
+  });
+};
+
+/**
+ * Offer an open job to more housekeepers
+ * POST /api/jobs/:jobId/offers
+ *
+ * Body: { housekeeper_ids: [] }
+ */
+const addOffers = async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidUUID(jobId)) {
+    throw new ValidationError('Invalid job id');
+  }
+
+  const job = await findJob(jobId);
+
+  if (!job || job.owner_id !== req.user.userId) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (job.status !== JOB_STATUS.REQUESTED) {
+    throw new ConflictError('Offers can only be sent for jobs that are still requested');
+  }
+
+  const result = await createOffers(job, (req.body || {}).housekeeper_ids);
+
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Offers sent successfully',
+    data: result.data
+  });
+};
+
+/**
+ * List the housekeeper's offers
+ * GET /api/jobs/offers?status=
+ */
+const listOffers = async (req, res) => {
+  const status = req.query.status || OFFER_STATUS.PENDING;
+
+  if (!Object.values(OFFER_STATUS).includes(status)) {
+    throw new ValidationError('Invalid offer status');
+  }
+
+  const { data: offers, error } = await supabase
+    .from('job_offers')
+    .select('*, job:jobs(*)')
+    .eq('housekeeper_id', req.user.userId)
+    .eq('status', status)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: offers || []
+  });
+};
+
+/**
+ * Get a pending offer addressed to the caller
+ * @param {string} offerId - Offer ID
+ * @param {string} housekeeperId - Authenticated housekeeper ID
+ * @returns {Promise<Object>} { success: true, data } or { success: false, status, message }
+ */
+const findPendingOffer = async (offerId, housekeeperId) => {
+  if (!isValidUUID(offerId)) {
+    return { success: false, status: 400, message: 'Invalid offer id' };
+  }
+
+  const { data: offer, error } = await supabase
+    .from('job_offers')
+    .select('*')
+    .eq('id', offerId)
+    .eq('housekeeper_id', housekeeperId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!offer) {
+    return { success: false, status: 404, message: 'Offer not found' };
+  }
+
+  if (offer.status !== OFFER_STATUS.PENDING) {
+    return { success: false, status: 409, message: `Offer has already been ${offer.status}` };
+  }
+
+  return { success: true, data: offer };
+};
+
+/**
+ * Accept a job offer
+ * POST /api/jobs/offers/:offerId/accept
+ *
+ * Assigns the job to the housekeeper and withdraws every other pending offer
+ */
+const acceptOffer = async (req, res) => {
+  const housekeeperId = req.user.userId;
+  const lookup = await findPendingOffer(req.params.offerId, housekeeperId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const offer = lookup.data;
+  const requested = await findJob(offer.job_id);
+
+  if (!requested) {
+    throw new NotFoundError('Job not found');
+  }
+
+  const conflicts = await findBookedJobs(housekeeperId, requested.scheduled_start, requested.scheduled_end, requested.id);
+
+  if (conflicts.length > 0) {
+    throw new ConflictError('You already have a job booked that overlaps this one', {
+      data: { conflicting_jobs: conflicts }
+    });
+  }
+
+  // Time off or slot changes since the offer was made
+  if (!(await isHousekeeperFree(housekeeperId, requested.scheduled_start, requested.scheduled_end))) {
+    throw new ConflictError('You are no longer available at the time of this job');
+  }
+
+  const now = new Date().toISOString();
+
+  // Claim the job only if nobody else has accepted it in the meantime
+  const { data: job, error: claimError } = await supabase
+    .from('jobs')
+    .update({
+      housekeeper_id: housekeeperId,
+      status: JOB_STATUS.ACCEPTED,
+      accepted_at: now,
+      updated_at: now
+    })
+    .eq('id', offer.job_id)
+    .eq('status', JOB_STATUS.REQUESTED)
+    .select('*')
+    .maybeSingle();
+
+  // The jobs exclusion constraint catches a booking that raced the check above
+  if (claimError && claimError.code === '23P01') {
+    throw new ConflictError('You already have a job booked that overlaps this one');
+  }
+
+  if (claimError) {
+    throw claimError;
+  }
+  if (!job) {
+    throw new ConflictError('This job is no longer available');
+  }
+
+  const { error: offerError } = await supabase
+    .from('job_offers')
+    .update({ status: OFFER_STATUS.ACCEPTED, responded_at: now })
+    .eq('id', offer.id);
+
+  if (offerError) {
+    throw offerError;
+  }
+
+  const { error: withdrawError } = await supabase
+    .from('job_offers')
+    .update({ status: OFFER_STATUS.WITHDRAWN, responded_at: now })
+    .eq('job_id', job.id)
+    .eq('status', OFFER_STATUS.PENDING);
+
+  if (withdrawError) {
+    throw withdrawError;
+  }
+
+  notifyJobUpdated(job);
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer accepted',
+    data: job
+  });
+};
+
+/**
+ * Decline a job offer
+ * POST /api/jobs/offers/:offerId/decline
+ */
+const declineOffer = async (req, res) => {
+  const lookup = await findPendingOffer(req.params.offerId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { data: offer, error } = await supabase
+    .from('job_offers')
+    .update({ status: OFFER_STATUS.DECLINED, responded_at: new Date().toISOString() })
+    .eq('id', lookup.data.id)
+    .eq('status', OFFER_STATUS.PENDING)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!offer) {
+    throw new ConflictError('Offer is no longer pending');
+  }
+
+  const job = await findJob(offer.job_id);
+  if (job) {
+    emitToUser(job.owner_id, 'job:offer_declined', offer);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer declined',
+    data: offer
+  });
+};
+
+/**
+ * Build a handler that moves a job to a new status
+ * @param {Object} options
+ * @param {string} options.to - Target status
+ * @param {Function} options.isAllowed - (job, userId) => boolean, who may perform the transition
+ * @param {string} options.timestampColumn - Column recording when the transition happened
+ * @param {string} options.successMessage - Response message
+ * @returns {Function} Express handler
+ */
+const transitionJob = ({ to, isAllowed, timestampColumn, successMessage }) => async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidUUID(jobId)) {
+    throw new ValidationError('Invalid job id');
+  }
+
+  const job = await findJob(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (!isAllowed(job, req.user.userId)) {
+    throw new ForbiddenError('Unauthorized to update this job');
+  }
+
+  if (!canTransition(job.status, to)) {
+    throw new ConflictError(`Cannot move a job from ${job.status} to ${to}`);
+  }
+
+  const now = new Date().toISOString();
+  const updateData = { status: to, [timestampColumn]: now, updated_at: now };
+
+  if (to === JOB_STATUS.CANCELLED) {
+    const { reason } = req.body || {};
+    updateData.cancelled_by = req.user.userId;
+    updateData.cancellation_reason = typeof reason === 'string' ? reason.trim() : null;
+  }
+
+  // Only apply if the status hasn't changed since it was read
+  const { data: updated, error } = await supabase
+    .from('jobs')
+    .update(updateData)
+    .eq('id', job.id)
+    .eq('status', job.status)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!updated) {
+    throw new ConflictError('Job was updated by someone else, please reload it');
+  }
+
+  if (to === JOB_STATUS.CANCELLED) {
+    const { error: withdrawError } = await supabase
+      .from('job_offers')
+      .update({ status: OFFER_STATUS.WITHDRAWN, responded_at: now })
+      .eq('job_id', job.id)
+      .eq('status', OFFER_STATUS.PENDING);
+
+    if (withdrawError) {
+      throw withdrawError;
+    }
+  }
+
+  notifyJobUpdated(updated);
+
+  res.status(200).json({
+    success: true,
+    message: successMessage,
+    data: updated
+  });
+};
+
+const isAssignedHousekeeper = (job, userId) => job.housekeeper_id === userId;
+const isOwnerOrAssignedHousekeeper = (job, userId) => job.owner_id === userId || job.housekeeper_id === userId;
+
+/**
+ * Start an accepted job
+ * POST /api/jobs/:jobId/start
+ */
+const startJob = transitionJob({
+  to: JOB_STATUS.IN_PROGRESS,
+  isAllowed: isAssignedHousekeeper,
+  timestampColumn: 'started_at',
+  successMessage: 'Job started'
+});
+
+/**
+ * Complete a job in progress
+ * POST /api/jobs/:jobId/complete
+ */
+const completeJob = transitionJob({
+  to: JOB_STATUS.COMPLETED,
+  isAllowed: isAssignedHousekeeper,
+  timestampColumn: 'completed_at',
+  successMessage: 'Job completed'
+});
+
+/**
+ * Cancel a job that hasn't started
+ * POST /api/jobs/:jobId/cancel
+ *
+ * Body: { reason? }
+ */
+const cancelJob = transitionJob({
+  to: JOB_STATUS.CANCELLED,
+  isAllowed: isOwnerOrAssignedHousekeeper,
+  timestampColumn: 'cancelled_at',
+  successMessage: 'Job cancelled'
+});
+
+module.exports = {
+  createJob,
+  listJobs,
+  getJob,
+  addOffers,
+  listOffers,
+  acceptOffer,
+  declineOffer,
+  startJob,
+  completeJob,
+  cancelJob
+};
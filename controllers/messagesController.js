@@ -1,214 +1,231 @@
-const supabase = require('../config/supabase');
-const { validateRequiredFields } = require('../utils/validate');
+const repositories = require('../repositories');
+const { parseCursorQuery, parsePageQuery } = require('../utils/pagination');
+const {
+  createMessage,
+  editMessage: updateMessageText,
+  getMessageHistory: findMessageHistory,
+  conversationScope,
+  inboxScope,
+  getMessagePage,
+  getConversationSummaries,
+  searchVisibleMessages,
+  findMessageForParticipant,
+  withDeliveryStatus,
+  markDelivered,
+  markConversationRead
+} = require('../services/messageService');
+const { findAttachmentForParticipant } = require('../services/attachmentService');
+const { getParticipants } = require('../services/conversationService');
+const { getBlockedUserIds } = require('../services/blockService');
+const { readFile } = require('../storage');
+const { emitToUser } = require('../socket');
+const { getDirectoryRules } = require('../policies/messagingPolicy');
+const { ForbiddenError, ValidationError, createHttpError } = require('../utils/errors');
+
+/**
+ * Mark a fetched page as delivered for the receiving user, notify the senders
+ * and attach delivery statuses to every message
+ * @param {string} userId - User who fetched the messages
+ * @param {Array<Object>} messages - Fetched message rows
+ * @returns {Promise<Array<Object>>} Messages with status
+ */
+const deliverMessages = async (userId, messages) => {
+  const delivered = await markDelivered(userId, messages);
+
+  delivered.forEach(message => {
+    emitToUser(message.sender_id, 'message:delivered', {
+      id: message.id,
+      receiver_id: message.receiver_id,
+      delivered_at: message.delivered_at
+    });
+  });
+
+  return messages.map(withDeliveryStatus);
+};
 
 /**
  * Get messages for the authenticated user
- * GET /api/messages/:userId
+ * GET /api/messages/:userId?before=&after=&limit=
  */
 const getMessages = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const authenticatedUserId = req.user.userId;
-
-    // Verify user can only access their own messages
-    if (userId !== authenticatedUserId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Unauthorized to view these messages'
-      });
-    }
-
-    // Get all messages where the user is either sender or receiver
-    const { data: messages, error } = await supabase
-      .from('messages')
-      .select('*')
-      .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`)
-      .order('created_at', { ascending: true });
+  // Route policy (isOwnInbox) guarantees userId is the authenticated user
+  const { userId } = req.params;
+  const authenticatedUserId = req.user.userId;
 
-    if (error) {
-      throw error;
-    }
+  const pagination = parseCursorQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
 
-    res.status(200).json({
-      success: true,
-      data: messages || []
-    });
+  // Get messages where the user is sender or receiver and hasn't deleted them
+  const result = await getMessagePage(inboxScope(userId), pagination);
 
-  } catch (error) {
-    console.error('Get messages error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching messages',
-      error: error.message
-    });
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
   }
+
+  res.status(200).json({
+    success: true,
+    data: await deliverMessages(authenticatedUserId, result.data),
+    pagination: result.pagination
+  });
 };
 
 /**
  * Get conversation between two users
- * GET /api/messages/conversation/:otherUserId
+ * GET /api/messages/conversation/:otherUserId?before=&after=&limit=&jobId=
  */
 const getConversation = async (req, res) => {
-  try {
-    const { otherUserId } = req.params;
-    const authenticatedUserId = req.user.userId;
-
-    // Get messages where user is sender and other is receiver (not deleted for sender)
-    const { data: sentMessages, error: sentError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('sender_id', authenticatedUserId)
-      .eq('receiver_id', otherUserId)
-      .eq('deleted_for_sender', false);
-
-    if (sentError) {
-      throw sentError;
-    }
+  const { otherUserId } = req.params;
+  const authenticatedUserId = req.user.userId;
 
-    // Get messages where user is receiver and other is sender (not deleted for receiver)
-    const { data: receivedMessages, error: receivedError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('sender_id', otherUserId)
-      .eq('receiver_id', authenticatedUserId)
-      .eq('deleted_for_receiver', false);
+  const pagination = parseCursorQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
 
-    if (receivedError) {
-      throw receivedError;
-    }
+  const { jobId } = req.query;
 
-    // Combine and sort messages
-    const messages = [...(sentMessages || []), ...(receivedMessages || [])]
-      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  // Messages in both directions, minus the ones this user has deleted for themselves
+  const result = await getMessagePage(
+    conversationScope(authenticatedUserId, otherUserId),
+    { ...pagination, jobId }
+  );
 
-    res.status(200).json({
-      success: true,
-      data: messages || []
-    });
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await deliverMessages(authenticatedUserId, result.data),
+    pagination: result.pagination
+  });
+};
+
+/**
+ * Mark messages from another user as read
+ * PATCH /api/messages/conversation/:otherUserId/read
+ *
+ * Body: { upToMessageId } - optional, marks everything received up to and including
+ * this message; when omitted every received message in the conversation is marked read
+ */
+const markAsRead = async (req, res) => {
+  const { otherUserId } = req.params;
+  const authenticatedUserId = req.user.userId;
+  const { upToMessageId } = req.body || {};
+
+  const result = await markConversationRead(authenticatedUserId, otherUserId, upToMessageId);
 
-  } catch (error) {
-    console.error('Get conversation error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching conversation',
-      error: error.message
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
+
+  // Let the sender update read receipts in real time
+  if (result.data.message_ids.length > 0) {
+    emitToUser(otherUserId, 'message:read', {
+      reader_id: authenticatedUserId,
+      message_ids: result.data.message_ids,
+      read_at: result.data.read_at
     });
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Messages marked as read',
+    data: result.data
+  });
+};
+
+/**
+ * Get the authenticated user's conversation list
+ * GET /api/messages/conversations
+ *
+ * One entry per counterpart with their profile, the latest visible message
+ * and the number of unread messages, ordered by most recent activity
+ */
+const getConversations = async (req, res) => {
+  const conversations = await getConversationSummaries(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: conversations
+  });
+};
+
+/**
+ * Search the caller's messages
+ * GET /api/messages/search?q=&counterpartId=&from=&to=&page=&limit=
+ *
+ * Only messages still visible to the caller are searched; deleted ones are skipped
+ */
+const searchMessages = async (req, res) => {
+  const { q, counterpartId, from, to } = req.query;
+
+  const pagination = parsePageQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
+
+  const { results, total } = await searchVisibleMessages(req.user.userId, {
+    query: q.trim(),
+    counterpartId,
+    from,
+    to,
+    limit: pagination.limit,
+    offset: pagination.offset
+  });
+
+  res.status(200).json({
+    success: true,
+    data: results,
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total,
+      hasMore: pagination.offset + results.length < total
+    }
+  });
 };
 
 /**
  * Get list of users for chat (excluding current user)
- * GET /api/messages/users
+ * GET /api/messages/users/list
  * 
- * Access Rules:
+ * Access Rules (see policies/messagingPolicy.js):
  * - Housekeepers can see ALL owners
  * - Owners can see ALL other owners and housekeepers they have messaged with
+ * - Admins can see everyone
  */
 const getUsers = async (req, res) => {
-  try {
-    const authenticatedUserId = req.user.userId;
-    console.log('Fetching users for authenticated user:', authenticatedUserId);
-
-    // First, get the current user's role
-    const { data: currentProfile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('user_id', authenticatedUserId)
-      .single();
-
-    if (profileError || !currentProfile) {
-      throw new Error('Could not find user profile');
-    }
+  const authenticatedUserId = req.user.userId;
+  const { listed, listedAfterConversation } = getDirectoryRules(req.user.role);
+  const blockedUserIds = await getBlockedUserIds(authenticatedUserId);
 
-    const currentUserRole = currentProfile.role;
-
-    let profiles = [];
-
-    if (currentUserRole === 'housekeeper') {
-      // Housekeepers can see ALL owners
-      const { data, error } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('role', 'owner')
-        .neq('user_id', authenticatedUserId)
-        .order('name', { ascending: true });
-
-      if (error) {
-        throw error;
-      }
-      profiles = data || [];
-    } else if (currentUserRole === 'owner') {
-      // Owners can see ALL other owners
-      // Get all owners first
-      const { data: allOwners, error: ownersError } = await supabase
-        .from('profiles')
-        .select('*')
-        .eq('role', 'owner')
-        .neq('user_id', authenticatedUserId)
-        .order('name', { ascending: true });
-
-      if (ownersError) {
-        throw ownersError;
-      }
-
-      // Get housekeepers they have messaged with
-      // Get all users who have messaged with this owner OR have received messages from this owner
-      const { data: messageData, error: messageError } = await supabase
-        .from('messages')
-        .select('sender_id, receiver_id')
-        .or(`sender_id.eq.${authenticatedUserId},receiver_id.eq.${authenticatedUserId}`);
-
-      if (messageError) {
-        throw messageError;
-      }
-
-      // Extract unique user IDs that the owner has conversed with
-      const conversedUserIds = new Set();
-      if (messageData) {
-        messageData.forEach(msg => {
-          if (msg.sender_id === authenticatedUserId) {
-            conversedUserIds.add(msg.receiver_id);
-          } else if (msg.receiver_id === authenticatedUserId) {
-            conversedUserIds.add(msg.sender_id);
-          }
-        });
-      }
-
-      // Get profiles of housekeepers that the owner has conversed with
-      let conversedHousekeepers = [];
-      if (conversedUserIds.size > 0) {
-        const { data, error } = await supabase
-          .from('profiles')
-          .select('*')
-          .eq('role', 'housekeeper')
-          .in('user_id', Array.from(conversedUserIds))
-          .order('name', { ascending: true });
-
-        if (error) {
-          throw error;
-        }
-        conversedHousekeepers = data || [];
-      }
-
-      // Combine all owners with housekeepers they've conversed with
-      profiles = [...(allOwners || []), ...conversedHousekeepers];
-    }
+  let profiles = [];
 
-    console.log('Returning profiles:', profiles?.length || 0);
+  if (listed.length > 0) {
+    profiles = await repositories.profiles.listByRoles(listed, { excludeUserId: authenticatedUserId });
+  }
 
-    res.status(200).json({
-      success: true,
-      data: profiles || []
-    });
+  if (listedAfterConversation.length > 0) {
+    // Get all users who have messaged with this user OR have received messages from this user
+    const conversedUserIds = await repositories.messages.listDirectCounterpartIds(authenticatedUserId);
 
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching users',
-      error: error.message
-    });
+    // Get profiles of the conversed users whose role is only listed after a conversation
+    if (conversedUserIds.length > 0) {
+      const conversedProfiles = await repositories.profiles.listByRoles(listedAfterConversation, {
+        userIds: conversedUserIds
+      });
+      profiles = [...profiles, ...conversedProfiles];
+    }
   }
+
+  // Users blocked in either direction disappear from each other's lists
+  res.status(200).json({
+    success: true,
+    data: profiles.filter(profile => !blockedUserIds.has(profile.user_id))
+  });
 };
 
 /**
@@ -216,238 +233,187 @@ const getUsers = async (req, res) => {
  * POST /api/messages
  */
 const sendMessage = async (req, res) => {
-  try {
-    const { receiver_id, message } = req.body;
-    const sender_id = req.user.userId;
-
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['receiver_id', 'message']);
-    if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        message: validation.message
-      });
-    }
+  const { receiver_id, conversation_id, message, job_id } = req.body || {};
+  const sender_id = req.user.userId;
+
+  const result = await createMessage({
+    senderId: sender_id,
+    senderRole: req.user.role,
+    receiverId: receiver_id,
+    conversationId: conversation_id,
+    message,
+    jobId: job_id,
+    files: req.files || []
+  });
+
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
 
-    // Validate message is not empty
-    if (!message.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Message cannot be empty'
-      });
-    }
+  const newMessage = result.data;
 
-    // Verify receiver exists
-    const { data: receiverExists, error: checkError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('id', receiver_id)
-      .single();
-
-    if (checkError || !receiverExists) {
-      return res.status(404).json({
-        success: false,
-        message: 'Receiver not found'
-      });
-    }
+  // Push the new message to the receiver (or every other group participant) in real time
+  result.recipientIds.forEach(userId => emitToUser(userId, 'message:new', newMessage));
 
-    // Prevent sending message to self
-    if (sender_id === receiver_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot send message to yourself'
-      });
-    }
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully',
+    data: newMessage
+  });
+};
 
-    // Get sender's role to enforce access rules
-    const { data: senderProfile, error: senderProfileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('user_id', sender_id)
-      .single();
-
-    if (senderProfileError || !senderProfile) {
-      return res.status(400).json({
-        success: false,
-        message: 'Sender profile not found'
-      });
+/**
+ * Delete a message
+ * DELETE /api/messages/:messageId
+ */
+const deleteMessage = async (req, res) => {
+  const { messageId } = req.params;
+  const authenticatedUserId = req.user.userId;
+  const { deleteForEveryone } = req.body || {};
+
+  // Get the message and verify user is the sender or receiver
+  const lookup = await findMessageForParticipant(messageId, authenticatedUserId, 'delete');
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const message = lookup.data;
+
+  if (deleteForEveryone === true) {
+    // Only sender can delete for everyone
+    if (message.sender_id !== authenticatedUserId) {
+      throw new ForbiddenError('Only the sender can delete messages for everyone');
     }
 
-    const senderRole = senderProfile.role;
-
-    // If sender is owner, apply messaging restrictions
-    if (senderRole === 'owner') {
-      // Get receiver's role
-      const { data: receiverProfile, error: receiverProfileError } = await supabase
-        .from('profiles')
-        .select('role')
-        .eq('user_id', receiver_id)
-        .single();
-
-      if (receiverProfileError || !receiverProfile) {
-        return res.status(404).json({
-          success: false,
-          message: 'Receiver not found'
-        });
-      }
-
-      // Owners can message other owners freely, but need existing conversation for housekeepers
-      // If owner is trying to message a housekeeper, verify there's existing conversation
-      if (receiverProfile.role === 'housekeeper') {
-        // Check if there's any message between these two users
-        const { data: sentMessages, error: sentError } = await supabase
-          .from('messages')
-          .select('id')
-          .eq('sender_id', sender_id)
-          .eq('receiver_id', receiver_id)
-          .limit(1);
-
-        const { data: receivedMessages, error: receivedError } = await supabase
-          .from('messages')
-          .select('id')
-          .eq('sender_id', receiver_id)
-          .eq('receiver_id', sender_id)
-          .limit(1);
-
-        if (sentError || receivedError) {
-          throw sentError || receivedError;
-        }
-
-        // Only allow if there's an existing conversation (housekeeper initiated or previous messages)
-        const hasConversation = (sentMessages && sentMessages.length > 0) || 
-                                (receivedMessages && receivedMessages.length > 0);
-
-        if (!hasConversation) {
-          return res.status(403).json({
-            success: false,
-            message: 'You can only message housekeepers who have messaged you first'
-          });
-        }
-      }
+    // Delete for everyone - mark as deleted for both
+    await repositories.messages.update(message.id, {
+      deleted_for_sender: true,
+      deleted_for_receiver: true
+    });
+
+    // Let every participant remove the message from open conversations
+    const deletedPayload = {
+      id: message.id,
+      sender_id: message.sender_id,
+      receiver_id: message.receiver_id,
+      conversation_id: message.conversation_id
+    };
+    const recipientIds = message.conversation_id
+      ? (await getParticipants(message.conversation_id)).map(participant => participant.user_id)
+      : [message.receiver_id, message.sender_id];
+    recipientIds.forEach(userId => emitToUser(userId, 'message:deleted', deletedPayload));
+  } else {
+    // Group messages have one flag for all receivers, so only the sender can hide their own copy
+    if (message.conversation_id && message.sender_id !== authenticatedUserId) {
+      throw new ValidationError('In group conversations you can only delete your own messages');
     }
 
-    // Insert message
-    const { data: newMessage, error: insertError } = await supabase
-      .from('messages')
-      .insert([{
-        sender_id,
-        receiver_id,
-        message: message.trim()
-      }])
-      .select('*')
-      .single();
-
-    if (insertError) {
-      throw insertError;
+    // Delete for me only
+    const updateData = {};
+    if (message.sender_id === authenticatedUserId) {
+      updateData.deleted_for_sender = true;
+    } else {
+      updateData.deleted_for_receiver = true;
     }
 
-    res.status(201).json({
-      success: true,
-      message: 'Message sent successfully',
-      data: newMessage
-    });
+    await repositories.messages.update(message.id, updateData);
+  }
 
-  } catch (error) {
-    console.error('Send message error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error sending message',
-      error: error.message
-    });
+  res.status(200).json({
+    success: true,
+    message: deleteForEveryone ? 'Message deleted for everyone' : 'Message deleted for you'
+  });
+};
+
+/**
+ * Edit a message the caller sent
+ * PATCH /api/messages/:messageId
+ *
+ * Body: { message } - allowed within MESSAGE_EDIT_WINDOW_MINUTES of sending
+ */
+const editMessage = async (req, res) => {
+  const { messageId } = req.params;
+
+  const result = await updateMessageText({
+    messageId,
+    userId: req.user.userId,
+    userRole: req.user.role,
+    message: (req.body || {}).message
+  });
+
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
   }
+
+  const editedMessage = result.data;
+
+  result.recipientIds.forEach(userId => emitToUser(userId, 'message:edited', editedMessage));
+
+  res.status(200).json({
+    success: true,
+    message: 'Message updated',
+    data: editedMessage
+  });
 };
 
 /**
- * Delete a message
- * DELETE /api/messages/:messageId
+ * Get the previous versions of a message
+ * GET /api/messages/:messageId/history
  */
-const deleteMessage = async (req, res) => {
-  try {
-    const { messageId } = req.params;
-    const authenticatedUserId = req.user.userId;
-    const { deleteForEveryone } = req.body;
-
-    // Get the message
-    const { data: message, error: fetchError } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('id', messageId)
-      .single();
-
-    if (fetchError || !message) {
-      return res.status(404).json({
-        success: false,
-        message: 'Message not found'
-      });
-    }
+const getMessageHistory = async (req, res) => {
+  const { messageId } = req.params;
 
-    // Verify user has permission (must be sender or receiver)
-    if (message.sender_id !== authenticatedUserId && message.receiver_id !== authenticatedUserId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Unauthorized to delete this message'
-      });
-    }
+  const result = await findMessageHistory(messageId, req.user.userId);
 
-    if (deleteForEveryone === true) {
-      // Only sender can delete for everyone
-      if (message.sender_id !== authenticatedUserId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the sender can delete messages for everyone'
-        });
-      }
-
-      // Delete for everyone - mark as deleted for both
-      const { error: deleteError } = await supabase
-        .from('messages')
-        .update({
-          deleted_for_sender: true,
-          deleted_for_receiver: true
-        })
-        .eq('id', messageId);
-
-      if (deleteError) {
-        throw deleteError;
-      }
-    } else {
-      // Delete for me only
-      const updateData = {};
-      if (message.sender_id === authenticatedUserId) {
-        updateData.deleted_for_sender = true;
-      } else {
-        updateData.deleted_for_receiver = true;
-      }
-
-      const { error: deleteError } = await supabase
-        .from('messages')
-        .update(updateData)
-        .eq('id', messageId);
-
-      if (deleteError) {
-        throw deleteError;
-      }
-    }
+  if (!result.success) {
+    throw createHttpError(result.status, result.message);
+  }
 
-    res.status(200).json({
-      success: true,
-      message: deleteForEveryone ? 'Message deleted for everyone' : 'Message deleted for you'
-    });
+  res.status(200).json({
+    success: true,
+    data: result.data
+  });
+};
 
-  } catch (error) {
-    console.error('Delete message error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting message',
-      error: error.message
-    });
+/**
+ * Download a message attachment
+ * GET /api/messages/attachments/:attachmentId
+ *
+ * Only the sender and receiver can download, and only while the message is visible to them
+ */
+const getAttachment = async (req, res) => {
+  const { attachmentId } = req.params;
+
+  const lookup = await findAttachmentForParticipant(attachmentId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
   }
+
+  const attachment = lookup.data;
+  const contents = await readFile(attachment.storage_key);
+  const disposition = attachment.content_type.startsWith('image/') ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': attachment.content_type,
+    'Content-Length': contents.length,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.status(200).send(contents);
 };
 
 module.exports = {
   getMessages,
   getConversation,
+  getConversations,
+  searchMessages,
+  markAsRead,
   getUsers,
   sendMessage,
-  deleteMessage
+  deleteMessage,
+  editMessage,
+  getMessageHistory,
+  getAttachment
 };
@@ -0,0 +1,400 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/validate');
+const { ROLES } = require('../config/roles');
+const { OFFER_STATUS } = require('../config/jobStatus');
+const { ACTIVE_JOB_STATUSES } = require('../services/jobService');
+const { ForbiddenError, NotFoundError, ValidationError, createHttpError } = require('../utils/errors');
+
+// Fields only shown to the owner and to housekeepers with an active engagement
+const SENSITIVE_FIELDS = ['access_instructions'];
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isOptionalString = (value) => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Validate property fields
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (PATCH)
+ * @returns {Object} { isValid: boolean, message?: string, values?: Object }
+ */
+const validatePropertyInput = (body, { partial = false } = {}) => {
+  const values = {};
+
+  for (const field of ['address_line1', 'city', 'postcode']) {
+    if (body[field] === undefined && partial) {
+      continue;
+    }
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      return { isValid: false, message: `${field} is required` };
+    }
+    values[field] = body[field].trim();
+  }
+
+  for (const field of ['name', 'address_line2', 'country', 'access_instructions']) {
+    if (!isOptionalString(body[field])) {
+      return { isValid: false, message: `${field} must be a string` };
+    }
+    if (body[field] !== undefined) {
+      values[field] = body[field] === null ? null : body[field].trim();
+    }
+  }
+
+  if (body.size_sqm !== undefined) {
+    if (body.size_sqm !== null && (typeof body.size_sqm !== 'number' || !(body.size_sqm > 0))) {
+      return { isValid: false, message: 'size_sqm must be a positive number' };
+    }
+    values.size_sqm = body.size_sqm;
+  }
+
+  for (const field of ['bedrooms', 'bathrooms']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && !isNonNegativeInteger(body[field])) {
+        return { isValid: false, message: `${field} must be a non-negative integer` };
+      }
+      values[field] = body[field];
+    }
+  }
+
+  if (body.rooms !== undefined) {
+    const validRooms = Array.isArray(body.rooms) && body.rooms.every(room =>
+      room && typeof room.name === 'string' && room.name.trim() && isOptionalString(room.type) && isOptionalString(room.notes)
+    );
+    if (!validRooms) {
+      return { isValid: false, message: 'rooms must be an array of { name, type?, notes? }' };
+    }
+    values.rooms = body.rooms;
+  }
+
+  if (body.checklist_templates !== undefined) {
+    const validTemplates = Array.isArray(body.checklist_templates) && body.checklist_templates.every(template =>
+      template && typeof template.name === 'string' && template.name.trim() &&
+      Array.isArray(template.items) && template.items.every(item => typeof item === 'string' && item.trim())
+    );
+    if (!validTemplates) {
+      return { isValid: false, message: 'checklist_templates must be an array of { name, items: [string] }' };
+    }
+    values.checklist_templates = body.checklist_templates;
+  }
+
+  if (body.photos !== undefined) {
+    const validPhotos = Array.isArray(body.photos) && body.photos.every(photo =>
+      photo && typeof photo.url === 'string' && photo.url.trim() &&
+      isOptionalString(photo.caption) && isOptionalString(photo.room) && isOptionalString(photo.content_type) &&
+      (photo.width === undefined || isNonNegativeInteger(photo.width)) &&
+      (photo.height === undefined || isNonNegativeInteger(photo.height))
+    );
+    if (!validPhotos) {
+      return { isValid: false, message: 'photos must be an array of { url, caption?, room?, content_type?, width?, height? }' };
+    }
+    values.photos = body.photos;
+  }
+
+  return { isValid: true, values };
+};
+
+/**
+ * Work out which properties a housekeeper may see
+ * - every property of an owner they have an active (accepted/in progress) job with
+ * - properties of jobs they were assigned or offered
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @returns {Promise<Object>} { propertyIds: Set<string>, engagedOwnerIds: Set<string> }
+ */
+const getHousekeeperAccess = async (housekeeperId) => {
+  const { data: jobs, error: jobsError } = await supabase
+    .from('jobs')
+    .select('owner_id, property_id, status')
+    .eq('housekeeper_id', housekeeperId);
+
+  if (jobsError) {
+    throw jobsError;
+  }
+
+  const { data: offers, error: offersError } = await supabase
+    .from('job_offers')
+    .select('job:jobs(property_id)')
+    .eq('housekeeper_id', housekeeperId)
+    .neq('status', OFFER_STATUS.WITHDRAWN);
+
+  if (offersError) {
+    throw offersError;
+  }
+
+  const propertyIds = new Set();
+  const engagedOwnerIds = new Set();
+
+  (jobs || []).forEach(job => {
+    if (job.property_id) {
+      propertyIds.add(job.property_id);
+    }
+    if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+      engagedOwnerIds.add(job.owner_id);
+    }
+  });
+
+  (offers || []).forEach(offer => {
+    if (offer.job && offer.job.property_id) {
+      propertyIds.add(offer.job.property_id);
+    }
+  });
+
+  return { propertyIds, engagedOwnerIds };
+};
+
+/**
+ * Remove access details from a property
+ * @param {Object} property - Property row
+ * @returns {Object} Property without sensitive fields
+ */
+const withoutAccessDetails = (property) => {
+  const visible = { ...property };
+  SENSITIVE_FIELDS.forEach(field => {
+    delete visible[field];
+  });
+  return visible;
+};
+
+/**
+ * Get a property owned by the caller
+ * @param {string} propertyId - Property ID
+ * @param {string} ownerId - Authenticated owner ID
+ * @returns {Promise<Object>} { success: true, data } or { success: false, status, message }
+ */
+const findOwnedProperty = async (propertyId, ownerId) => {
+  if (!isValidUUID(propertyId)) {
+    return { success: false, status: 400, message: 'Invalid property id' };
+  }
+
+  const { data: property, error } = await supabase
+    .from('properties')
+    .select('*')
+    .eq('id', propertyId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!property) {
+    return { success: false, status: 404, message: 'Property not found' };
+  }
+
+  if (property.owner_id !== ownerId) {
+    return { success: false, status: 403, message: 'Only the owner can change this property' };
+  }
+
+  return { success: true, data: property };
+};
+
+/**
+ * List properties visible to the caller
+ * GET /api/properties
+ *
+ * Owners see their own properties, housekeepers see properties they work at
+ * (access details only while engaged with the owner), admins see all without access details
+ */
+const listProperties = async (req, res) => {
+  const { userId, role } = req.user;
+  let properties = [];
+
+  if (role === ROLES.OWNER) {
+    const { data, error } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('owner_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    properties = data || [];
+  } else if (role === ROLES.HOUSEKEEPER) {
+    const { propertyIds, engagedOwnerIds } = await getHousekeeperAccess(userId);
+    const filters = [];
+
+    if (propertyIds.size > 0) {
+      filters.push(`id.in.(${[...propertyIds].join(',')})`);
+    }
+    if (engagedOwnerIds.size > 0) {
+      filters.push(`owner_id.in.(${[...engagedOwnerIds].join(',')})`);
+    }
+
+    if (filters.length > 0) {
+      const { data, error } = await supabase
+        .from('properties')
+        .select('*')
+        .or(filters.join(','))
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+      properties = (data || []).map(property =>
+        engagedOwnerIds.has(property.owner_id) ? property : withoutAccessDetails(property)
+      );
+    }
+  } else if (role === ROLES.ADMIN) {
+    const { data, error } = await supabase
+      .from('properties')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    properties = (data || []).map(withoutAccessDetails);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: properties
+  });
+};
+
+/**
+ * Get a property
+ * GET /api/properties/:propertyId
+ */
+const getProperty = async (req, res) => {
+  const { propertyId } = req.params;
+  const { userId, role } = req.user;
+
+  if (!isValidUUID(propertyId)) {
+    throw new ValidationError('Invalid property id');
+  }
+
+  const { data: property, error } = await supabase
+    .from('properties')
+    .select('*')
+    .eq('id', propertyId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  if (!property) {
+    throw new NotFoundError('Property not found');
+  }
+
+  let visible = null;
+
+  if (property.owner_id === userId) {
+    visible = property;
+  } else if (role === ROLES.HOUSEKEEPER) {
+    const { propertyIds, engagedOwnerIds } = await getHousekeeperAccess(userId);
+    if (engagedOwnerIds.has(property.owner_id)) {
+      visible = property;
+    } else if (propertyIds.has(property.id)) {
+      visible = withoutAccessDetails(property);
+    }
+  } else if (role === ROLES.ADMIN) {
+    visible = withoutAccessDetails(property);
+  }
+
+  if (!visible) {
+    throw new ForbiddenError('Unauthorized to view this property');
+  }
+
+  res.status(200).json({
+    success: true,
+    data: visible
+  });
+};
+
+/**
+ * Create a property
+ * POST /api/properties
+ */
+const createProperty = async (req, res) => {
+  const validation = validatePropertyInput(req.body || {});
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  const { data: property, error } = await supabase
+    .from('properties')
+    .insert([{ ...validation.values, owner_id: req.user.userId }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Property created successfully',
+    data: property
+  });
+};
+
+/**
+ * Update a property
+ * PATCH /api/properties/:propertyId
+ */
+const updateProperty = async (req, res) => {
+  const lookup = await findOwnedProperty(req.params.propertyId, req.user.userId);
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const validation = validatePropertyInput(req.body || {}, { partial: true });
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  if (Object.keys(validation.values).length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  const { data: property, error } = await supabase
+    .from('properties')
+    .update({ ...validation.values, updated_at: new Date().toISOString() })
+    .eq('id', lookup.data.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Property updated successfully',
+    data: property
+  });
+};
+
+/**
+ * Delete a property
+ * DELETE /api/properties/:propertyId
+ *
+ * Jobs at the property keep their copy of the address
+ */
+const deleteProperty = async (req, res) => {
+  const lookup = await findOwnedProperty(req.params.propertyId, req.user.userId);
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { error } = await supabase
+    .from('properties')
+    .delete()
+    .eq('id', lookup.data.id);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Property deleted successfully'
+  });
+};
+
+module.exports = {
+  listProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty
+};
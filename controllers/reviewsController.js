@@ -0,0 +1,290 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/validate');
+const { parsePageQuery } = require('../utils/pagination');
+const { JOB_STATUS } = require('../config/jobStatus');
+const { ROLES } = require('../config/roles');
+const { findJob } = require('../services/jobService');
+const { REVIEW_EDIT_WINDOW_HOURS, isEditable } = require('../services/reviewService');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Validate review fields
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow a missing rating (PATCH)
+ * @returns {Object} { isValid: boolean, message?: string, values?: Object }
+ */
+const validateReviewInput = (body, { partial = false } = {}) => {
+  const values = {};
+
+  if (body.rating !== undefined || !partial) {
+    if (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5) {
+      return { isValid: false, message: 'rating must be an integer from 1 to 5' };
+    }
+    values.rating = body.rating;
+  }
+
+  if (body.comment !== undefined) {
+    if (body.comment !== null && typeof body.comment !== 'string') {
+      return { isValid: false, message: 'comment must be a string' };
+    }
+    if (body.comment && body.comment.length > MAX_COMMENT_LENGTH) {
+      return { isValid: false, message: `comment can't be longer than ${MAX_COMMENT_LENGTH} characters` };
+    }
+    values.comment = body.comment === null ? null : body.comment.trim();
+  }
+
+  return { isValid: true, values };
+};
+
+/**
+ * Add reviewer name and role to reviews
+ * @param {Array<Object>} reviews - Review rows
+ * @returns {Promise<Array<Object>>} Reviews with a reviewer field
+ */
+const withReviewers = async (reviews) => {
+  if (reviews.length === 0) {
+    return reviews;
+  }
+
+  const { data: profiles, error } = await supabase
+    .from('profiles')
+    .select('user_id, name, role')
+    .in('user_id', [...new Set(reviews.map(review => review.reviewer_id))]);
+
+  if (error) {
+    throw error;
+  }
+
+  const profilesByUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+
+  return reviews.map(review => ({
+    ...review,
+    reviewer: profilesByUserId.get(review.reviewer_id) || { user_id: review.reviewer_id }
+  }));
+};
+
+/**
+ * Review the other party of a completed job
+ * POST /api/reviews
+ *
+ * Body: { job_id, rating (1-5), comment? }
+ * Owners review the housekeeper who did the job and housekeepers review the owner, once per job
+ */
+const createReview = async (req, res) => {
+  const { userId } = req.user;
+  const { job_id: jobId } = req.body || {};
+
+  if (!isValidUUID(jobId)) {
+    throw new ValidationError('A valid job_id is required');
+  }
+
+  const validation = validateReviewInput(req.body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  const job = await findJob(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  if (job.owner_id !== userId && job.housekeeper_id !== userId) {
+    throw new ForbiddenError('You can only review jobs you took part in');
+  }
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    throw new ConflictError('Reviews can only be left once the job is completed');
+  }
+
+  const revieweeId = job.owner_id === userId ? job.housekeeper_id : job.owner_id;
+
+  const { data: review, error } = await supabase
+    .from('reviews')
+    .insert([{
+      job_id: job.id,
+      reviewer_id: userId,
+      reviewee_id: revieweeId,
+      ...validation.values
+    }])
+    .select('*')
+    .single();
+
+  if (error && error.code === '23505') {
+    throw new ConflictError('You have already reviewed this job');
+  }
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Review posted',
+    data: review
+  });
+};
+
+/**
+ * Edit your own review while the edit window is open
+ * PATCH /api/reviews/:reviewId
+ *
+ * Body: { rating?, comment? }
+ */
+const updateReview = async (req, res) => {
+  const { reviewId } = req.params;
+
+  if (!isValidUUID(reviewId)) {
+    throw new ValidationError('Invalid review id');
+  }
+
+  const validation = validateReviewInput(req.body || {}, { partial: true });
+  if (!validation.isValid) {
+    throw new ValidationError(validation.message);
+  }
+
+  if (Object.keys(validation.values).length === 0) {
+    throw new ValidationError('No fields to update');
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('reviews')
+    .select('*')
+    .eq('id', reviewId)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw fetchError;
+  }
+  if (!existing) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (existing.reviewer_id !== req.user.userId) {
+    throw new ForbiddenError('You can only edit your own reviews');
+  }
+
+  if (!isEditable(existing)) {
+    throw new ForbiddenError(`Reviews can only be edited within ${REVIEW_EDIT_WINDOW_HOURS} hours of posting`);
+  }
+
+  const { data: review, error } = await supabase
+    .from('reviews')
+    .update({ ...validation.values, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Review updated',
+    data: review
+  });
+};
+
+/**
+ * List reviews a user received, newest first, with their rating summary
+ * GET /api/reviews/user/:userId?page=&limit=
+ */
+const listUserReviews = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidUUID(userId)) {
+    throw new ValidationError('Invalid user id');
+  }
+
+  const pagination = parsePageQuery(req.query);
+  if (!pagination.isValid) {
+    throw new ValidationError(pagination.message);
+  }
+
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('user_id, name, role, rating_average, rating_count')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (profileError) {
+    throw profileError;
+  }
+  if (!profile) {
+    throw new NotFoundError('User not found');
+  }
+
+  const { data: reviews, error, count } = await supabase
+    .from('reviews')
+    .select('*', { count: 'exact' })
+    .eq('reviewee_id', userId)
+    .order('created_at', { ascending: false })
+    .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user: profile,
+      reviews: await withReviewers(reviews || [])
+    },
+    pagination: {
+      page: pagination.page,
+      limit: pagination.limit,
+      total: count || 0,
+      hasMore: pagination.offset + (reviews || []).length < (count || 0)
+    }
+  });
+};
+
+/**
+ * List the reviews left on a job
+ * GET /api/reviews/job/:jobId
+ */
+const listJobReviews = async (req, res) => {
+  const { jobId } = req.params;
+
+  if (!isValidUUID(jobId)) {
+    throw new ValidationError('Invalid job id');
+  }
+
+  const job = await findJob(jobId);
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+
+  const { userId, role } = req.user;
+  if (role !== ROLES.ADMIN && job.owner_id !== userId && job.housekeeper_id !== userId) {
+    throw new ForbiddenError('Unauthorized to view reviews of this job');
+  }
+
+  const { data: reviews, error } = await supabase
+    .from('reviews')
+    .select('*')
+    .eq('job_id', job.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: await withReviewers(reviews || [])
+  });
+};
+
+module.exports = {
+  createReview,
+  updateReview,
+  listUserReviews,
+  listJobReviews
+};
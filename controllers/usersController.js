@@ -0,0 +1,158 @@
+const supabase = require('../config/supabase');
+const repositories = require('../repositories');
+const { isValidUUID } = require('../utils/validate');
+const { ROLES } = require('../config/roles');
+const { REPORT_STATUS } = require('../config/reportStatus');
+const { findMessageForParticipant } = require('../services/messageService');
+const { NotFoundError, ValidationError, createHttpError } = require('../utils/errors');
+
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Look up the user targeted by a block or report
+ * @param {string} userId - Target user ID
+ * @param {string} actingUserId - Authenticated user ID
+ * @returns {Promise<Object>} { success: true, data: profile } or { success: false, status, message }
+ */
+const findTargetUser = async (userId, actingUserId) => {
+  if (!isValidUUID(userId)) {
+    return { success: false, status: 400, message: 'Invalid user id' };
+  }
+
+  if (userId === actingUserId) {
+    return { success: false, status: 400, message: 'You cannot do this to your own account' };
+  }
+
+  const profile = await repositories.profiles.findByUserId(userId);
+
+  if (!profile) {
+    return { success: false, status: 404, message: 'User not found' };
+  }
+
+  return { success: true, data: { user_id: profile.user_id, name: profile.name, role: profile.role } };
+};
+
+/**
+ * List the users the caller has blocked
+ * GET /api/users/blocks
+ */
+const listBlocks = async (req, res) => {
+  const blocks = await repositories.blocks.listByBlocker(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: blocks
+  });
+};
+
+/**
+ * Block a user
+ * POST /api/users/:userId/block
+ *
+ * Neither side can message the other afterwards, and they disappear from each other's user list
+ */
+const blockUser = async (req, res) => {
+  const lookup = await findTargetUser(req.params.userId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  if (lookup.data.role === ROLES.ADMIN) {
+    throw new ValidationError('Administrators cannot be blocked');
+  }
+
+  await repositories.blocks.create(req.user.userId, lookup.data.user_id);
+
+  res.status(200).json({
+    success: true,
+    message: 'User blocked'
+  });
+};
+
+/**
+ * Unblock a user
+ * DELETE /api/users/:userId/block
+ */
+const unblockUser = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!isValidUUID(userId)) {
+    throw new ValidationError('Invalid user id');
+  }
+
+  const removed = await repositories.blocks.remove(req.user.userId, userId);
+
+  if (!removed) {
+    throw new NotFoundError('User is not blocked');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'User unblocked'
+  });
+};
+
+/**
+ * Report a user to the moderators
+ * POST /api/users/:userId/report
+ *
+ * Body: { reason, message_id? } - the message must be one the reported user sent to the caller
+ */
+const reportUser = async (req, res) => {
+  const lookup = await findTargetUser(req.params.userId, req.user.userId);
+
+  if (!lookup.success) {
+    throw createHttpError(lookup.status, lookup.message);
+  }
+
+  const { reason, message_id: messageId } = req.body || {};
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new ValidationError('reason is required');
+  }
+
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw new ValidationError(`reason can't be longer than ${MAX_REASON_LENGTH} characters`);
+  }
+
+  if (messageId !== undefined && messageId !== null) {
+    if (!isValidUUID(messageId)) {
+      throw new ValidationError('Invalid message id');
+    }
+
+    const messageLookup = await findMessageForParticipant(messageId, req.user.userId, 'report');
+    if (!messageLookup.success || messageLookup.data.sender_id !== lookup.data.user_id) {
+      throw new NotFoundError('Message not found');
+    }
+  }
+
+  const { data: report, error } = await supabase
+    .from('reports')
+    .insert([{
+      reporter_id: req.user.userId,
+      reported_user_id: lookup.data.user_id,
+      message_id: messageId || null,
+      reason: reason.trim(),
+      status: REPORT_STATUS.OPEN
+    }])
+    .select('id, reported_user_id, message_id, reason, status, created_at')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Report submitted. A moderator will review it.',
+    data: report
+  });
+};
+
+module.exports = {
+  listBlocks,
+  blockUser,
+  unblockUser,
+  reportUser
+};
@@ -0,0 +1,99 @@
+const path = require('path');
+require('dotenv').config();
+const createConsoleTransport = require('./transports/consoleTransport');
+const createFileTransport = require('./transports/fileTransport');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Cleaning Platform <no-reply@cleaning-platform.local>';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT
+ * A transport is any object with an async send({ from, to, subject, text }) method
+ * @returns {Object} Mail transport
+ */
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (transport) {
+    case 'console':
+      return createConsoleTransport();
+    case 'file':
+      return createFileTransport({
+        directory: path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail')
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}". Use "console" or "file".`);
+  }
+};
+
+let transport = createTransport();
+
+/**
+ * Replace the active transport (e.g. with an SMTP or API-backed implementation)
+ * @param {Object} customTransport - Object with an async send(mail) method
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} mail
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text }) => {
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+};
+
+/**
+ * Send the email address verification link
+ * @param {string} to - Recipient address
+ * @param {string} token - Verification token
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = (to, token) => {
+  return sendMail({
+    to,
+    subject: 'Verify your email address',
+    text: [
+      'Welcome to the Cleaning Platform!',
+      '',
+      'Confirm your email address by opening the link below:',
+      `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Send the password reset link
+ * @param {string} to - Recipient address
+ * @param {string} token - Password reset token
+ * @param {number} expiresInMinutes - Link lifetime, shown to the user
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = (to, token, expiresInMinutes) => {
+  return sendMail({
+    to,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset your password.',
+      '',
+      `Open the link below within ${expiresInMinutes} minutes to choose a new one:`,
+      `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+      '',
+      'If you did not request a password reset, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
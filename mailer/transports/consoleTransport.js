@@ -0,0 +1,22 @@
+/**
+ * Console mail transport
+ * Prints emails to stdout instead of sending them - useful for local development
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  /**
+   * @param {Object} mail - { from, to, subject, text }
+   * @returns {Promise<void>}
+   */
+  send: async (mail) => {
+    console.log('📧 Email');
+    console.log(`From: ${mail.from}`);
+    console.log(`To: ${mail.to}`);
+    console.log(`Subject: ${mail.subject}`);
+    console.log('');
+    console.log(mail.text);
+  }
+});
+
+module.exports = createConsoleTransport;
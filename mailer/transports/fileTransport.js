@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File mail transport
+ * Writes each email as a JSON file so tests and developers can read them back
+ * @param {Object} options
+ * @param {string} options.directory - Directory to write emails to
+ */
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  /**
+   * @param {Object} mail - { from, to, subject, text }
+   * @returns {Promise<void>}
+   */
+  send: async (mail) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${mail.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    const contents = JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2);
+
+    await fs.writeFile(path.join(directory, fileName), contents);
+  }
+});
+
+module.exports = createFileTransport;
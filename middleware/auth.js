@@ -1,39 +1,39 @@
 const { verifyToken } = require('../utils/jwt');
+const { isSessionActive } = require('../services/sessionService');
+const { UnauthorizedError } = require('../utils/errors');
 
 /**
  * JWT Authentication Middleware
- * Verifies the JWT token from Authorization header
+ * Verifies the JWT token from Authorization header and that its session
+ * hasn't been revoked (logout, password change, device sign-out)
  */
-const authenticateToken = (req, res, next) => {
-  try {
-    // Get token from Authorization header
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
+const authenticateToken = async (req, res, next) => {
+  // Get token from Authorization header
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
-    // Verify token
-    const decoded = verifyToken(token);
-    
-    // Attach user info to request object
-    req.user = decoded;
-    next();
+  if (!token) {
+    return next(new UnauthorizedError('Access token is required'));
+  }
 
+  let decoded;
+  try {
+    decoded = verifyToken(token);
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid or expired token'
-    });
+    return next(new UnauthorizedError('Invalid or expired token'));
   }
+
+  // A failing session lookup is a server error (500 from errorHandler), not a bad token
+  if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+    return next(new UnauthorizedError('Session has been revoked or expired'));
+  }
+
+  // Attach user info to request object
+  req.user = decoded;
+
+  next();
 };
 
 module.exports = {
   authenticateToken
 };
-
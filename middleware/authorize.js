@@ -0,0 +1,38 @@
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * Role Authorization Middleware
+ * Must run after authenticateToken. Allows the request only if the role
+ * in the access token is one of the given roles.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError('You do not have permission to perform this action'));
+  }
+
+  next();
+};
+
+/**
+ * Policy Authorization Middleware
+ * Must run after authenticateToken. Allows the request only if the policy returns true.
+ * @param {Function} policy - (req) => boolean | Promise<boolean>
+ * @param {string} [message] - 403 message when the policy denies access
+ * @returns {Function} Express middleware
+ */
+const authorize = (policy, message = 'You do not have permission to perform this action') => async (req, res, next) => {
+  const allowed = Boolean(req.user) && await policy(req);
+
+  if (!allowed) {
+    return next(new ForbiddenError(message));
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  authorize
+};
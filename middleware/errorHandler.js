@@ -0,0 +1,71 @@
+const { AppError, NotFoundError, createHttpError } = require('../utils/errors');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Turn errors raised outside our code into AppErrors where they describe a client mistake
+ * (malformed JSON, body too large, ...); anything else stays an internal error
+ * @param {Error} err - Error passed to next() or thrown by a handler
+ * @returns {AppError|null} Client error, or null for internal errors
+ */
+const toClientError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return createHttpError(400, 'Request body is not valid JSON');
+  }
+
+  const status = err.status || err.statusCode;
+  if (err.expose && status >= 400 && status < 500) {
+    return createHttpError(status, err.message);
+  }
+
+  return null;
+};
+
+/**
+ * 404 handler for unknown routes
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+/**
+ * Error Handling Middleware
+ * Maps errors to { success: false, message, code, requestId, ...details }. Unexpected errors
+ * (database, bugs) become a generic 500; their message is only included outside production.
+ */
+const errorHandler = (err, req, res, next) => {
+  const clientError = toClientError(err);
+
+  if (!clientError) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} error:`, err);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      requestId: req.id,
+      ...(isProduction() ? {} : { error: err.message })
+    });
+  }
+
+  if (clientError.retryAfterSeconds) {
+    res.set('Retry-After', String(clientError.retryAfterSeconds));
+  }
+
+  res.status(clientError.status).json({
+    success: false,
+    message: clientError.message,
+    code: clientError.code,
+    requestId: req.id,
+    ...clientError.details
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
@@ -0,0 +1,63 @@
+const { consume, retryAfterSeconds } = require('../rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Rate Limit Middleware factory
+ * Counts each request against a fixed window and answers 429 with Retry-After once the
+ * limit is used up. RateLimit-* headers tell clients how much is left. If the store is
+ * unreachable the request is let through rather than taking the API down with it.
+ * @param {Object} options
+ * @param {string} options.name - Counter namespace, e.g. "auth"
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} options.key - (req) => string identifying who is limited (IP, user id)
+ * @param {string} [options.message] - 429 message
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ name, max, windowMs, key, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    let result;
+
+    try {
+      result = await consume(`${name}:${key(req)}`, { max, windowMs });
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(retryAfterSeconds(result.retryAfterMs))
+    });
+
+    if (!result.allowed) {
+      return next(new TooManyRequestsError(message, retryAfterSeconds(result.retryAfterMs)));
+    }
+
+    next();
+  };
+};
+
+// Per IP, for endpoints that take credentials or send emails
+const authRateLimit = rateLimit({
+  name: 'auth',
+  ...RATE_LIMITS.AUTH,
+  key: (req) => req.ip,
+  message: 'Too many attempts from this address, please try again later'
+});
+
+// Per sender; must run after authenticateToken
+const messageRateLimit = rateLimit({
+  name: 'message',
+  ...RATE_LIMITS.MESSAGE,
+  key: (req) => req.user.userId,
+  message: "You're sending messages too quickly, please slow down"
+});
+
+module.exports = {
+  rateLimit,
+  authRateLimit,
+  messageRateLimit
+};
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Accept ids from a proxy or client only if they look like ids, so they are safe to log and echo
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID Middleware
+ * Gives every request an id (the incoming X-Request-Id header, or a new UUID),
+ * exposed as req.id and echoed in the X-Request-Id response header for correlating logs
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = {
+  requestId
+};
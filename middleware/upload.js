@@ -0,0 +1,46 @@
+const multer = require('multer');
+const { createHttpError } = require('../utils/errors');
+
+const MAX_ATTACHMENT_SIZE_MB = Number(process.env.MAX_ATTACHMENT_SIZE_MB) || 10;
+const MAX_ATTACHMENTS = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE_MB * 1024 * 1024,
+    files: MAX_ATTACHMENTS
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: { status: 413, message: `Attachments can't be larger than ${MAX_ATTACHMENT_SIZE_MB} MB` },
+  LIMIT_FILE_COUNT: { status: 400, message: `You can attach at most ${MAX_ATTACHMENTS} files` },
+  LIMIT_UNEXPECTED_FILE: { status: 400, message: 'Files must be sent in the "attachments" field' }
+};
+
+/**
+ * Attachment Upload Middleware
+ * Parses multipart/form-data bodies, keeping files from the "attachments" field in memory
+ * (req.files). JSON requests pass through untouched. Content checks happen in the
+ * attachment service.
+ */
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const { status, message } = UPLOAD_ERRORS[error.code] || { status: 400, message: error.message };
+      return next(createHttpError(status, message));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE_MB,
+  MAX_ATTACHMENTS,
+  uploadAttachments
+};
@@ -0,0 +1,31 @@
+const { validateSchema } = require('../utils/validate');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Request Validation Middleware factory
+ * Checks params, query and body against a schema and answers 400 listing every failing
+ * field, so controllers only see well-formed input
+ * @param {Object} schema - { params?, query?, body? }, each a field schema for validateSchema
+ * @returns {Function} Express middleware
+ *
+ * The 400 response lists them as errors: [{ location, field, message }]
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = LOCATIONS
+    .filter(location => schema[location])
+    .flatMap(location =>
+      validateSchema(req[location], schema[location]).map(error => ({ location, ...error }))
+    );
+
+  if (errors.length > 0) {
+    return next(new ValidationError('Validation failed', { errors }));
+  }
+
+  next();
+};
+
+module.exports = {
+  validate
+};
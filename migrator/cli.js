@@ -0,0 +1,71 @@
+require('dotenv').config();
+const { connect, getStatus, migrateUp, migrateDown, baseline } = require('./index');
+
+const USAGE = `Usage:
+  npm run migrate               Apply all pending migrations
+  npm run migrate:down [steps]  Roll back the last migration (or the last <steps>)
+  npm run migrate:status        List applied and pending migrations
+  npm run migrate:baseline [v]  Mark migrations as applied without running them (all, or up to <v>)
+                                on a database whose tables already exist`;
+
+const printStatus = async (client) => {
+  const { applied, pending, changed, missing } = await getStatus(client);
+
+  applied.forEach(row => {
+    console.log(`  applied  ${row.version}_${row.name}  (${row.applied_at.toISOString()})`);
+  });
+  pending.forEach(migration => {
+    console.log(`  pending  ${migration.version}_${migration.name}`);
+  });
+  changed.forEach(migration => {
+    console.warn(`⚠️  ${migration.version}_${migration.name} was edited after it was applied`);
+  });
+  missing.forEach(row => {
+    console.warn(`⚠️  ${row.version}_${row.name} is applied but its file is missing`);
+  });
+
+  console.log(`${applied.length} applied, ${pending.length} pending`);
+};
+
+const run = async (command, args) => {
+  const client = await connect();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(client, { log: line => console.log(line) });
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const steps = args[0] === undefined ? 1 : Number(args[0]);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('steps must be a positive integer');
+        }
+        const rolledBack = await migrateDown(client, { steps, log: line => console.log(line) });
+        console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+        break;
+      }
+      case 'baseline': {
+        const recorded = await baseline(client, { to: args[0], log: line => console.log(line) });
+        console.log(recorded.length > 0 ? `✅ Recorded ${recorded.length} migration(s) as applied` : 'Nothing to record');
+        break;
+      }
+      case 'status':
+        await printStatus(client);
+        break;
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+run(command, args).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,94 @@
+const { ROLES } = require('../config/roles');
+
+/**
+ * Who appears in a user's contact list (GET /api/messages/users list)
+ * - listed: roles shown to the viewer unconditionally
+ * - listedAfterConversation: roles shown only once the two users have exchanged messages
+ */
+const DIRECTORY_RULES = {
+  [ROLES.HOUSEKEEPER]: {
+    listed: [ROLES.OWNER],
+    listedAfterConversation: []
+  },
+  [ROLES.OWNER]: {
+    listed: [ROLES.OWNER],
+    listedAfterConversation: [ROLES.HOUSEKEEPER]
+  },
+  [ROLES.ADMIN]: {
+    listed: [ROLES.OWNER, ROLES.HOUSEKEEPER, ROLES.ADMIN],
+    listedAfterConversation: []
+  }
+};
+
+/**
+ * Who may message whom, keyed by sender role then receiver role
+ * - 'always': no restriction
+ * - 'conversation': only once the receiver has messaged the sender (or they already talked)
+ * Missing entries are denied
+ */
+const MESSAGING_RULES = {
+  [ROLES.OWNER]: {
+    [ROLES.OWNER]: 'always',
+    [ROLES.HOUSEKEEPER]: 'conversation',
+    [ROLES.ADMIN]: 'conversation'
+  },
+  [ROLES.HOUSEKEEPER]: {
+    [ROLES.OWNER]: 'always',
+    [ROLES.HOUSEKEEPER]: 'always',
+    [ROLES.ADMIN]: 'conversation'
+  },
+  [ROLES.ADMIN]: {
+    [ROLES.OWNER]: 'always',
+    [ROLES.HOUSEKEEPER]: 'always',
+    [ROLES.ADMIN]: 'always'
+  }
+};
+
+/**
+ * Contact list rules for a role
+ * @param {string} role - Viewer role
+ * @returns {Object} { listed: string[], listedAfterConversation: string[] }
+ */
+const getDirectoryRules = (role) => {
+  return DIRECTORY_RULES[role] || { listed: [], listedAfterConversation: [] };
+};
+
+/**
+ * Decide whether a sender may message a receiver
+ * @param {string} senderRole - Sender role
+ * @param {string} receiverRole - Receiver role
+ * @param {Function} hasConversation - async () => boolean, only called when the rule needs it
+ * @returns {Promise<Object>} { allowed: boolean, message?: string }
+ */
+const canMessage = async (senderRole, receiverRole, hasConversation) => {
+  const rule = MESSAGING_RULES[senderRole]?.[receiverRole];
+
+  if (rule === 'always') {
+    return { allowed: true };
+  }
+
+  if (rule === 'conversation') {
+    if (await hasConversation()) {
+      return { allowed: true };
+    }
+    return {
+      allowed: false,
+      message: `You can only message ${receiverRole}s who have messaged you first`
+    };
+  }
+
+  return { allowed: false, message: 'You are not allowed to message this user' };
+};
+
+/**
+ * Policy: users may only read their own inbox (GET /api/messages/:userId)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the :userId param is the authenticated user
+ */
+const isOwnInbox = (req) => req.params.userId === req.user.userId;
+
+module.exports = {
+  getDirectoryRules,
+  canMessage,
+  isOwnInbox
+};
@@ -0,0 +1,103 @@
+require('dotenv').config();
+const createMemoryStore = require('./stores/memoryStore');
+const createRedisStore = require('./stores/redisStore');
+
+/**
+ * Build the store selected by RATE_LIMIT_STORE
+ * A store is any object with async increment(key, windowMs), get(key), set(key, count, ttlMs) and reset(key) methods
+ * @returns {Object} Rate limit store
+ */
+const createStore = () => {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    case 'redis': {
+      if (!process.env.REDIS_URL) {
+        throw new Error('REDIS_URL is required when RATE_LIMIT_STORE is "redis"');
+      }
+      const Redis = require('ioredis');
+      return createRedisStore({ client: new Redis(process.env.REDIS_URL) });
+    }
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${driver}". Use "memory" or "redis".`);
+  }
+};
+
+let store = createStore();
+
+/**
+ * Replace the active rate limit store (e.g. a fresh memory store in tests)
+ * @param {Object} customStore - Object with increment/get/set/reset methods
+ */
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Count one hit against a limit
+ * @param {string} key - What is being limited, e.g. "message:<userId>"
+ * @param {Object} limit
+ * @param {number} limit.max - Hits allowed per window
+ * @param {number} limit.windowMs - Window length in milliseconds
+ * @returns {Promise<Object>} { allowed, limit, remaining, retryAfterMs, resetAt }
+ */
+const consume = async (key, { max, windowMs }) => {
+  const { count, expiresAt } = await store.increment(key, windowMs);
+  const retryAfterMs = Math.max(0, expiresAt - Date.now());
+
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    retryAfterMs,
+    resetAt: expiresAt
+  };
+};
+
+/**
+ * @param {string} key - Counter key
+ * @param {number} windowMs - Window length for a new counter
+ * @returns {Promise<Object>} { count, expiresAt }
+ */
+const incrementCounter = (key, windowMs) => store.increment(key, windowMs);
+
+/**
+ * @param {string} key - Counter key
+ * @returns {Promise<Object|null>} { count, expiresAt } or null
+ */
+const getCounter = (key) => store.get(key);
+
+/**
+ * @param {string} key - Counter key
+ * @param {number} count - Value to store
+ * @param {number} ttlMs - Time until the counter expires
+ * @returns {Promise<void>}
+ */
+const setCounter = (key, count, ttlMs) => store.set(key, count, ttlMs);
+
+/**
+ * @param {string} key - Counter key
+ * @returns {Promise<void>}
+ */
+const resetCounter = (key) => store.reset(key);
+
+/**
+ * Value for a Retry-After header
+ * @param {number} retryAfterMs - Time until the limit resets
+ * @returns {number} Whole seconds, at least 1
+ */
+const retryAfterSeconds = (retryAfterMs) => Math.max(1, Math.ceil(retryAfterMs / 1000));
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  setRateLimitStore,
+  consume,
+  incrementCounter,
+  getCounter,
+  setCounter,
+  resetCounter,
+  retryAfterSeconds
+};
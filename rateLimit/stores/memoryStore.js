@@ -0,0 +1,83 @@
+/**
+ * In-memory rate limit store
+ * Counters live in this process only, so use it for development, tests and single-instance deployments
+ * @param {Object} [options]
+ * @param {number} [options.sweepIntervalMs=60000] - How often expired counters are dropped
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  // Drop the entry if its window is over
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Count a hit, starting a new window if there is none
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Promise<Object>} { count, expiresAt }
+     */
+    increment: async (key, windowMs) => {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, expiresAt: entry.expiresAt };
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} { count, expiresAt } or null if there is no live counter
+     */
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? { count: entry.count, expiresAt: entry.expiresAt } : null;
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @param {number} count - Value to store
+     * @param {number} ttlMs - Time until the counter expires
+     * @returns {Promise<void>}
+     */
+    set: async (key, count, ttlMs) => {
+      entries.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    reset: async (key) => {
+      entries.delete(key);
+    },
+
+    close: async () => {
+      clearInterval(sweep);
+      entries.clear();
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,71 @@
+// Count a hit and start the expiry on the first one, in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+/**
+ * Redis rate limit store
+ * Counters are shared by every instance of the API
+ * @param {Object} options
+ * @param {Object} options.client - ioredis client (or any client with the same eval/get/set/pttl/del methods)
+ * @param {string} [options.prefix='ratelimit:'] - Prefix for every key
+ */
+const createRedisStore = ({ client, prefix = 'ratelimit:' }) => {
+  const redisKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 'redis',
+
+    /**
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Promise<Object>} { count, expiresAt }
+     */
+    increment: async (key, windowMs) => {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, redisKey(key), windowMs);
+      return { count: Number(count), expiresAt: Date.now() + Number(ttl) };
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<Object|null>} { count, expiresAt } or null if there is no live counter
+     */
+    get: async (key) => {
+      const [count, ttl] = await Promise.all([client.get(redisKey(key)), client.pttl(redisKey(key))]);
+      if (count === null || ttl < 0) {
+        return null;
+      }
+      return { count: Number(count), expiresAt: Date.now() + ttl };
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @param {number} count - Value to store
+     * @param {number} ttlMs - Time until the counter expires
+     * @returns {Promise<void>}
+     */
+    set: async (key, count, ttlMs) => {
+      await client.set(redisKey(key), count, 'PX', Math.max(1, Math.ceil(ttlMs)));
+    },
+
+    /**
+     * @param {string} key - Counter key
+     * @returns {Promise<void>}
+     */
+    reset: async (key) => {
+      await client.del(redisKey(key));
+    },
+
+    close: async () => {
+      await client.quit();
+    }
+  };
+};
+
+module.exports = createRedisStore;
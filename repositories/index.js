@@ -0,0 +1,52 @@
+require('dotenv').config();
+const createSupabaseRepositories = require('./supabase');
+const createMemoryRepositories = require('./memory');
+
+/**
+ * Build the adapter selected by DATA_STORE
+ * An adapter is an object with users, profiles, messages, sessions, blocks, authTokens and conversations
+ * repositories; see repositories/supabase/ for the methods each one needs.
+ *
+ * Messages are read through scopes rather than raw filters, so both adapters can implement them:
+ * - { type: 'conversation', userId, otherUserId } - direct messages between two users still visible to userId
+ * - { type: 'inbox', userId } - every direct message still visible to userId
+ * - { type: 'group', conversationId, userId, since? } - messages of a group conversation still visible to userId,
+ *   created at or after since (when userId joined)
+ * - { type: 'user', userId } - everything userId sent or received, deleted or not (moderation)
+ * @returns {Object} Repositories
+ */
+const createRepositories = () => {
+  const store = process.env.DATA_STORE || 'supabase';
+
+  switch (store) {
+    case 'supabase':
+      return createSupabaseRepositories({ client: require('../config/supabase') });
+    case 'memory':
+      return createMemoryRepositories();
+    default:
+      throw new Error(`Unknown DATA_STORE "${store}". Use "supabase" or "memory".`);
+  }
+};
+
+let repositories = createRepositories();
+
+/**
+ * Replace the active repositories (e.g. with a fresh in-memory store in tests)
+ * @param {Object} customRepositories - Object with the same repositories as createRepositories()
+ */
+const setRepositories = (customRepositories) => {
+  repositories = customRepositories;
+};
+
+// Getters, so callers always reach the active adapter even after setRepositories
+module.exports = {
+  setRepositories,
+  get name() { return repositories.name; },
+  get users() { return repositories.users; },
+  get profiles() { return repositories.profiles; },
+  get messages() { return repositories.messages; },
+  get sessions() { return repositories.sessions; },
+  get blocks() { return repositories.blocks; },
+  get authTokens() { return repositories.authTokens; },
+  get conversations() { return repositories.conversations; }
+};
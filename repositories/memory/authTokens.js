@@ -0,0 +1,35 @@
+const { timestamp, newId } = require('./store');
+
+/**
+ * In-memory auth token repository (same interface as repositories/supabase/authTokens.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createAuthTokenRepository = ({ db }) => ({
+  invalidate: async (userId, purpose, usedAt) => {
+    db.auth_tokens
+      .filter(token => token.user_id === userId && token.purpose === purpose && !token.used_at)
+      .forEach(token => {
+        token.used_at = usedAt;
+      });
+  },
+
+  create: async ({ user_id, purpose, token_hash, expires_at }) => {
+    db.auth_tokens.push({ id: newId(), user_id, purpose, token_hash, expires_at, used_at: null, created_at: timestamp() });
+  },
+
+  consume: async (tokenHash, purpose, now) => {
+    const token = db.auth_tokens.find(row =>
+      row.token_hash === tokenHash && row.purpose === purpose && !row.used_at && row.expires_at > now
+    );
+
+    if (!token) {
+      return null;
+    }
+
+    token.used_at = now;
+    return token.user_id;
+  }
+});
+
+module.exports = createAuthTokenRepository;
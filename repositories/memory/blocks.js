@@ -0,0 +1,38 @@
+const { timestamp, copyRow } = require('./store');
+
+/**
+ * In-memory block repository (same interface as repositories/supabase/blocks.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createBlockRepository = ({ db }) => {
+  const find = (blockerId, blockedId) =>
+    db.user_blocks.find(block => block.blocker_id === blockerId && block.blocked_id === blockedId);
+
+  return {
+    listInvolving: async (userId) => db.user_blocks
+      .filter(block => block.blocker_id === userId || block.blocked_id === userId)
+      .map(block => copyRow(block, ['blocker_id', 'blocked_id'])),
+
+    existsBetween: async (userId, otherUserId) => Boolean(find(userId, otherUserId) || find(otherUserId, userId)),
+
+    listByBlocker: async (blockerId) => db.user_blocks
+      .filter(block => block.blocker_id === blockerId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(block => copyRow(block, ['blocked_id', 'created_at'])),
+
+    create: async (blockerId, blockedId) => {
+      if (!find(blockerId, blockedId)) {
+        db.user_blocks.push({ blocker_id: blockerId, blocked_id: blockedId, created_at: timestamp() });
+      }
+    },
+
+    remove: async (blockerId, blockedId) => {
+      const count = db.user_blocks.length;
+      db.user_blocks = db.user_blocks.filter(block => block.blocker_id !== blockerId || block.blocked_id !== blockedId);
+      return db.user_blocks.length < count;
+    }
+  };
+};
+
+module.exports = createBlockRepository;
@@ -0,0 +1,67 @@
+const { timestamp, newId, copyRow, uniqueViolation } = require('./store');
+
+const PARTICIPANT_COLUMNS = ['user_id', 'is_admin', 'joined_at', 'last_read_at'];
+
+/**
+ * In-memory group conversation repository (same interface as repositories/supabase/conversations.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createConversationRepository = ({ db }) => {
+  const findParticipantRow = (conversationId, userId) => db.conversation_participants
+    .find(participant => participant.conversation_id === conversationId && participant.user_id === userId);
+
+  return {
+    create: async ({ name, created_by = null }) => {
+      const now = timestamp();
+      const conversation = { id: newId(), name, created_by, created_at: now, updated_at: now };
+      db.conversations.push(conversation);
+
+      return copyRow(conversation);
+    },
+
+    findById: async (id) => copyRow(db.conversations.find(conversation => conversation.id === id)),
+
+    update: async (id, fields) => {
+      const conversation = db.conversations.find(row => row.id === id);
+      if (!conversation) {
+        return null;
+      }
+
+      Object.assign(conversation, fields);
+      return copyRow(conversation);
+    },
+
+    remove: async (id) => {
+      db.conversations = db.conversations.filter(conversation => conversation.id !== id);
+      db.conversation_participants = db.conversation_participants
+        .filter(participant => participant.conversation_id !== id);
+      db.messages = db.messages.filter(message => message.conversation_id !== id);
+    },
+
+    listParticipants: async (conversationId) => db.conversation_participants
+      .filter(participant => participant.conversation_id === conversationId)
+      .sort((a, b) => a.joined_at.localeCompare(b.joined_at))
+      .map(participant => copyRow(participant, PARTICIPANT_COLUMNS)),
+
+    findParticipant: async (conversationId, userId) =>
+      copyRow(findParticipantRow(conversationId, userId), PARTICIPANT_COLUMNS),
+
+    addParticipants: async (participants) => {
+      if (participants.some(({ conversation_id, user_id }) => findParticipantRow(conversation_id, user_id))) {
+        throw uniqueViolation('conversation_participants_pkey');
+      }
+
+      const joinedAt = timestamp();
+      db.conversation_participants.push(...participants.map(({ conversation_id, user_id, is_admin = false }) => ({
+        conversation_id,
+        user_id,
+        is_admin,
+        joined_at: joinedAt,
+        last_read_at: null
+      })));
+    }
+  };
+};
+
+module.exports = createConversationRepository;
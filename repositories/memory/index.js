@@ -0,0 +1,37 @@
+const { createStore } = require('./store');
+const createUserRepository = require('./users');
+const createProfileRepository = require('./profiles');
+const createMessageRepository = require('./messages');
+const createSessionRepository = require('./sessions');
+const createBlockRepository = require('./blocks');
+const createAuthTokenRepository = require('./authTokens');
+const createConversationRepository = require('./conversations');
+
+/**
+ * Repositories that keep everything in process memory
+ * For tests and local development without a Supabase project; data is lost on restart
+ * @returns {Object} { name, users, profiles, messages, sessions, blocks, authTokens, conversations, reset }
+ */
+const createMemoryRepositories = () => {
+  const db = createStore();
+
+  return {
+    name: 'memory',
+    users: createUserRepository({ db }),
+    profiles: createProfileRepository({ db }),
+    messages: createMessageRepository({ db }),
+    sessions: createSessionRepository({ db }),
+    blocks: createBlockRepository({ db }),
+    authTokens: createAuthTokenRepository({ db }),
+    conversations: createConversationRepository({ db }),
+
+    /**
+     * Empty every table (e.g. between tests)
+     */
+    reset: () => {
+      Object.assign(db, createStore());
+    }
+  };
+};
+
+module.exports = createMemoryRepositories;
@@ -0,0 +1,294 @@
+const { timestamp, newId, copyRow } = require('./store');
+
+const MESSAGE_COLUMNS = [
+  'id', 'sender_id', 'receiver_id', 'conversation_id', 'message', 'job_id',
+  'deleted_for_sender', 'deleted_for_receiver', 'delivered_at', 'read_at',
+  'moderated_at', 'moderated_by', 'edited_at', 'created_at'
+];
+
+const ATTACHMENT_COLUMNS = [
+  'id', 'message_id', 'file_name', 'content_type', 'size_bytes', 'width', 'height', 'created_at'
+];
+
+/**
+ * Predicate for a message scope (see repositories/index.js), matching the
+ * PostgREST filters of the Supabase adapter
+ * @param {Object} scope - { type: 'conversation' | 'inbox' | 'group' | 'user', ... }
+ * @returns {Function} (message) => boolean
+ */
+const scopeMatcher = (scope) => {
+  const { userId, otherUserId, conversationId, since } = scope;
+
+  switch (scope.type) {
+    case 'conversation':
+      return message =>
+        (message.sender_id === userId && message.receiver_id === otherUserId && !message.deleted_for_sender) ||
+        (message.sender_id === otherUserId && message.receiver_id === userId && !message.deleted_for_receiver);
+    case 'inbox':
+      return message =>
+        (message.sender_id === userId && !message.conversation_id && !message.deleted_for_sender) ||
+        (message.receiver_id === userId && !message.deleted_for_receiver);
+    case 'group':
+      return message => message.conversation_id === conversationId && (!since || message.created_at >= since) && (
+        (message.sender_id === userId && !message.deleted_for_sender) ||
+        (message.sender_id !== userId && !message.deleted_for_receiver)
+      );
+    case 'user':
+      return message => message.sender_id === userId || message.receiver_id === userId;
+    default:
+      throw new Error(`Unknown message scope "${scope.type}"`);
+  }
+};
+
+// created_at, then id - the order used by the Supabase adapter
+const compareMessages = (a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id);
+
+// Position of a message relative to a { created_at, id? } cursor; without an id only created_at counts
+const compareToCursor = (message, cursor) =>
+  message.created_at.localeCompare(cursor.created_at) || (cursor.id ? message.id.localeCompare(cursor.id) : 0);
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a websearch-style query into terms to find and terms to exclude
+ * Much simpler than websearch_to_tsquery: no stemming, and OR is ignored
+ * @param {string} query - Search text
+ * @returns {Object} { include, exclude } lower-cased terms
+ */
+const parseSearchQuery = (query) => {
+  const include = [];
+  const exclude = [];
+
+  (query.toLowerCase().match(/-?"[^"]*"|-?[^\s"]+/g) || []).forEach(token => {
+    const negated = token.startsWith('-');
+    const term = token.replace(/^-/, '').replace(/"/g, '').trim();
+
+    if (!term || term === 'or') {
+      return;
+    }
+    (negated ? exclude : include).push(term);
+  });
+
+  return { include, exclude };
+};
+
+/**
+ * In-memory message repository (same interface as repositories/supabase/messages.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createMessageRepository = ({ db }) => {
+  const attachmentsOf = (messageId) => db.message_attachments
+    .filter(attachment => attachment.message_id === messageId)
+    .map(attachment => copyRow(attachment, ATTACHMENT_COLUMNS));
+
+  const withAttachments = (message) => ({
+    ...copyRow(message, MESSAGE_COLUMNS),
+    attachments: attachmentsOf(message.id)
+  });
+
+  // Direct messages still visible to userId (what get_conversation_summaries and search_messages see)
+  const visibleDirectMessages = (userId) => db.messages.filter(scopeMatcher({ type: 'inbox', userId }));
+
+  return {
+    create: async ({ sender_id, receiver_id = null, conversation_id = null, message, job_id = null }) => {
+      const row = {
+        id: newId(),
+        sender_id,
+        receiver_id,
+        conversation_id,
+        message,
+        job_id,
+        deleted_for_sender: false,
+        deleted_for_receiver: false,
+        delivered_at: null,
+        read_at: null,
+        moderated_at: null,
+        moderated_by: null,
+        edited_at: null,
+        created_at: timestamp()
+      };
+      db.messages.push(row);
+
+      return copyRow(row, MESSAGE_COLUMNS);
+    },
+
+    findById: async (id) => copyRow(db.messages.find(message => message.id === id), MESSAGE_COLUMNS),
+
+    update: async (id, fields) => {
+      const message = db.messages.find(row => row.id === id);
+      if (!message) {
+        return null;
+      }
+
+      Object.assign(message, fields);
+      return withAttachments(message);
+    },
+
+    remove: async (id) => {
+      db.messages = db.messages.filter(message => message.id !== id);
+      db.message_attachments = db.message_attachments.filter(attachment => attachment.message_id !== id);
+      db.message_edits = db.message_edits.filter(edit => edit.message_id !== id);
+    },
+
+    hasConversation: async (userId, otherUserId) => db.messages.some(message =>
+      (message.sender_id === userId && message.receiver_id === otherUserId) ||
+      (message.sender_id === otherUserId && message.receiver_id === userId)
+    ),
+
+    list: async (scope, { limit, ascending = false, before, after, jobId }) => {
+      const matches = scopeMatcher(scope);
+
+      const rows = db.messages
+        .filter(matches)
+        .filter(message => !jobId || message.job_id === jobId)
+        .filter(message => !before || compareToCursor(message, before) < 0)
+        .filter(message => !after || compareToCursor(message, after) > 0)
+        .sort(compareMessages);
+
+      if (!ascending) {
+        rows.reverse();
+      }
+
+      return rows.slice(0, limit).map(withAttachments);
+    },
+
+    markDelivered: async (ids, deliveredAt) => {
+      db.messages
+        .filter(message => ids.includes(message.id) && !message.delivered_at)
+        .forEach(message => {
+          message.delivered_at = deliveredAt;
+        });
+    },
+
+    markRead: async (receiverId, senderId, { readAt, upTo }) => {
+      const received = db.messages.filter(message =>
+        message.sender_id === senderId &&
+        message.receiver_id === receiverId &&
+        !message.deleted_for_receiver &&
+        (!upTo || compareToCursor(message, upTo) <= 0)
+      );
+
+      received.forEach(message => {
+        if (!message.delivered_at) {
+          message.delivered_at = readAt;
+        }
+      });
+
+      const unread = received.filter(message => !message.read_at);
+      unread.forEach(message => {
+        message.read_at = readAt;
+      });
+
+      return unread.map(message => message.id);
+    },
+
+    listDirectCounterpartIds: async (userId) => {
+      const counterpartIds = new Set();
+
+      db.messages
+        .filter(message => !message.conversation_id && (message.sender_id === userId || message.receiver_id === userId))
+        .forEach(message => counterpartIds.add(message.sender_id === userId ? message.receiver_id : message.sender_id));
+
+      return Array.from(counterpartIds);
+    },
+
+    listConversationSummaries: async (userId) => {
+      const summaries = new Map();
+
+      visibleDirectMessages(userId).sort(compareMessages).forEach(message => {
+        const counterpartId = message.sender_id === userId ? message.receiver_id : message.sender_id;
+        const summary = summaries.get(counterpartId) || { counterpart_id: counterpartId, unread_count: 0 };
+
+        Object.assign(summary, {
+          last_message_id: message.id,
+          last_message: message.message,
+          last_message_sender_id: message.sender_id,
+          last_message_at: message.created_at
+        });
+
+        if (message.receiver_id === userId && !message.read_at) {
+          summary.unread_count += 1;
+        }
+
+        summaries.set(counterpartId, summary);
+      });
+
+      return Array.from(summaries.values()).sort((a, b) =>
+        b.last_message_at.localeCompare(a.last_message_at) || b.last_message_id.localeCompare(a.last_message_id)
+      );
+    },
+
+    // Plain substring matching over direct messages; good enough for tests and local development
+    search: async (userId, { query, counterpartId, from, to, limit, offset }) => {
+      const { include, exclude } = parseSearchQuery(query);
+
+      if (include.length === 0) {
+        return { results: [], total: 0 };
+      }
+
+      const highlight = new RegExp(include.map(term => escapeRegExp(escapeHtml(term))).join('|'), 'gi');
+
+      const matches = visibleDirectMessages(userId)
+        .filter(message => !counterpartId ||
+          message.sender_id === counterpartId ||
+          (message.receiver_id === counterpartId && message.sender_id === userId))
+        .filter(message => !from || message.created_at >= new Date(from).toISOString())
+        .filter(message => !to || message.created_at < new Date(to).toISOString())
+        .map(message => {
+          const text = message.message.toLowerCase();
+          const found = include.every(term => text.includes(term)) && !exclude.some(term => text.includes(term));
+          const rank = include.reduce((total, term) => total + text.split(term).length - 1, 0);
+          return found ? { message, rank } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.rank - a.rank || compareMessages(b.message, a.message));
+
+      return {
+        results: matches.slice(offset, offset + limit).map(({ message, rank }) => ({
+          ...copyRow(message, ['id', 'sender_id', 'receiver_id', 'conversation_id', 'message', 'created_at']),
+          snippet: escapeHtml(message.message).replace(highlight, match => `<mark>${match}</mark>`),
+          rank
+        })),
+        total: matches.length
+      };
+    },
+
+    addEdit: async ({ message_id, previous_message, edited_by }) => {
+      db.message_edits.push({ id: newId(), message_id, previous_message, edited_by, edited_at: timestamp() });
+    },
+
+    listEdits: async (messageId) => db.message_edits
+      .filter(edit => edit.message_id === messageId)
+      .sort((a, b) => a.edited_at.localeCompare(b.edited_at))
+      .map(edit => copyRow(edit, ['id', 'previous_message', 'edited_by', 'edited_at'])),
+
+    countAttachments: async (messageId) => db.message_attachments
+      .filter(attachment => attachment.message_id === messageId).length,
+
+    createAttachments: async (attachments) => {
+      const rows = attachments.map(attachment => ({ ...attachment, id: newId(), created_at: timestamp() }));
+      db.message_attachments.push(...rows);
+
+      return rows.map(row => copyRow(row, ATTACHMENT_COLUMNS));
+    },
+
+    findAttachment: async (id) => {
+      const attachment = db.message_attachments.find(row => row.id === id);
+      if (!attachment) {
+        return null;
+      }
+
+      const message = db.messages.find(row => row.id === attachment.message_id);
+
+      return {
+        ...copyRow(attachment),
+        message: copyRow(message, ['sender_id', 'receiver_id', 'conversation_id', 'deleted_for_sender', 'deleted_for_receiver', 'created_at'])
+      };
+    }
+  };
+};
+
+module.exports = createMessageRepository;
@@ -0,0 +1,35 @@
+const { copyRow } = require('./store');
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * In-memory profile repository (same interface as repositories/supabase/profiles.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createProfileRepository = ({ db }) => ({
+  findByUserId: async (userId) => copyRow(db.profiles.find(profile => profile.user_id === userId)),
+
+  update: async (userId, fields) => {
+    const profile = db.profiles.find(row => row.user_id === userId);
+    if (!profile) {
+      return null;
+    }
+
+    Object.assign(profile, fields);
+    return copyRow(profile);
+  },
+
+  listByRoles: async (roles, { excludeUserId, userIds } = {}) => db.profiles
+    .filter(profile => roles.includes(profile.role))
+    .filter(profile => !excludeUserId || profile.user_id !== excludeUserId)
+    .filter(profile => !userIds || userIds.includes(profile.user_id))
+    .sort(byName)
+    .map(profile => copyRow(profile)),
+
+  listSummaries: async (userIds) => db.profiles
+    .filter(profile => userIds.includes(profile.user_id))
+    .map(profile => copyRow(profile, ['user_id', 'name', 'role']))
+});
+
+module.exports = createProfileRepository;
@@ -0,0 +1,73 @@
+const { timestamp, newId, copyRow } = require('./store');
+
+const SESSION_COLUMNS = ['id', 'user_agent', 'ip_address', 'created_at', 'last_used_at', 'expires_at'];
+
+/**
+ * In-memory session repository (same interface as repositories/supabase/sessions.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createSessionRepository = ({ db }) => ({
+  create: async ({ user_id, refresh_token_hash, user_agent = null, ip_address = null, expires_at }) => {
+    const now = timestamp();
+    const session = {
+      id: newId(),
+      user_id,
+      refresh_token_hash,
+      user_agent,
+      ip_address,
+      created_at: now,
+      last_used_at: now,
+      expires_at,
+      revoked_at: null
+    };
+    db.sessions.push(session);
+
+    return copyRow(session, SESSION_COLUMNS);
+  },
+
+  findByRefreshTokenHash: async (refreshTokenHash) => copyRow(
+    db.sessions.find(session => session.refresh_token_hash === refreshTokenHash),
+    ['id', 'user_id', 'expires_at', 'revoked_at']
+  ),
+
+  rotate: async (id, refreshTokenHash, fields) => {
+    const session = db.sessions.find(row => row.id === id && row.refresh_token_hash === refreshTokenHash);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, fields);
+    return copyRow(session, SESSION_COLUMNS);
+  },
+
+  findForUser: async (id, userId) => copyRow(
+    db.sessions.find(session => session.id === id && session.user_id === userId),
+    ['id', 'expires_at', 'revoked_at']
+  ),
+
+  listActive: async (userId, now) => db.sessions
+    .filter(session => session.user_id === userId && !session.revoked_at && session.expires_at > now)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .map(session => copyRow(session, SESSION_COLUMNS)),
+
+  revoke: async (id, userId, revokedAt) => {
+    const session = db.sessions.find(row => row.id === id && row.user_id === userId && !row.revoked_at);
+    if (!session) {
+      return false;
+    }
+
+    session.revoked_at = revokedAt;
+    return true;
+  },
+
+  revokeAll: async (userId, revokedAt, exceptId) => {
+    db.sessions
+      .filter(session => session.user_id === userId && !session.revoked_at && session.id !== exceptId)
+      .forEach(session => {
+        session.revoked_at = revokedAt;
+      });
+  }
+});
+
+module.exports = createSessionRepository;
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * Empty tables for the in-memory adapter
+ * @returns {Object} Arrays of rows keyed by table name
+ */
+const createStore = () => ({
+  users: [],
+  profiles: [],
+  messages: [],
+  message_edits: [],
+  message_attachments: [],
+  sessions: [],
+  user_blocks: [],
+  auth_tokens: [],
+  conversations: [],
+  conversation_participants: []
+});
+
+let lastTimestamp = 0;
+
+/**
+ * Current time as an ISO timestamp, always later than the previous call,
+ * so rows created in the same millisecond still sort in insertion order
+ * @returns {string} ISO timestamp
+ */
+const timestamp = () => {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return new Date(lastTimestamp).toISOString();
+};
+
+const newId = () => crypto.randomUUID();
+
+/**
+ * Copy a row so callers can't change stored data by mutating results
+ * @param {Object|null} row - Stored row
+ * @param {Array<string>} [columns] - Only copy these columns
+ * @returns {Object|null} Copy of the row
+ */
+const copyRow = (row, columns) => {
+  if (!row) {
+    return null;
+  }
+  if (!columns) {
+    return { ...row };
+  }
+  return Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+};
+
+/**
+ * Error shaped like the one Postgres/PostgREST returns for a unique constraint violation
+ * @param {string} constraint - Constraint name
+ * @returns {Error} Error with code 23505
+ */
+const uniqueViolation = (constraint) => {
+  const error = new Error(`duplicate key value violates unique constraint "${constraint}"`);
+  error.code = '23505';
+  return error;
+};
+
+module.exports = {
+  createStore,
+  timestamp,
+  newId,
+  copyRow,
+  uniqueViolation
+};
@@ -0,0 +1,92 @@
+const { timestamp, newId, copyRow, uniqueViolation } = require('./store');
+
+/**
+ * In-memory user repository (same interface as repositories/supabase/users.js)
+ * @param {Object} options
+ * @param {Object} options.db - Tables from createStore()
+ */
+const createUserRepository = ({ db }) => ({
+  findById: async (id) => copyRow(db.users.find(user => user.id === id)),
+
+  findByEmail: async (email) => copyRow(db.users.find(user => user.email === email.toLowerCase())),
+
+  // Checks everything before writing, so like the SQL function it creates both rows or neither
+  createWithProfile: async ({ email, password, name, role }) => {
+    const normalizedEmail = email.toLowerCase();
+
+    if (db.users.some(user => user.email === normalizedEmail)) {
+      throw uniqueViolation('users_email_key');
+    }
+
+    const now = timestamp();
+    const user = {
+      id: newId(),
+      email: normalizedEmail,
+      password,
+      email_verified_at: null,
+      suspended_at: null,
+      suspension_reason: null,
+      deleted_at: null,
+      created_at: now
+    };
+    const profile = {
+      id: newId(),
+      user_id: user.id,
+      name,
+      role,
+      rating_average: null,
+      rating_count: 0,
+      avatar_url: null,
+      phone: null,
+      bio: null,
+      timezone: null,
+      created_at: now
+    };
+    db.users.push(user);
+    db.profiles.push(profile);
+
+    return { user: copyRow(user, ['id', 'email', 'created_at']), profile: copyRow(profile) };
+  },
+
+  updatePassword: async (id, password) => {
+    const user = db.users.find(row => row.id === id);
+    if (user) {
+      user.password = password;
+    }
+  },
+
+  markEmailVerified: async (id) => {
+    const user = db.users.find(row => row.id === id);
+    if (user && !user.email_verified_at) {
+      user.email_verified_at = timestamp();
+    }
+  },
+
+  // Mirrors anonymize_user for the tables this adapter holds
+  anonymize: async (id) => {
+    const user = db.users.find(row => row.id === id && !row.deleted_at);
+    if (!user) {
+      return false;
+    }
+
+    const now = timestamp();
+    Object.assign(user, {
+      email: `deleted-${id}@deleted.invalid`,
+      password: '',
+      email_verified_at: null,
+      suspension_reason: null,
+      deleted_at: now
+    });
+
+    db.profiles = db.profiles.filter(profile => profile.user_id !== id);
+    db.user_blocks = db.user_blocks.filter(block => block.blocker_id !== id && block.blocked_id !== id);
+    db.auth_tokens = db.auth_tokens.filter(token => token.user_id !== id);
+    db.sessions
+      .filter(session => session.user_id === id && !session.revoked_at)
+      .forEach(session => { session.revoked_at = now; });
+
+    return true;
+  }
+});
+
+module.exports = createUserRepository;
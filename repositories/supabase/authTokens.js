@@ -0,0 +1,65 @@
+/**
+ * Supabase auth token repository (auth_tokens table: password reset and email verification)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createAuthTokenRepository = ({ client }) => ({
+  /**
+   * Mark a user's unused tokens of one purpose as used
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose
+   * @param {string} usedAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  invalidate: async (userId, purpose, usedAt) => {
+    const { error } = await client
+      .from('auth_tokens')
+      .update({ used_at: usedAt })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {Object} token - { user_id, purpose, token_hash, expires_at }
+   * @returns {Promise<void>}
+   */
+  create: async (token) => {
+    const { error } = await client
+      .from('auth_tokens')
+      .insert([token]);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Mark an unused, unexpired token as used in a single update, so it can only be redeemed once
+   * @param {string} tokenHash - Hash of the token
+   * @param {string} purpose - Token purpose
+   * @param {string} now - ISO timestamp
+   * @returns {Promise<string|null>} User ID of the token, or null if nothing was redeemed
+   */
+  consume: async (tokenHash, purpose, now) => {
+    const { data, error } = await client
+      .from('auth_tokens')
+      .update({ used_at: now })
+      .eq('token_hash', tokenHash)
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', now)
+      .select('user_id');
+
+    if (error) {
+      throw error;
+    }
+    return data && data.length > 0 ? data[0].user_id : null;
+  }
+});
+
+module.exports = createAuthTokenRepository;
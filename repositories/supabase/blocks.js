@@ -0,0 +1,100 @@
+/**
+ * Supabase block repository (user_blocks table)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createBlockRepository = ({ client }) => ({
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} { blocker_id, blocked_id } for every block involving the user
+   */
+  listInvolving: async (userId) => {
+    const { data, error } = await client
+      .from('user_blocks')
+      .select('blocker_id, blocked_id')
+      .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {string} userId - First user ID
+   * @param {string} otherUserId - Second user ID
+   * @returns {Promise<boolean>} True if a block exists in either direction
+   */
+  existsBetween: async (userId, otherUserId) => {
+    const { data, error } = await client
+      .from('user_blocks')
+      .select('blocker_id')
+      .or(
+        `and(blocker_id.eq.${userId},blocked_id.eq.${otherUserId}),` +
+        `and(blocker_id.eq.${otherUserId},blocked_id.eq.${userId})`
+      )
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  },
+
+  /**
+   * @param {string} blockerId - Blocking user ID
+   * @returns {Promise<Array<Object>>} { blocked_id, created_at }, newest first
+   */
+  listByBlocker: async (blockerId) => {
+    const { data, error } = await client
+      .from('user_blocks')
+      .select('blocked_id, created_at')
+      .eq('blocker_id', blockerId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * Block a user; blocking someone twice is a no-op
+   * @param {string} blockerId - Blocking user ID
+   * @param {string} blockedId - Blocked user ID
+   * @returns {Promise<void>}
+   */
+  create: async (blockerId, blockedId) => {
+    const { error } = await client
+      .from('user_blocks')
+      .upsert(
+        { blocker_id: blockerId, blocked_id: blockedId },
+        { onConflict: 'blocker_id,blocked_id', ignoreDuplicates: true }
+      );
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} blockerId - Blocking user ID
+   * @param {string} blockedId - Blocked user ID
+   * @returns {Promise<boolean>} True if a block was removed
+   */
+  remove: async (blockerId, blockedId) => {
+    const { data, error } = await client
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', blockerId)
+      .eq('blocked_id', blockedId)
+      .select('blocked_id');
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  }
+});
+
+module.exports = createBlockRepository;
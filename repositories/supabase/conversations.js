@@ -0,0 +1,129 @@
+const PARTICIPANT_COLUMNS = 'user_id, is_admin, joined_at, last_read_at';
+
+/**
+ * Supabase group conversation repository (conversations and conversation_participants tables)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createConversationRepository = ({ client }) => ({
+  /**
+   * @param {Object} fields - { name, created_by }
+   * @returns {Promise<Object>} Conversation row
+   */
+  create: async (fields) => {
+    const { data, error } = await client
+      .from('conversations')
+      .insert([fields])
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation row or null
+   */
+  findById: async (id) => {
+    const { data, error } = await client
+      .from('conversations')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Conversation ID
+   * @param {Object} fields - Columns to change
+   * @returns {Promise<Object|null>} Updated conversation, or null if it doesn't exist
+   */
+  update: async (id, fields) => {
+    const { data, error } = await client
+      .from('conversations')
+      .update(fields)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * Delete a conversation with its participants and messages
+   * @param {string} id - Conversation ID
+   * @returns {Promise<void>}
+   */
+  remove: async (id) => {
+    const { error } = await client
+      .from('conversations')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Array<Object>>} { user_id, is_admin, joined_at, last_read_at }, oldest member first
+   */
+  listParticipants: async (conversationId) => {
+    const { data, error } = await client
+      .from('conversation_participants')
+      .select(PARTICIPANT_COLUMNS)
+      .eq('conversation_id', conversationId)
+      .order('joined_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { user_id, is_admin, joined_at, last_read_at }, or null if userId isn't a participant
+   */
+  findParticipant: async (conversationId, userId) => {
+    const { data, error } = await client
+      .from('conversation_participants')
+      .select(PARTICIPANT_COLUMNS)
+      .eq('conversation_id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {Array<Object>} participants - { conversation_id, user_id, is_admin }
+   * @returns {Promise<void>}
+   */
+  addParticipants: async (participants) => {
+    const { error } = await client
+      .from('conversation_participants')
+      .insert(participants);
+
+    if (error) {
+      throw error;
+    }
+  }
+});
+
+module.exports = createConversationRepository;
@@ -0,0 +1,26 @@
+const createUserRepository = require('./users');
+const createProfileRepository = require('./profiles');
+const createMessageRepository = require('./messages');
+const createSessionRepository = require('./sessions');
+const createBlockRepository = require('./blocks');
+const createAuthTokenRepository = require('./authTokens');
+const createConversationRepository = require('./conversations');
+
+/**
+ * Repositories backed by the Supabase database
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ * @returns {Object} { name, users, profiles, messages, sessions, blocks, authTokens, conversations }
+ */
+const createSupabaseRepositories = ({ client }) => ({
+  name: 'supabase',
+  users: createUserRepository({ client }),
+  profiles: createProfileRepository({ client }),
+  messages: createMessageRepository({ client }),
+  sessions: createSessionRepository({ client }),
+  blocks: createBlockRepository({ client }),
+  authTokens: createAuthTokenRepository({ client }),
+  conversations: createConversationRepository({ client })
+});
+
+module.exports = createSupabaseRepositories;
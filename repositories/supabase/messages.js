@@ -0,0 +1,394 @@
+// Message columns returned to clients (leaves out internal ones such as search_vector)
+const MESSAGE_COLUMNS = 'id, sender_id, receiver_id, conversation_id, message, job_id, ' +
+  'deleted_for_sender, deleted_for_receiver, delivered_at, read_at, moderated_at, moderated_by, edited_at, created_at';
+
+// Attachment columns returned to clients; storage_key stays server-side
+const ATTACHMENT_FIELDS = 'id, message_id, file_name, content_type, size_bytes, width, height, created_at';
+
+// Embed used wherever messages are returned to clients
+const MESSAGE_FIELDS = `${MESSAGE_COLUMNS}, attachments:message_attachments(${ATTACHMENT_FIELDS})`;
+
+/**
+ * PostgREST .or() filter for a message scope (see repositories/index.js)
+ * @param {Object} scope - { type: 'conversation' | 'inbox' | 'group' | 'user', ... }
+ * @returns {string} Filter for .or()
+ */
+const scopeFilter = (scope) => {
+  switch (scope.type) {
+    case 'conversation':
+      return `and(sender_id.eq.${scope.userId},receiver_id.eq.${scope.otherUserId},deleted_for_sender.eq.false),` +
+        `and(sender_id.eq.${scope.otherUserId},receiver_id.eq.${scope.userId},deleted_for_receiver.eq.false)`;
+    case 'inbox':
+      return `and(sender_id.eq.${scope.userId},conversation_id.is.null,deleted_for_sender.eq.false),` +
+        `and(receiver_id.eq.${scope.userId},deleted_for_receiver.eq.false)`;
+    case 'group': {
+      const since = scope.since ? `,created_at.gte.${scope.since}` : '';
+      return `and(conversation_id.eq.${scope.conversationId},sender_id.eq.${scope.userId},deleted_for_sender.eq.false${since}),` +
+        `and(conversation_id.eq.${scope.conversationId},sender_id.neq.${scope.userId},deleted_for_receiver.eq.false${since})`;
+    }
+    case 'user':
+      return `sender_id.eq.${scope.userId},receiver_id.eq.${scope.userId}`;
+    default:
+      throw new Error(`Unknown message scope "${scope.type}"`);
+  }
+};
+
+/**
+ * PostgREST .or() filter for messages sorting before/after a cursor in (created_at, id) order
+ * @param {Object} cursor - { created_at, id? }; without an id only created_at is compared
+ * @param {string} operator - 'lt' or 'gt', or 'lte'/'gte' to include the cursor's own message
+ * @returns {string} Filter for .or()
+ */
+const cursorFilter = (cursor, operator) => {
+  if (!cursor.id) {
+    return `created_at.${operator}.${cursor.created_at}`;
+  }
+  return `created_at.${operator.slice(0, 2)}.${cursor.created_at},` +
+    `and(created_at.eq.${cursor.created_at},id.${operator}.${cursor.id})`;
+};
+
+/**
+ * Supabase message repository (messages, message_edits and message_attachments tables)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createMessageRepository = ({ client }) => ({
+  /**
+   * @param {Object} fields - { sender_id, receiver_id, conversation_id, message, job_id }
+   * @returns {Promise<Object>} Message row
+   */
+  create: async (fields) => {
+    const { data, error } = await client
+      .from('messages')
+      .insert([fields])
+      .select(MESSAGE_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Message ID
+   * @returns {Promise<Object|null>} Message row or null
+   */
+  findById: async (id) => {
+    const { data, error } = await client
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Message ID
+   * @param {Object} fields - Columns to change
+   * @returns {Promise<Object|null>} Updated message with its attachments, or null if it doesn't exist
+   */
+  update: async (id, fields) => {
+    const { data, error } = await client
+      .from('messages')
+      .update(fields)
+      .eq('id', id)
+      .select(MESSAGE_FIELDS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Message ID
+   * @returns {Promise<void>}
+   */
+  remove: async (id) => {
+    const { error } = await client
+      .from('messages')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} userId - First user ID
+   * @param {string} otherUserId - Second user ID
+   * @returns {Promise<boolean>} True if either user has sent the other a direct message
+   */
+  hasConversation: async (userId, otherUserId) => {
+    const { data, error } = await client
+      .from('messages')
+      .select('id')
+      .or(
+        `and(sender_id.eq.${userId},receiver_id.eq.${otherUserId}),` +
+        `and(sender_id.eq.${otherUserId},receiver_id.eq.${userId})`
+      )
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  },
+
+  /**
+   * Messages in a scope with their attachments, ordered by created_at then id
+   * @param {Object} scope - Message scope
+   * @param {Object} options
+   * @param {number} options.limit - Maximum rows
+   * @param {boolean} [options.ascending=false] - Oldest first instead of newest first
+   * @param {Object} [options.before] - Only messages sorting before this { created_at, id? } position
+   * @param {Object} [options.after] - Only messages sorting after this { created_at, id? } position
+   * @param {string} [options.jobId] - Only messages linked to this job
+   * @returns {Promise<Array<Object>>} Message rows
+   */
+  list: async (scope, { limit, ascending = false, before, after, jobId }) => {
+    let query = client
+      .from('messages')
+      .select(MESSAGE_FIELDS)
+      .or(scopeFilter(scope));
+
+    if (jobId) {
+      query = query.eq('job_id', jobId);
+    }
+    if (before) {
+      query = query.or(cursorFilter(before, 'lt'));
+    }
+    if (after) {
+      query = query.or(cursorFilter(after, 'gt'));
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending })
+      .order('id', { ascending })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * Set delivered_at on the given messages that haven't been delivered yet
+   * @param {Array<string>} ids - Message IDs
+   * @param {string} deliveredAt - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  markDelivered: async (ids, deliveredAt) => {
+    const { error } = await client
+      .from('messages')
+      .update({ delivered_at: deliveredAt })
+      .in('id', ids)
+      .is('delivered_at', null);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Mark the direct messages senderId sent to receiverId as read (and delivered)
+   * Messages the receiver deleted for themselves are left alone
+   * @param {string} receiverId - Reading user ID
+   * @param {string} senderId - Sender whose messages are being read
+   * @param {Object} options
+   * @param {string} options.readAt - ISO timestamp
+   * @param {Object} [options.upTo] - Only messages sorting at or before this { created_at, id? } position
+   * @returns {Promise<Array<string>>} IDs of the messages newly marked as read
+   */
+  markRead: async (receiverId, senderId, { readAt, upTo }) => {
+    const receivedMessages = (update) => {
+      let query = client
+        .from('messages')
+        .update(update)
+        .eq('sender_id', senderId)
+        .eq('receiver_id', receiverId)
+        .eq('deleted_for_receiver', false);
+
+      if (upTo) {
+        query = query.or(cursorFilter(upTo, 'lte'));
+      }
+      return query;
+    };
+
+    // Reading a message implies it was delivered
+    const { error: deliveredError } = await receivedMessages({ delivered_at: readAt })
+      .is('delivered_at', null);
+
+    if (deliveredError) {
+      throw deliveredError;
+    }
+
+    const { data, error } = await receivedMessages({ read_at: readAt })
+      .is('read_at', null)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return (data || []).map(message => message.id);
+  },
+
+  /**
+   * Everyone a user has exchanged direct messages with
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Counterpart user IDs
+   */
+  listDirectCounterpartIds: async (userId) => {
+    const { data, error } = await client
+      .from('messages')
+      .select('sender_id, receiver_id')
+      .is('conversation_id', null)
+      .or(`sender_id.eq.${userId},receiver_id.eq.${userId}`);
+
+    if (error) {
+      throw error;
+    }
+
+    const counterpartIds = new Set((data || []).map(message =>
+      (message.sender_id === userId ? message.receiver_id : message.sender_id)
+    ));
+    return Array.from(counterpartIds);
+  },
+
+  /**
+   * One row per direct-message counterpart (get_conversation_summaries in config/database.sql)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} { counterpart_id, last_message_id, last_message,
+   *   last_message_sender_id, last_message_at, unread_count }, most recent first
+   */
+  listConversationSummaries: async (userId) => {
+    const { data, error } = await client
+      .rpc('get_conversation_summaries', { p_user_id: userId });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * Full-text search over the messages visible to a user (search_messages in config/database.sql)
+   * @param {string} userId - Searching user ID
+   * @param {Object} options - { query, counterpartId, from, to, limit, offset }
+   * @returns {Promise<Object>} { results, total }
+   */
+  search: async (userId, { query, counterpartId, from, to, limit, offset }) => {
+    const { data, error } = await client
+      .rpc('search_messages', {
+        p_user_id: userId,
+        p_query: query,
+        p_counterpart_id: counterpartId || null,
+        p_from: from || null,
+        p_to: to || null,
+        p_limit: limit,
+        p_offset: offset
+      });
+
+    if (error) {
+      throw error;
+    }
+
+    const rows = data || [];
+
+    return {
+      results: rows.map(({ total_count: totalCount, ...result }) => result),
+      total: rows.length > 0 ? Number(rows[0].total_count) : 0
+    };
+  },
+
+  /**
+   * @param {Object} edit - { message_id, previous_message, edited_by }
+   * @returns {Promise<void>}
+   */
+  addEdit: async (edit) => {
+    const { error } = await client
+      .from('message_edits')
+      .insert([edit]);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Array<Object>>} { id, previous_message, edited_by, edited_at }, oldest first
+   */
+  listEdits: async (messageId) => {
+    const { data, error } = await client
+      .from('message_edits')
+      .select('id, previous_message, edited_by, edited_at')
+      .eq('message_id', messageId)
+      .order('edited_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {string} messageId - Message ID
+   * @returns {Promise<number>} Number of attachments on the message
+   */
+  countAttachments: async (messageId) => {
+    const { count, error } = await client
+      .from('message_attachments')
+      .select('id', { count: 'exact', head: true })
+      .eq('message_id', messageId);
+
+    if (error) {
+      throw error;
+    }
+    return count || 0;
+  },
+
+  /**
+   * @param {Array<Object>} attachments - Attachment rows, including storage_key
+   * @returns {Promise<Array<Object>>} Created attachments (without storage_key)
+   */
+  createAttachments: async (attachments) => {
+    const { data, error } = await client
+      .from('message_attachments')
+      .insert(attachments)
+      .select(ATTACHMENT_FIELDS);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object|null>} Attachment (including storage_key) with a message field
+   *   ({ sender_id, receiver_id, conversation_id, deleted_for_sender, deleted_for_receiver, created_at }), or null
+   */
+  findAttachment: async (id) => {
+    const { data, error } = await client
+      .from('message_attachments')
+      .select('*, message:messages(sender_id, receiver_id, conversation_id, deleted_for_sender, deleted_for_receiver, created_at)')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+});
+
+module.exports = createMessageRepository;
@@ -0,0 +1,92 @@
+// Columns shown next to messages and in conversation lists
+const PROFILE_SUMMARY_COLUMNS = 'user_id, name, role';
+
+/**
+ * Supabase profile repository (profiles table: name, role and contact details of each user)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createProfileRepository = ({ client }) => ({
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Profile row or null
+   */
+  findByUserId: async (userId) => {
+    const { data, error } = await client
+      .from('profiles')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} userId - User ID
+   * @param {Object} fields - Columns to change, e.g. { name, bio }
+   * @returns {Promise<Object|null>} Updated profile row or null if the user has no profile
+   */
+  update: async (userId, fields) => {
+    const { data, error } = await client
+      .from('profiles')
+      .update(fields)
+      .eq('user_id', userId)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * Profiles with one of the given roles, ordered by name
+   * @param {Array<string>} roles - Roles to include
+   * @param {Object} [options]
+   * @param {string} [options.excludeUserId] - Leave this user out
+   * @param {Array<string>} [options.userIds] - Only these users
+   * @returns {Promise<Array<Object>>} Profile rows
+   */
+  listByRoles: async (roles, { excludeUserId, userIds } = {}) => {
+    let query = client
+      .from('profiles')
+      .select('*')
+      .in('role', roles);
+
+    if (excludeUserId) {
+      query = query.neq('user_id', excludeUserId);
+    }
+    if (userIds) {
+      query = query.in('user_id', userIds);
+    }
+
+    const { data, error } = await query.order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Array<Object>>} { user_id, name, role } for each user found
+   */
+  listSummaries: async (userIds) => {
+    const { data, error } = await client
+      .from('profiles')
+      .select(PROFILE_SUMMARY_COLUMNS)
+      .in('user_id', userIds);
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+});
+
+module.exports = createProfileRepository;
@@ -0,0 +1,152 @@
+// Columns safe to return to clients (never the token hash)
+const SESSION_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+/**
+ * Supabase session repository (sessions table: one row per signed-in device)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createSessionRepository = ({ client }) => ({
+  /**
+   * @param {Object} session - { user_id, refresh_token_hash, user_agent, ip_address, expires_at }
+   * @returns {Promise<Object>} Session (client-safe columns)
+   */
+  create: async (session) => {
+    const { data, error } = await client
+      .from('sessions')
+      .insert([session])
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} refreshTokenHash - Hash of a refresh token
+   * @returns {Promise<Object|null>} { id, user_id, expires_at, revoked_at } or null
+   */
+  findByRefreshTokenHash: async (refreshTokenHash) => {
+    const { data, error } = await client
+      .from('sessions')
+      .select('id, user_id, expires_at, revoked_at')
+      .eq('refresh_token_hash', refreshTokenHash)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * Update a session only while it still has the given refresh token hash,
+   * so two concurrent refreshes can't both succeed
+   * @param {string} id - Session ID
+   * @param {string} refreshTokenHash - Hash the session must still have
+   * @param {Object} fields - Columns to change
+   * @returns {Promise<Object|null>} Updated session (client-safe columns), or null if it was already rotated
+   */
+  rotate: async (id, refreshTokenHash, fields) => {
+    const { data, error } = await client
+      .from('sessions')
+      .update(fields)
+      .eq('id', id)
+      .eq('refresh_token_hash', refreshTokenHash)
+      .select(SESSION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - Session ID
+   * @param {string} userId - Owner of the session
+   * @returns {Promise<Object|null>} { id, expires_at, revoked_at } or null
+   */
+  findForUser: async (id, userId) => {
+    const { data, error } = await client
+      .from('sessions')
+      .select('id, expires_at, revoked_at')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} now - ISO timestamp; sessions expiring before it are left out
+   * @returns {Promise<Array<Object>>} Unrevoked, unexpired sessions, most recent first
+   */
+  listActive: async (userId, now) => {
+    const { data, error } = await client
+      .from('sessions')
+      .select(SESSION_COLUMNS)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  },
+
+  /**
+   * @param {string} id - Session ID
+   * @param {string} userId - Owner of the session
+   * @param {string} revokedAt - ISO timestamp
+   * @returns {Promise<boolean>} True if an unrevoked session was revoked
+   */
+  revoke: async (id, userId, revokedAt) => {
+    const { data, error } = await client
+      .from('sessions')
+      .update({ revoked_at: revokedAt })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data && data.length > 0);
+  },
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} revokedAt - ISO timestamp
+   * @param {string} [exceptId] - Session to leave alone
+   * @returns {Promise<void>}
+   */
+  revokeAll: async (userId, revokedAt, exceptId) => {
+    let query = client
+      .from('sessions')
+      .update({ revoked_at: revokedAt })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptId) {
+      query = query.neq('id', exceptId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      throw error;
+    }
+  }
+});
+
+module.exports = createSessionRepository;
@@ -0,0 +1,111 @@
+/**
+ * Supabase user repository (users table: credentials and account state)
+ * @param {Object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.client - Supabase client
+ */
+const createUserRepository = ({ client }) => ({
+  /**
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User row (including the password hash) or null
+   */
+  findById: async (id) => {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} email - Email address (matched case-insensitively)
+   * @returns {Promise<Object|null>} User row (including the password hash) or null
+   */
+  findByEmail: async (email) => {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .eq('email', email.toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * Create a user and their profile in one transaction (create_user_with_profile in config/database.sql)
+   * A taken email fails with a unique violation (error code 23505) and creates nothing
+   * @param {Object} account - { email, password, name, role } with the password already hashed
+   * @returns {Promise<Object>} { user: { id, email, created_at }, profile }
+   */
+  createWithProfile: async ({ email, password, name, role }) => {
+    const { data, error } = await client.rpc('create_user_with_profile', {
+      p_email: email,
+      p_password: password,
+      p_name: name,
+      p_role: role
+    });
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  },
+
+  /**
+   * @param {string} id - User ID
+   * @param {string} password - New password hash
+   * @returns {Promise<void>}
+   */
+  updatePassword: async (id, password) => {
+    const { error } = await client
+      .from('users')
+      .update({ password })
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Set email_verified_at unless it is already set
+   * @param {string} id - User ID
+   * @returns {Promise<void>}
+   */
+  markEmailVerified: async (id) => {
+    const { error } = await client
+      .from('users')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('email_verified_at', null);
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an account but keep its messages (see anonymize_user in config/database.sql)
+   * The row stays with the email and password scrubbed; the profile, sessions and
+   * other personal data are removed in the same transaction
+   * @param {string} id - User ID
+   * @returns {Promise<boolean>} True if the account existed and wasn't already deleted
+   */
+  anonymize: async (id) => {
+    const { data, error } = await client.rpc('anonymize_user', { p_user_id: id });
+
+    if (error) {
+      throw error;
+    }
+    return Boolean(data);
+  }
+});
+
+module.exports = createUserRepository;
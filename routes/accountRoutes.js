@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const {
+  updateAccountSchema,
+  changePasswordSchema,
+  deleteAccountSchema
+} = require('../schemas/accountSchemas');
+const {
+  getAccount,
+  updateAccount,
+  changePassword,
+  deleteAccount
+} = require('../controllers/accountController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// GET /api/me - The caller's account and profile
+router.get('/', getAccount);
+
+// PATCH /api/me - Update name, avatar, phone, bio or timezone
+router.patch('/', validate(updateAccountSchema), updateAccount);
+
+// POST /api/me/password - Change password (signs out other sessions)
+router.post('/password', authRateLimit, validate(changePasswordSchema), changePassword);
+
+// DELETE /api/me - Delete the account, keeping its messages anonymized
+router.delete('/', authRateLimit, validate(deleteAccountSchema), deleteAccount);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const {
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  listUserMessages,
+  moderateMessage,
+  listReports,
+  resolveReport
+} = require('../controllers/adminController');
+
+// All routes require an authenticated admin
+router.use(authenticateToken, requireRole(ROLES.ADMIN));
+
+// List users with account status
+router.get('/users', listUsers);
+
+// Suspend / reinstate an account
+router.post('/users/:userId/suspend', suspendUser);
+router.post('/users/:userId/unsuspend', unsuspendUser);
+
+// Review a user's messages
+router.get('/messages', listUserMessages);
+
+// Remove a message for both participants
+router.delete('/messages/:messageId', moderateMessage);
+
+// Moderation queue of user reports
+router.get('/reports', listReports);
+router.patch('/reports/:reportId', resolveReport);
+
+module.exports = router;
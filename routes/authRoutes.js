@@ -1,12 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { signup, login } = require('../controllers/authController');
+const { authenticateToken } = require('../middleware/auth');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const {
+  signupSchema,
+  loginSchema,
+  emailSchema,
+  resetPasswordSchema,
+  tokenSchema,
+  refreshSchema,
+  sessionIdSchema
+} = require('../schemas/authSchemas');
+const {
+  signup,
+  login,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession
+} = require('../controllers/authController');
 
 // POST /api/auth/signup - Register a new user
-router.post('/signup', signup);
+router.post('/signup', authRateLimit, validate(signupSchema), signup);
 
 // POST /api/auth/login - Authenticate user and get token
-router.post('/login', login);
+router.post('/login', authRateLimit, validate(loginSchema), login);
 
-module.exports = router;
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', authRateLimit, validate(emailSchema), forgotPassword);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password', authRateLimit, validate(resetPasswordSchema), resetPassword);
+
+// POST /api/auth/verify-email - Confirm an email address with a verification token
+router.post('/verify-email', authRateLimit, validate(tokenSchema), verifyEmail);
+
+// POST /api/auth/resend-verification - Email a new verification link
+router.post('/resend-verification', authRateLimit, validate(emailSchema), resendVerification);
+
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', authRateLimit, validate(refreshSchema), refresh);
 
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', authenticateToken, logout);
+
+// GET /api/auth/sessions - List active sessions (devices)
+router.get('/sessions', authenticateToken, getSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Revoke a session
+router.delete('/sessions/:sessionId', authenticateToken, validate(sessionIdSchema), deleteSession);
+
+module.exports = router;
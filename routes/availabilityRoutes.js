@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const {
+  getMyAvailability,
+  createSlot,
+  deleteSlot,
+  createException,
+  deleteException,
+  getFreeTime
+} = require('../controllers/availabilityController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Housekeeper's own calendar - MUST be before :housekeeperId route
+router.get('/me', requireRole(ROLES.HOUSEKEEPER), getMyAvailability);
+router.post('/slots', requireRole(ROLES.HOUSEKEEPER), createSlot);
+router.delete('/slots/:slotId', requireRole(ROLES.HOUSEKEEPER), deleteSlot);
+router.post('/exceptions', requireRole(ROLES.HOUSEKEEPER), createException);
+router.delete('/exceptions/:exceptionId', requireRole(ROLES.HOUSEKEEPER), deleteException);
+
+// Free windows of a housekeeper in a date range
+router.get('/:housekeeperId/free', getFreeTime);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  addParticipants,
+  removeParticipant,
+  getConversationMessages,
+  markConversationAsRead
+} = require('../controllers/conversationsController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Group conversations the caller takes part in
+router.get('/', listConversations);
+router.post('/', createConversation);
+
+// A single conversation (participants only)
+router.get('/:conversationId', getConversation);
+router.patch('/:conversationId', renameConversation);
+
+// Participants (admins invite/remove, everyone can leave)
+router.post('/:conversationId/participants', addParticipants);
+router.delete('/:conversationId/participants/:userId', removeParticipant);
+
+// Messages - send with POST /api/messages and conversation_id
+router.get('/:conversationId/messages', getConversationMessages);
+router.patch('/:conversationId/read', markConversationAsRead);
+
+module.exports = router;
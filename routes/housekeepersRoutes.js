@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const {
+  searchHousekeepers,
+  getHousekeeper,
+  getMyHousekeeperProfile,
+  updateMyHousekeeperProfile
+} = require('../controllers/housekeepersController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Search and own profile - MUST be before :housekeeperId route
+router.get('/search', searchHousekeepers);
+router.get('/me', requireRole(ROLES.HOUSEKEEPER), getMyHousekeeperProfile);
+router.put('/me', requireRole(ROLES.HOUSEKEEPER), updateMyHousekeeperProfile);
+
+// Public housekeeper profile
+router.get('/:housekeeperId', getHousekeeper);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const {
+  createJob,
+  listJobs,
+  getJob,
+  addOffers,
+  listOffers,
+  acceptOffer,
+  declineOffer,
+  startJob,
+  completeJob,
+  cancelJob
+} = require('../controllers/jobsController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Create a job and optionally offer it to housekeepers
+router.post('/', requireRole(ROLES.OWNER), createJob);
+
+// List the caller's jobs
+router.get('/', listJobs);
+
+// Housekeeper offers - MUST be before :jobId routes
+router.get('/offers', requireRole(ROLES.HOUSEKEEPER), listOffers);
+router.post('/offers/:offerId/accept', requireRole(ROLES.HOUSEKEEPER), acceptOffer);
+router.post('/offers/:offerId/decline', requireRole(ROLES.HOUSEKEEPER), declineOffer);
+
+// Get a job
+router.get('/:jobId', getJob);
+
+// Offer an open job to more housekeepers
+router.post('/:jobId/offers', requireRole(ROLES.OWNER), addOffers);
+
+// Status changes
+router.post('/:jobId/start', requireRole(ROLES.HOUSEKEEPER), startJob);
+router.post('/:jobId/complete', requireRole(ROLES.HOUSEKEEPER), completeJob);
+router.post('/:jobId/cancel', cancelJob);
+
+module.exports = router;
@@ -1,13 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { uploadAttachments } = require('../middleware/upload');
+const { messageRateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const { isOwnInbox } = require('../policies/messagingPolicy');
 const {
   getMessages,
   getConversation,
+  getConversations,
+  searchMessages,
+  markAsRead,
   getUsers,
   sendMessage,
-  deleteMessage
+  deleteMessage,
+  editMessage,
+  getMessageHistory,
+  getAttachment
 } = require('../controllers/messagesController');
+const {
+  inboxSchema,
+  conversationSchema,
+  markAsReadSchema,
+  searchSchema,
+  attachmentSchema,
+  sendMessageSchema,
+  editMessageSchema,
+  deleteMessageSchema,
+  messageIdSchema
+} = require('../schemas/messageSchemas');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -15,17 +37,35 @@ router.use(authenticateToken);
 // Get list of users (excluding current user) - MUST be before :userId route
 router.get('/users/list', getUsers);
 
+// Get conversation list with last message and unread counts - MUST be before :userId route
+router.get('/conversations', getConversations);
+
+// Full-text search over the caller's messages - MUST be before :userId route
+router.get('/search', validate(searchSchema), searchMessages);
+
 // Get conversation between two users
-router.get('/conversation/:otherUserId', getConversation);
+router.get('/conversation/:otherUserId', validate(conversationSchema), getConversation);
+
+// Mark messages in a conversation as read
+router.patch('/conversation/:otherUserId/read', validate(markAsReadSchema), markAsRead);
 
-// Send a new message
-router.post('/', sendMessage);
+// Download an attachment (sender and receiver only) - MUST be before :userId route
+router.get('/attachments/:attachmentId', validate(attachmentSchema), getAttachment);
+
+// Send a new message (JSON, or multipart/form-data with "attachments" files)
+router.post('/', messageRateLimit, uploadAttachments, validate(sendMessageSchema), sendMessage);
 
 // Delete a message - MUST be before :userId route to avoid conflicts
-router.delete('/:messageId', deleteMessage);
+router.delete('/:messageId', validate(deleteMessageSchema), deleteMessage);
+
+// Edit a message the caller sent
+router.patch('/:messageId', validate(editMessageSchema), editMessage);
+
+// Previous versions of an edited message - MUST be before :userId route
+router.get('/:messageId/history', validate(messageIdSchema), getMessageHistory);
 
 // Get all messages for a user - This must be LAST because it has a catch-all :userId param
-router.get('/:userId', getMessages);
+router.get('/:userId', validate(inboxSchema), authorize(isOwnInbox, 'Unauthorized to view these messages'), getMessages);
 
 module.exports = router;
 
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+const { ROLES } = require('../config/roles');
+const {
+  listProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty
+} = require('../controllers/propertiesController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// List properties visible to the caller
+router.get('/', listProperties);
+
+// Get a property (access details only for the owner and engaged housekeepers)
+router.get('/:propertyId', getProperty);
+
+// Owner-only changes
+router.post('/', requireRole(ROLES.OWNER), createProperty);
+router.patch('/:propertyId', requireRole(ROLES.OWNER), updateProperty);
+router.delete('/:propertyId', requireRole(ROLES.OWNER), deleteProperty);
+
+module.exports = router;
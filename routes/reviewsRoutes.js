@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createReview,
+  updateReview,
+  listUserReviews,
+  listJobReviews
+} = require('../controllers/reviewsController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Reviews a user received
+router.get('/user/:userId', listUserReviews);
+
+// Reviews left on a job (participants only)
+router.get('/job/:jobId', listJobReviews);
+
+// Review the other party of a completed job
+router.post('/', createReview);
+
+// Edit your own review within the edit window
+router.patch('/:reviewId', updateReview);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listBlocks,
+  blockUser,
+  unblockUser,
+  reportUser
+} = require('../controllers/usersController');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+// Users the caller has blocked - MUST be before :userId routes
+router.get('/blocks', listBlocks);
+
+// Block / unblock a user
+router.post('/:userId/block', blockUser);
+router.delete('/:userId/block', unblockUser);
+
+// Report a user to the moderators
+router.post('/:userId/report', reportUser);
+
+module.exports = router;
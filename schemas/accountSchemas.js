@@ -0,0 +1,40 @@
+const { MIN_PASSWORD_LENGTH } = require('./authSchemas');
+
+const MAX_BIO_LENGTH = 1000;
+
+// Every field is optional; null or "" clears it (except name)
+const updateAccountSchema = {
+  body: {
+    name: { nonEmpty: true, maxLength: 100 },
+    avatar_url: { type: 'url', maxLength: 2048 },
+    phone: {
+      pattern: /^\+?[0-9(][0-9 ()-]{5,19}$/,
+      message: 'phone must be 6 to 20 digits, optionally starting with + and using spaces, dashes or brackets'
+    },
+    bio: { maxLength: MAX_BIO_LENGTH },
+    timezone: { type: 'timezone' }
+  }
+};
+
+const changePasswordSchema = {
+  body: {
+    current_password: { required: true },
+    new_password: {
+      required: true,
+      minLength: MIN_PASSWORD_LENGTH,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    }
+  }
+};
+
+const deleteAccountSchema = {
+  body: {
+    password: { required: true }
+  }
+};
+
+module.exports = {
+  updateAccountSchema,
+  changePasswordSchema,
+  deleteAccountSchema
+};
@@ -0,0 +1,66 @@
+const { SIGNUP_ROLES } = require('../config/roles');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const email = { type: 'email', required: true, message: 'A valid email is required' };
+const newPassword = {
+  required: true,
+  minLength: MIN_PASSWORD_LENGTH,
+  message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+};
+
+const signupSchema = {
+  body: {
+    email,
+    password: newPassword,
+    name: { required: true, maxLength: 100 },
+    role: { required: true, values: SIGNUP_ROLES, message: "Role must be either 'owner' or 'housekeeper'" }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email,
+    password: { required: true }
+  }
+};
+
+const emailSchema = {
+  body: { email }
+};
+
+const resetPasswordSchema = {
+  body: {
+    token: { required: true },
+    password: newPassword
+  }
+};
+
+const tokenSchema = {
+  body: {
+    token: { required: true }
+  }
+};
+
+const refreshSchema = {
+  body: {
+    refreshToken: { required: true }
+  }
+};
+
+const sessionIdSchema = {
+  params: {
+    sessionId: { type: 'uuid', required: true, message: 'Invalid session id' }
+  }
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  signupSchema,
+  loginSchema,
+  emailSchema,
+  resetPasswordSchema,
+  tokenSchema,
+  refreshSchema,
+  sessionIdSchema
+};
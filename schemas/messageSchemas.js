@@ -0,0 +1,91 @@
+const { MAX_MESSAGE_LENGTH } = require('../services/messageService');
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+const id = (message) => ({ type: 'uuid', required: true, message });
+const messageText = { maxLength: MAX_MESSAGE_LENGTH };
+
+const inboxSchema = {
+  params: {
+    userId: id('Invalid user id')
+  }
+};
+
+const conversationSchema = {
+  params: {
+    otherUserId: id('Invalid user id')
+  },
+  query: {
+    jobId: { type: 'uuid', message: 'Invalid job id' }
+  }
+};
+
+const markAsReadSchema = {
+  params: {
+    otherUserId: id('Invalid user id')
+  },
+  body: {
+    upToMessageId: { type: 'uuid', message: 'Invalid message id' }
+  }
+};
+
+const searchSchema = {
+  query: {
+    q: { required: true, maxLength: MAX_SEARCH_QUERY_LENGTH },
+    counterpartId: { type: 'uuid' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+};
+
+const attachmentSchema = {
+  params: {
+    attachmentId: id('Invalid attachment id')
+  }
+};
+
+// Whether receiver_id or conversation_id is given, and if the text may be empty, is checked when sending
+const sendMessageSchema = {
+  body: {
+    receiver_id: { type: 'uuid' },
+    conversation_id: { type: 'uuid' },
+    job_id: { type: 'uuid' },
+    message: messageText
+  }
+};
+
+const editMessageSchema = {
+  params: {
+    messageId: id('Invalid message id')
+  },
+  body: {
+    message: messageText
+  }
+};
+
+const deleteMessageSchema = {
+  params: {
+    messageId: id('Invalid message id')
+  },
+  body: {
+    deleteForEveryone: { type: 'boolean' }
+  }
+};
+
+const messageIdSchema = {
+  params: {
+    messageId: id('Invalid message id')
+  }
+};
+
+module.exports = {
+  inboxSchema,
+  conversationSchema,
+  markAsReadSchema,
+  searchSchema,
+  attachmentSchema,
+  sendMessageSchema,
+  editMessageSchema,
+  deleteMessageSchema,
+  messageIdSchema
+};
@@ -1,49 +1,57 @@
-const express = require('express');
-const cors = require('cors');
+const http = require('http');
 require('dotenv').config();
+const app = require('./app');
+const { initSocket } = require('./socket');
+const { findPendingMigrations } = require('./migrator');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Health check route
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Cleaning Platform Backend API is running',
-    version: '1.0.0'
-  });
-});
+/**
+ * Refuse to serve requests against a database that is missing migrations
+ * The in-memory data store has no schema, so there is nothing to check. The check needs DATABASE_URL;
+ * operators who can't provide it have to opt out explicitly with SKIP_MIGRATION_CHECK=1.
+ */
+const checkMigrations = async () => {
+  if (process.env.DATA_STORE === 'memory') {
+    return;
+  }
 
-// API Routes
-app.use('/api/auth', require('./routes/authRoutes'));
-app.use('/api/messages', require('./routes/messagesRoutes'));
+  if (process.env.SKIP_MIGRATION_CHECK === '1') {
+    console.warn('⚠️  SKIP_MIGRATION_CHECK=1, so pending migrations were not checked.');
+    return;
+  }
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: err.message
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set, so pending migrations cannot be checked. ' +
+      'Set it, or set SKIP_MIGRATION_CHECK=1 to start without the check.');
+  }
+
+  const pending = await findPendingMigrations();
+
+  if (pending.length > 0) {
+    const names = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    throw new Error(`${pending.length} pending migration(s): ${names}. Run "npm run migrate" first.`);
+  }
+};
+
+const start = async () => {
+  try {
+    await checkMigrations();
+  } catch (error) {
+    console.error(`❌ Server not started. ${error.message}`);
+    process.exit(1);
+  }
+
+  // Start server (HTTP + Socket.IO share the same port)
+  const server = http.createServer(app);
+  initSocket(server);
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Server is running on port ${PORT}`);
+    console.log(`📍 API endpoints available at http://localhost:${PORT}/api`);
+    console.log(`🏥 Health check: http://localhost:${PORT}`);
+    console.log(`🔌 Socket.IO available at ws://localhost:${PORT}`);
   });
-});
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server is running on port ${PORT}`);
-  console.log(`📍 API endpoints available at http://localhost:${PORT}/api`);
-  console.log(`🏥 Health check: http://localhost:${PORT}`);
-});
+};
+
+start();
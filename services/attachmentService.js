@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const path = require('path');
+const repositories = require('../repositories');
+const { saveFile, removeFile } = require('../storage');
+const { findParticipant, sentBeforeJoining } = require('./conversationService');
+const { FILE_TYPES, detectFileType, getImageDimensions } = require('../utils/fileType');
+
+/**
+ * Check uploaded files and work out their metadata
+ * The type is detected from the contents; the client-supplied MIME type is ignored
+ * @param {Array<Object>} files - Multer files ({ originalname, buffer, size })
+ * @returns {Object} { success: true, data } or { success: false, status, message }
+ */
+const prepareAttachments = (files) => {
+  const prepared = [];
+
+  for (const file of files) {
+    const type = detectFileType(file.buffer);
+
+    if (!type) {
+      const allowed = FILE_TYPES.map(fileType => fileType.extension).join(', ');
+      return {
+        success: false,
+        status: 415,
+        message: `${file.originalname} is not a supported file type (allowed: ${allowed})`
+      };
+    }
+
+    const dimensions = getImageDimensions(file.buffer, type.mime);
+
+    prepared.push({
+      buffer: file.buffer,
+      extension: type.extension,
+      file_name: path.basename(file.originalname || `attachment.${type.extension}`).slice(0, 255),
+      content_type: type.mime,
+      size_bytes: file.size,
+      width: dimensions ? dimensions.width : null,
+      height: dimensions ? dimensions.height : null
+    });
+  }
+
+  return { success: true, data: prepared };
+};
+
+/**
+ * Store prepared attachments and link them to a message
+ * Stored files are removed again if anything fails
+ * @param {string} messageId - Message ID
+ * @param {string} uploaderId - Sender user ID
+ * @param {Array<Object>} attachments - Output of prepareAttachments
+ * @returns {Promise<Array<Object>>} Attachment rows
+ */
+const storeAttachments = async (messageId, uploaderId, attachments) => {
+  if (attachments.length === 0) {
+    return [];
+  }
+
+  const stored = [];
+
+  try {
+    for (const attachment of attachments) {
+      const key = `messages/${messageId}/${crypto.randomUUID()}.${attachment.extension}`;
+      await saveFile(key, attachment.buffer, attachment.content_type);
+      stored.push({ attachment, key });
+    }
+
+    return await repositories.messages.createAttachments(stored.map(({ attachment, key }) => ({
+      message_id: messageId,
+      uploader_id: uploaderId,
+      file_name: attachment.file_name,
+      content_type: attachment.content_type,
+      size_bytes: attachment.size_bytes,
+      width: attachment.width,
+      height: attachment.height,
+      storage_key: key
+    })));
+  } catch (error) {
+    await Promise.allSettled(stored.map(({ key }) => removeFile(key)));
+    throw error;
+  }
+};
+
+/**
+ * Get an attachment and verify the user can still see its message
+ * (sender, receiver, or a current participant of the group conversation who had joined when it was sent)
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} { success: true, data } (including storage_key) or { success: false, status, message }
+ */
+const findAttachmentForParticipant = async (attachmentId, userId) => {
+  const attachment = await repositories.messages.findAttachment(attachmentId);
+
+  if (!attachment || !attachment.message) {
+    return { success: false, status: 404, message: 'Attachment not found' };
+  }
+
+  const { message } = attachment;
+  const participant = message.conversation_id && message.sender_id !== userId
+    ? await findParticipant(message.conversation_id, userId)
+    : null;
+  const receives = message.conversation_id ? Boolean(participant) : message.receiver_id === userId;
+
+  if (message.sender_id !== userId && !receives) {
+    return { success: false, status: 403, message: 'Unauthorized to access this attachment' };
+  }
+
+  // Sent before the user joined the group, deleted for this user, or removed by a moderator
+  const deletedForUser = message.sender_id === userId ? message.deleted_for_sender : message.deleted_for_receiver;
+  if ((participant && sentBeforeJoining(message, participant)) || deletedForUser) {
+    return { success: false, status: 404, message: 'Attachment not found' };
+  }
+
+  return { success: true, data: attachment };
+};
+
+module.exports = {
+  prepareAttachments,
+  storeAttachments,
+  findAttachmentForParticipant
+};
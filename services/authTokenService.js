@@ -0,0 +1,49 @@
+const repositories = require('../repositories');
+const { generateRandomToken, hashToken } = require('../utils/token');
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+/**
+ * Issue a single-use token for a user, invalidating earlier unused tokens of the same purpose
+ * Only the hash is stored; the plain token is returned to be emailed
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @returns {Promise<string>} Plain token
+ */
+const createAuthToken = async (userId, purpose, ttlMinutes) => {
+  const now = new Date();
+
+  await repositories.authTokens.invalidate(userId, purpose, now.toISOString());
+
+  const token = generateRandomToken(32);
+
+  await repositories.authTokens.create({
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(now.getTime() + ttlMinutes * 60 * 1000).toISOString()
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a single-use token
+ * The token is marked as used atomically, so it can only be redeemed once
+ * @param {string} token - Plain token from the email link
+ * @param {string} purpose - One of TOKEN_PURPOSES
+ * @returns {Promise<string|null>} User ID, or null if the token is invalid, used or expired
+ */
+const consumeAuthToken = async (token, purpose) => {
+  return repositories.authTokens.consume(hashToken(token), purpose, new Date().toISOString());
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createAuthToken,
+  consumeAuthToken
+};
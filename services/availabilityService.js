@@ -0,0 +1,124 @@
+const supabase = require('../config/supabase');
+const { findBookedJobs } = require('./jobService');
+const {
+  DAY_MS,
+  parseTimeOfDay,
+  zonedTimeToUtc,
+  getZonedDate,
+  mergeIntervals,
+  subtractIntervals
+} = require('../utils/time');
+
+const EXCEPTION_KINDS = {
+  TIME_OFF: 'time_off',
+  EXTRA: 'extra'
+};
+
+// Longest range the free-window query accepts
+const MAX_RANGE_DAYS = 62;
+
+/**
+ * Expand weekly slots into concrete intervals within a range
+ * Each slot is interpreted as wall-clock time in its own timezone, so slots follow DST changes
+ * @param {Array<Object>} slots - availability_slots rows
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {Array<Object>} [{ start, end }] in ms
+ */
+const expandWeeklySlots = (slots, from, to) => {
+  const intervals = [];
+
+  slots.forEach(slot => {
+    const startMinutes = parseTimeOfDay(slot.start_time);
+    const endMinutes = parseTimeOfDay(slot.end_time);
+
+    // Walk local calendar days, with a day of margin for timezone offsets
+    const first = getZonedDate(from - DAY_MS, slot.timezone);
+    const days = Math.ceil((to - from) / DAY_MS) + 2;
+
+    for (let i = 0; i <= days; i++) {
+      const calendarDay = new Date(Date.UTC(first.year, first.month - 1, first.day + i));
+      if (calendarDay.getUTCDay() !== slot.weekday) {
+        continue;
+      }
+
+      const date = {
+        year: calendarDay.getUTCFullYear(),
+        month: calendarDay.getUTCMonth() + 1,
+        day: calendarDay.getUTCDate()
+      };
+
+      intervals.push({
+        start: zonedTimeToUtc(date, startMinutes, slot.timezone),
+        end: zonedTimeToUtc(date, endMinutes, slot.timezone)
+      });
+    }
+  });
+
+  return intervals;
+};
+
+/**
+ * Compute when a housekeeper is free within a range:
+ * weekly slots + extra availability, minus time off and booked jobs
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {Promise<Array<Object>>} [{ start, end }] as ISO timestamps, in order
+ */
+const getFreeWindows = async (housekeeperId, from, to) => {
+  const fromIso = new Date(from).toISOString();
+  const toIso = new Date(to).toISOString();
+
+  const { data: slots, error: slotsError } = await supabase
+    .from('availability_slots')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId);
+
+  if (slotsError) {
+    throw slotsError;
+  }
+
+  const { data: exceptions, error: exceptionsError } = await supabase
+    .from('availability_exceptions')
+    .select('*')
+    .eq('housekeeper_id', housekeeperId)
+    .lt('starts_at', toIso)
+    .gt('ends_at', fromIso);
+
+  if (exceptionsError) {
+    throw exceptionsError;
+  }
+
+  const bookedJobs = await findBookedJobs(housekeeperId, fromIso, toIso);
+
+  const toInterval = (startIso, endIso) => ({ start: Date.parse(startIso), end: Date.parse(endIso) });
+
+  const available = [
+    ...expandWeeklySlots(slots || [], from, to),
+    ...(exceptions || [])
+      .filter(exception => exception.kind === EXCEPTION_KINDS.EXTRA)
+      .map(exception => toInterval(exception.starts_at, exception.ends_at))
+  ];
+
+  const blocked = [
+    // Everything outside the requested range
+    { start: -Infinity, end: from },
+    { start: to, end: Infinity },
+    ...(exceptions || [])
+      .filter(exception => exception.kind === EXCEPTION_KINDS.TIME_OFF)
+      .map(exception => toInterval(exception.starts_at, exception.ends_at)),
+    ...bookedJobs.map(job => toInterval(job.scheduled_start, job.scheduled_end))
+  ];
+
+  return subtractIntervals(mergeIntervals(available), blocked).map(window => ({
+    start: new Date(window.start).toISOString(),
+    end: new Date(window.end).toISOString()
+  }));
+};
+
+module.exports = {
+  EXCEPTION_KINDS,
+  MAX_RANGE_DAYS,
+  getFreeWindows
+};
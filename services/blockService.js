@@ -0,0 +1,27 @@
+const repositories = require('../repositories');
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {Promise<boolean>} True if a block exists in either direction
+ */
+const isBlockedEitherWay = async (userId, otherUserId) => {
+  return repositories.blocks.existsBetween(userId, otherUserId);
+};
+
+/**
+ * Every user a user has blocked or been blocked by
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>} IDs of the other side of each block
+ */
+const getBlockedUserIds = async (userId) => {
+  const blocks = await repositories.blocks.listInvolving(userId);
+
+  return new Set(blocks.map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id)));
+};
+
+module.exports = {
+  isBlockedEitherWay,
+  getBlockedUserIds
+};
@@ -0,0 +1,109 @@
+const repositories = require('../repositories');
+const { isValidUUID } = require('../utils/validate');
+
+// Largest group a conversation can hold, creator included
+const MAX_PARTICIPANTS = 20;
+
+/**
+ * List the participants of a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Array<Object>>} Participant rows, oldest member first
+ */
+const getParticipants = async (conversationId) => {
+  return repositories.conversations.listParticipants(conversationId);
+};
+
+/**
+ * Get a user's participant row in a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { user_id, is_admin, joined_at, last_read_at }, or null if the user isn't a participant
+ */
+const findParticipant = async (conversationId, userId) => {
+  return repositories.conversations.findParticipant(conversationId, userId);
+};
+
+/**
+ * Check whether a user currently takes part in a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user is a participant
+ */
+const isConversationParticipant = async (conversationId, userId) => {
+  return Boolean(await findParticipant(conversationId, userId));
+};
+
+/**
+ * Check whether a group message was sent before a participant joined (and so is hidden from them)
+ * @param {Object} message - Message row
+ * @param {Object} participant - The participant's conversation_participants row
+ * @returns {boolean} True if the message predates the participant
+ */
+const sentBeforeJoining = (message, participant) => {
+  return Boolean(participant.joined_at) && message.created_at < participant.joined_at;
+};
+
+/**
+ * Get a group conversation the user takes part in, with its participants
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} { success: true, data: { conversation, participants, participant } }
+ *   or { success: false, status, message }
+ */
+const findConversationForParticipant = async (conversationId, userId) => {
+  if (!isValidUUID(conversationId)) {
+    return { success: false, status: 400, message: 'Invalid conversation id' };
+  }
+
+  const conversation = await repositories.conversations.findById(conversationId);
+
+  if (!conversation) {
+    return { success: false, status: 404, message: 'Conversation not found' };
+  }
+
+  const participants = await getParticipants(conversationId);
+  const participant = participants.find(member => member.user_id === userId);
+
+  // Don't reveal conversations to people outside them
+  if (!participant) {
+    return { success: false, status: 404, message: 'Conversation not found' };
+  }
+
+  return { success: true, data: { conversation, participants, participant } };
+};
+
+/**
+ * Message scope (see repositories/index.js) for the messages of a group conversation still visible to userId
+ * Participants only see what was sent from the moment they joined
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Viewing user ID
+ * @param {string} joinedAt - When userId joined the conversation (their participant row's joined_at)
+ * @returns {Object} Scope for repositories.messages.list
+ */
+const groupConversationScope = (conversationId, userId, joinedAt) => ({
+  type: 'group',
+  conversationId,
+  userId,
+  since: joinedAt
+});
+
+/**
+ * Record new activity in a group conversation, so it moves to the top of conversation lists
+ * @param {string} conversationId - Conversation ID
+ * @param {string} activityAt - Time of the activity (e.g. the new message's created_at)
+ * @returns {Promise<void>}
+ */
+const touchConversation = async (conversationId, activityAt) => {
+  await repositories.conversations.update(conversationId, { updated_at: activityAt });
+};
+
+module.exports = {
+  MAX_PARTICIPANTS,
+  getParticipants,
+  findParticipant,
+  isConversationParticipant,
+  sentBeforeJoining,
+  findConversationForParticipant,
+  groupConversationScope,
+  touchConversation
+};
@@ -0,0 +1,136 @@
+const supabase = require('../config/supabase');
+const { JOB_STATUS, OFFER_STATUS } = require('../config/jobStatus');
+
+// Job statuses during which a housekeeper is actively working for an owner
+const ACTIVE_JOB_STATUSES = [JOB_STATUS.ACCEPTED, JOB_STATUS.IN_PROGRESS];
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job row or null if not found
+ */
+const findJob = async (jobId) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+  return job;
+};
+
+/**
+ * Check whether a housekeeper has an offer for a job (in any status)
+ * @param {string} jobId - Job ID
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @returns {Promise<boolean>} True if an offer exists
+ */
+const hasOffer = async (jobId, housekeeperId) => {
+  const { data, error } = await supabase
+    .from('job_offers')
+    .select('id')
+    .eq('job_id', jobId)
+    .eq('housekeeper_id', housekeeperId)
+    .neq('status', OFFER_STATUS.WITHDRAWN)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+  return Boolean(data && data.length > 0);
+};
+
+/**
+ * Check whether a user takes part in a job: its owner, its assigned housekeeper
+ * or a housekeeper it was offered to
+ * @param {Object} job - Job row
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user is a participant
+ */
+const isJobParticipant = async (job, userId) => {
+  if (job.owner_id === userId || job.housekeeper_id === userId) {
+    return true;
+  }
+  return hasOffer(job.id, userId);
+};
+
+/**
+ * Check whether a housekeeper currently has an accepted or in-progress job with an owner
+ * @param {string} ownerId - Owner user ID
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @returns {Promise<boolean>} True if there is an active engagement
+ */
+const hasActiveEngagement = async (ownerId, housekeeperId) => {
+  const { data, error } = await supabase
+    .from('jobs')
+    .select('id')
+    .eq('owner_id', ownerId)
+    .eq('housekeeper_id', housekeeperId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+  return Boolean(data && data.length > 0);
+};
+
+/**
+ * Get a housekeeper's booked (accepted or in-progress) jobs overlapping a time range
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @param {string} start - Range start (ISO timestamp)
+ * @param {string} end - Range end (ISO timestamp)
+ * @param {string} [excludeJobId] - Job to ignore (e.g. the one being booked)
+ * @returns {Promise<Array<Object>>} Overlapping jobs
+ */
+const findBookedJobs = async (housekeeperId, start, end, excludeJobId) => {
+  let query = supabase
+    .from('jobs')
+    .select('id, scheduled_start, scheduled_end')
+    .eq('housekeeper_id', housekeeperId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .lt('scheduled_start', end)
+    .gt('scheduled_end', start);
+
+  if (excludeJobId) {
+    query = query.neq('id', excludeJobId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+  return data || [];
+};
+
+/**
+ * Check whether a housekeeper is free for the whole of a time range: covered by their weekly slots
+ * and extra availability, with no time off or booked job overlapping it (is_housekeeper_free in config/database.sql)
+ * @param {string} housekeeperId - Housekeeper user ID
+ * @param {string} start - Range start (ISO timestamp)
+ * @param {string} end - Range end (ISO timestamp)
+ * @returns {Promise<boolean>} True if the housekeeper is free
+ */
+const isHousekeeperFree = async (housekeeperId, start, end) => {
+  const { data, error } = await supabase
+    .rpc('is_housekeeper_free', { p_housekeeper_id: housekeeperId, p_from: start, p_to: end });
+
+  if (error) {
+    throw error;
+  }
+  return data === true;
+};
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  findJob,
+  hasOffer,
+  isJobParticipant,
+  hasActiveEngagement,
+  findBookedJobs,
+  isHousekeeperFree
+};
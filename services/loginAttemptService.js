@@ -0,0 +1,68 @@
+const { incrementCounter, getCounter, setCounter, resetCounter } = require('../rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+const { maxAttempts, baseLockoutMs, maxLockoutMs, failureWindowMs } = RATE_LIMITS.LOGIN_LOCKOUT;
+
+// Keyed by email rather than user id so unknown addresses are throttled the same way
+const failuresKey = (email) => `login:failures:${email.toLowerCase()}`;
+const lockKey = (email) => `login:lock:${email.toLowerCase()}`;
+
+/**
+ * Run a rate limit store operation, falling back to a default if the store is unreachable
+ * Lockouts fail open like the rate limit middleware: a store outage shouldn't stop everyone from logging in
+ * @param {Function} operation - Async store operation
+ * @param {*} fallback - Result to use when the store fails
+ * @returns {Promise<*>} Result of operation, or fallback
+ */
+const withStore = async (operation, fallback) => {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+    return fallback;
+  }
+};
+
+/**
+ * How long an account is still locked after too many failed logins
+ * @param {string} email - Login email
+ * @returns {Promise<number>} Milliseconds until the lock ends, 0 if not locked
+ */
+const getLockout = async (email) => withStore(async () => {
+  const lock = await getCounter(lockKey(email));
+  return lock ? Math.max(0, lock.expiresAt - Date.now()) : 0;
+}, 0);
+
+/**
+ * Record a failed login and lock the account once maxAttempts is reached
+ * Each failure past the limit doubles the lock (30s, 1m, 2m, ... up to 1 hour by default)
+ * @param {string} email - Login email
+ * @returns {Promise<number>} Milliseconds the account is now locked for, 0 if not locked
+ */
+const recordFailedLogin = async (email) => withStore(async () => {
+  const { count } = await incrementCounter(failuresKey(email), failureWindowMs);
+
+  if (count < maxAttempts) {
+    return 0;
+  }
+
+  const lockoutMs = Math.min(maxLockoutMs, baseLockoutMs * 2 ** (count - maxAttempts));
+  await setCounter(lockKey(email), count, lockoutMs);
+
+  return lockoutMs;
+}, 0);
+
+/**
+ * Forget failed logins after a successful one
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (email) => withStore(async () => {
+  await Promise.all([resetCounter(failuresKey(email)), resetCounter(lockKey(email))]);
+}, undefined);
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,595 @@
+const repositories = require('../repositories');
+const { isValidUUID } = require('../utils/validate');
+const { canMessage } = require('../policies/messagingPolicy');
+const { findJob, isJobParticipant } = require('./jobService');
+const { prepareAttachments, storeAttachments } = require('./attachmentService');
+const {
+  findConversationForParticipant,
+  findParticipant,
+  sentBeforeJoining,
+  touchConversation
+} = require('./conversationService');
+const { isBlockedEitherWay, getBlockedUserIds } = require('./blockService');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+// How long after sending a message its sender can still edit it
+const MESSAGE_EDIT_WINDOW_MINUTES = Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+
+/**
+ * Check whether two users have exchanged at least one message
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {Promise<boolean>} True if either user has messaged the other
+ */
+const hasConversation = async (userId, otherUserId) => {
+  return repositories.messages.hasConversation(userId, otherUserId);
+};
+
+/**
+ * Check blocks and the contact rules in policies/messagingPolicy.js between two users
+ * Used for direct messages and when adding someone to a group conversation
+ * @param {string} senderId - Acting user ID
+ * @param {string} senderRole - Acting user role
+ * @param {string} receiverId - Other user ID
+ * @returns {Promise<Object>} { success: true } or { success: false, status, message }
+ */
+const checkMessagingPermission = async (senderId, senderRole, receiverId) => {
+  if (senderId === receiverId) {
+    return { success: false, status: 400, message: 'Cannot send message to yourself' };
+  }
+
+  // Get receiver's role to enforce access rules
+  const receiverProfile = isValidUUID(receiverId) ? await repositories.profiles.findByUserId(receiverId) : null;
+
+  if (!receiverProfile) {
+    return { success: false, status: 404, message: 'Receiver not found' };
+  }
+
+  // Blocks apply in both directions and override every other rule
+  if (await isBlockedEitherWay(senderId, receiverId)) {
+    return { success: false, status: 403, message: 'You cannot message this user' };
+  }
+
+  // e.g. owners can message other owners freely, but need an existing conversation for housekeepers
+  const permission = await canMessage(senderRole, receiverProfile.role, () => hasConversation(senderId, receiverId));
+
+  if (!permission.allowed) {
+    return { success: false, status: 403, message: permission.message };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Check a direct (1:1) message and work out who receives it
+ * @param {Object} params - See createMessage
+ * @returns {Promise<Object>} { success: true, recipientIds } or { success: false, status, message }
+ */
+const authorizeDirectMessage = async ({ senderId, senderRole, receiverId, jobId }) => {
+  // Verify receiver exists
+  const receiverExists = isValidUUID(receiverId) ? await repositories.users.findById(receiverId) : null;
+
+  if (!receiverExists) {
+    return { success: false, status: 404, message: 'Receiver not found' };
+  }
+
+  const permission = await checkMessagingPermission(senderId, senderRole, receiverId);
+  if (!permission.success) {
+    return permission;
+  }
+
+  // Optionally link the message to a job both users take part in
+  if (jobId !== undefined && jobId !== null) {
+    if (!isValidUUID(jobId)) {
+      return { success: false, status: 400, message: 'Invalid job id' };
+    }
+
+    const job = await findJob(jobId);
+    if (!job || !(await isJobParticipant(job, senderId)) || !(await isJobParticipant(job, receiverId))) {
+      return { success: false, status: 404, message: 'Job not found' };
+    }
+  }
+
+  return { success: true, recipientIds: [receiverId] };
+};
+
+/**
+ * Check a group message and work out who receives it
+ * @param {Object} params - See createMessage
+ * @returns {Promise<Object>} { success: true, recipientIds } or { success: false, status, message }
+ */
+const authorizeGroupMessage = async ({ senderId, conversationId, jobId }) => {
+  if (jobId !== undefined && jobId !== null) {
+    return { success: false, status: 400, message: 'job_id can only be used in direct messages' };
+  }
+
+  const lookup = await findConversationForParticipant(conversationId, senderId);
+  if (!lookup.success) {
+    return lookup;
+  }
+
+  const recipientIds = lookup.data.participants
+    .map(participant => participant.user_id)
+    .filter(userId => userId !== senderId);
+
+  // Blocks apply inside groups too, e.g. after two members block each other
+  const blockedIds = await getBlockedUserIds(senderId);
+  if (recipientIds.some(userId => blockedIds.has(userId))) {
+    return {
+      success: false,
+      status: 403,
+      message: 'You cannot message this conversation because of a block between you and one of its participants'
+    };
+  }
+
+  return { success: true, recipientIds };
+};
+
+/**
+ * Validate message text; it may only be empty when the message has attachments
+ * @param {*} message - Requested text
+ * @param {boolean} hasAttachments - Whether files are (or will be) attached
+ * @returns {Object} { success: true, text } or { success: false, status, message }
+ */
+const validateMessageText = (message, hasAttachments) => {
+  const text = typeof message === 'string' ? message.trim() : '';
+
+  if ((message !== undefined && typeof message !== 'string') || (!text && !hasAttachments)) {
+    return { success: false, status: 400, message: 'Message cannot be empty' };
+  }
+
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    return { success: false, status: 400, message: `Message can't be longer than ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  return { success: true, text };
+};
+
+/**
+ * Validate and store a new message, enforcing the contact rules in policies/messagingPolicy.js.
+ * Messages go either to one user (receiverId) or to a group conversation (conversationId).
+ * Shared by the REST API and the Socket.IO layer.
+ * @param {Object} params
+ * @param {string} params.senderId - Authenticated sender ID
+ * @param {string} params.senderRole - Authenticated sender role
+ * @param {string} [params.receiverId] - Receiver user ID (direct message)
+ * @param {string} [params.conversationId] - Group conversation ID
+ * @param {string} [params.message] - Message text (optional when files are attached)
+ * @param {string} [params.jobId] - Job the message is about (both users must take part in it)
+ * @param {Array<Object>} [params.files] - Uploaded files (see middleware/upload.js)
+ * @returns {Promise<Object>} { success: true, data, recipientIds } or { success: false, status, message }
+ */
+const createMessage = async ({ senderId, senderRole, receiverId, conversationId, message, jobId, files = [] }) => {
+  if (receiverId && conversationId) {
+    return { success: false, status: 400, message: 'Send to either receiver_id or conversation_id, not both' };
+  }
+
+  if ((!receiverId || typeof receiverId !== 'string') && (!conversationId || typeof conversationId !== 'string')) {
+    return { success: false, status: 400, message: 'receiver_id or conversation_id is required' };
+  }
+
+  const validation = validateMessageText(message, files.length > 0);
+  if (!validation.success) {
+    return validation;
+  }
+  const { text } = validation;
+
+  const attachments = prepareAttachments(files);
+  if (!attachments.success) {
+    return attachments;
+  }
+
+  const recipients = conversationId
+    ? await authorizeGroupMessage({ senderId, conversationId, jobId })
+    : await authorizeDirectMessage({ senderId, senderRole, receiverId, jobId });
+
+  if (!recipients.success) {
+    return recipients;
+  }
+
+  // Insert message
+  const newMessage = await repositories.messages.create({
+    sender_id: senderId,
+    receiver_id: receiverId || null,
+    conversation_id: conversationId || null,
+    message: text,
+    job_id: jobId || null
+  });
+
+  try {
+    newMessage.attachments = await storeAttachments(newMessage.id, senderId, attachments.data);
+  } catch (error) {
+    // Don't leave a message behind whose files never made it
+    await repositories.messages.remove(newMessage.id);
+    throw error;
+  }
+
+  if (conversationId) {
+    await touchConversation(conversationId, newMessage.created_at);
+  }
+
+  return { success: true, data: newMessage, recipientIds: recipients.recipientIds };
+};
+
+/**
+ * Edit the text of a message, keeping the previous version in message_edits
+ * Only the sender can edit, within MESSAGE_EDIT_WINDOW_MINUTES, and the same
+ * checks as sending apply (text rules, blocks and contact rules)
+ * @param {Object} params
+ * @param {string} params.messageId - Message ID
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.userRole - Authenticated user role
+ * @param {string} params.message - New text
+ * @returns {Promise<Object>} { success: true, data, recipientIds } or { success: false, status, message }
+ */
+const editMessage = async ({ messageId, userId, userRole, message }) => {
+  const lookup = await findMessageForParticipant(messageId, userId, 'edit');
+  if (!lookup.success) {
+    return lookup;
+  }
+
+  const existing = lookup.data;
+
+  if (existing.sender_id !== userId) {
+    return { success: false, status: 403, message: 'Only the sender can edit a message' };
+  }
+
+  if (existing.moderated_at) {
+    return { success: false, status: 409, message: 'This message was removed by a moderator' };
+  }
+
+  if (existing.deleted_for_sender && existing.deleted_for_receiver) {
+    return { success: false, status: 409, message: 'This message has been deleted' };
+  }
+
+  if (existing.deleted_for_sender) {
+    return { success: false, status: 404, message: 'Message not found' };
+  }
+
+  const sentAt = new Date(existing.created_at).getTime();
+  if (Date.now() - sentAt > MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000) {
+    return {
+      success: false,
+      status: 403,
+      message: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`
+    };
+  }
+
+  const attachmentCount = await repositories.messages.countAttachments(existing.id);
+
+  const validation = validateMessageText(message, attachmentCount > 0);
+  if (!validation.success) {
+    return validation;
+  }
+
+  if (validation.text === existing.message) {
+    return { success: false, status: 400, message: 'Message is unchanged' };
+  }
+
+  const recipients = existing.conversation_id
+    ? await authorizeGroupMessage({ senderId: userId, conversationId: existing.conversation_id })
+    : await checkMessagingPermission(userId, userRole, existing.receiver_id);
+
+  if (!recipients.success) {
+    return recipients;
+  }
+
+  await repositories.messages.addEdit({
+    message_id: existing.id,
+    previous_message: existing.message,
+    edited_by: userId
+  });
+
+  const updated = await repositories.messages.update(existing.id, {
+    message: validation.text,
+    edited_at: new Date().toISOString()
+  });
+
+  return {
+    success: true,
+    data: updated,
+    recipientIds: recipients.recipientIds || [existing.receiver_id]
+  };
+};
+
+/**
+ * Get the previous versions of a message, oldest first
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Authenticated user ID (must be able to see the message)
+ * @returns {Promise<Object>} { success: true, data: { message, edits } } or { success: false, status, message }
+ */
+const getMessageHistory = async (messageId, userId) => {
+  const lookup = await findMessageForParticipant(messageId, userId, 'view');
+  if (!lookup.success) {
+    return lookup;
+  }
+
+  const message = lookup.data;
+  const edits = await repositories.messages.listEdits(message.id);
+
+  return { success: true, data: { message, edits } };
+};
+
+/**
+ * Message scope (see repositories/index.js) for the messages between two users that are still visible to userId
+ * @param {string} userId - Viewing user ID
+ * @param {string} otherUserId - Counterpart user ID
+ * @returns {Object} Scope for getMessagePage
+ */
+const conversationScope = (userId, otherUserId) => ({ type: 'conversation', userId, otherUserId });
+
+/**
+ * Message scope for every direct message still visible to userId
+ * @param {string} userId - Viewing user ID
+ * @returns {Object} Scope for getMessagePage
+ */
+const inboxScope = (userId) => ({ type: 'inbox', userId });
+
+/**
+ * Message scope for everything a user sent or received, including deleted messages (moderation)
+ * @param {string} userId - User ID
+ * @returns {Object} Scope for getMessagePage
+ */
+const userMessagesScope = (userId) => ({ type: 'user', userId });
+
+/**
+ * Resolve a pagination cursor to the position it points at
+ * A message ID gives { created_at, id }, so messages sharing its created_at are ordered by id;
+ * a timestamp gives { created_at } alone
+ * @param {string} cursor - Message ID or timestamp
+ * @returns {Promise<Object|null>} { created_at, id? } to compare against, or null if the cursor is invalid
+ */
+const resolveCursor = async (cursor) => {
+  if (isValidUUID(cursor)) {
+    const message = await repositories.messages.findById(cursor);
+    return message ? { created_at: message.created_at, id: message.id } : null;
+  }
+
+  // Normalized so loose inputs such as "1" reach the database as a timestamp it can compare
+  return Number.isNaN(Date.parse(cursor)) ? null : { created_at: new Date(cursor).toISOString() };
+};
+
+/**
+ * Fetch one page of messages in a scope
+ * Without a cursor (or with "before") the newest messages are returned; with "after" the
+ * messages following the cursor are returned. Each page is sorted oldest first.
+ * @param {Object} scope - Message scope selecting the visible messages (e.g. conversationScope)
+ * @param {Object} options - Parsed pagination options (see parseCursorQuery)
+ * @param {number} options.limit - Page size
+ * @param {string|null} options.before - Cursor for older messages
+ * @param {string|null} options.after - Cursor for newer messages
+ * @param {string} [options.jobId] - Only messages linked to this job
+ * @returns {Promise<Object>} { success: true, data, pagination } or { success: false, status, message }
+ */
+const getMessagePage = async (scope, { limit, before, after, jobId }) => {
+  const cursor = before || after;
+  let cursorValue = null;
+
+  if (cursor) {
+    cursorValue = await resolveCursor(cursor);
+    if (!cursorValue) {
+      return { success: false, status: 400, message: 'Invalid pagination cursor' };
+    }
+  }
+
+  const ascending = Boolean(after);
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await repositories.messages.list(scope, {
+    limit: limit + 1,
+    ascending,
+    before: before ? cursorValue : null,
+    after: after ? cursorValue : null,
+    jobId
+  });
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  if (!ascending) {
+    page.reverse();
+  }
+
+  // Older pages continue from the oldest message, newer pages from the newest one
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = ascending ? page[page.length - 1].id : page[0].id;
+  }
+
+  return {
+    success: true,
+    data: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor
+    }
+  };
+};
+
+/**
+ * Get a message and verify the user is its sender or receiver (or, for group
+ * messages, a participant of the conversation who had joined when it was sent)
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Authenticated user ID
+ * @param {string} [action='access'] - Verb used in the 403 message; 'view' also hides messages deleted for the user
+ * @returns {Promise<Object>} { success: true, data } or { success: false, status, message }
+ */
+const findMessageForParticipant = async (messageId, userId, action = 'access') => {
+  const message = isValidUUID(messageId) ? await repositories.messages.findById(messageId) : null;
+
+  if (!message) {
+    return { success: false, status: 404, message: 'Message not found' };
+  }
+
+  if (message.conversation_id) {
+    const participant = await findParticipant(message.conversation_id, userId);
+
+    if (!participant) {
+      return { success: false, status: 403, message: `Unauthorized to ${action} this message` };
+    }
+    // Group history from before someone joined stays hidden from them
+    if (sentBeforeJoining(message, participant)) {
+      return { success: false, status: 404, message: 'Message not found' };
+    }
+  } else if (message.sender_id !== userId && message.receiver_id !== userId) {
+    return { success: false, status: 403, message: `Unauthorized to ${action} this message` };
+  }
+
+  const deletedForUser = message.sender_id === userId ? message.deleted_for_sender : message.deleted_for_receiver;
+  if (action === 'view' && deletedForUser) {
+    return { success: false, status: 404, message: 'Message not found' };
+  }
+
+  return { success: true, data: message };
+};
+
+/**
+ * Attach a delivery status ('sent' | 'delivered' | 'read') to a message row
+ * @param {Object} message - Message row
+ * @returns {Object} Message with status
+ */
+const withDeliveryStatus = (message) => {
+  let status = 'sent';
+  if (message.read_at) {
+    status = 'read';
+  } else if (message.delivered_at) {
+    status = 'delivered';
+  }
+  return { ...message, status };
+};
+
+/**
+ * Mark the messages a user has just received as delivered
+ * Updates the given rows in place and returns the ones that changed
+ * @param {string} userId - Receiving user ID
+ * @param {Array<Object>} messages - Message rows fetched for the user
+ * @returns {Promise<Array<Object>>} Messages newly marked as delivered
+ */
+const markDelivered = async (userId, messages) => {
+  const pending = messages.filter(message => message.receiver_id === userId && !message.delivered_at);
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const deliveredAt = new Date().toISOString();
+  await repositories.messages.markDelivered(pending.map(message => message.id), deliveredAt);
+
+  pending.forEach(message => {
+    message.delivered_at = deliveredAt;
+  });
+
+  return pending;
+};
+
+/**
+ * Mark messages received from otherUserId as read, up to and including a given message
+ * Only messages where userId is the receiver are affected
+ * @param {string} userId - Reading (receiving) user ID
+ * @param {string} otherUserId - Sender whose messages are being read
+ * @param {string} [upToMessageId] - Last message read; all received messages when omitted
+ * @returns {Promise<Object>} { success: true, data: { message_ids, read_at } } or { success: false, status, message }
+ */
+const markConversationRead = async (userId, otherUserId, upToMessageId) => {
+  let upTo = null;
+
+  if (upToMessageId) {
+    const lookup = await findMessageForParticipant(upToMessageId, userId, 'read');
+    if (!lookup.success) {
+      return lookup;
+    }
+
+    upTo = lookup.data;
+    if (upTo.conversation_id || (upTo.sender_id !== otherUserId && upTo.receiver_id !== otherUserId)) {
+      return { success: false, status: 400, message: 'Message does not belong to this conversation' };
+    }
+  }
+
+  const readAt = new Date().toISOString();
+
+  // Messages from otherUserId to userId, limited to the read position
+  const messageIds = await repositories.messages.markRead(userId, otherUserId, {
+    readAt,
+    upTo: upTo ? { created_at: upTo.created_at, id: upTo.id } : null
+  });
+
+  return {
+    success: true,
+    data: {
+      message_ids: messageIds,
+      read_at: readAt
+    }
+  };
+};
+
+const PREVIEW_LENGTH = 100;
+
+/**
+ * List a user's conversations, one entry per counterpart, most recent activity first
+ * Only messages still visible to the user are considered
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Conversation summaries with counterpart profile,
+ *   last message preview and unread count
+ */
+const getConversationSummaries = async (userId) => {
+  const summaries = await repositories.messages.listConversationSummaries(userId);
+
+  if (summaries.length === 0) {
+    return [];
+  }
+
+  const profiles = await repositories.profiles.listSummaries(summaries.map(summary => summary.counterpart_id));
+  const profilesByUserId = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+  return summaries.map(summary => {
+    const text = summary.last_message || '';
+    return {
+      counterpart: profilesByUserId.get(summary.counterpart_id) || { user_id: summary.counterpart_id },
+      last_message: {
+        id: summary.last_message_id,
+        sender_id: summary.last_message_sender_id,
+        preview: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text
+      },
+      last_message_at: summary.last_message_at,
+      unread_count: Number(summary.unread_count) || 0
+    };
+  });
+};
+
+/**
+ * Full-text search over the messages a user can still see (direct and group)
+ * Results are ordered by relevance, then newest first
+ * @param {string} userId - Searching user ID
+ * @param {Object} options
+ * @param {string} options.query - Search terms (websearch syntax: quotes, OR, -exclude)
+ * @param {string} [options.counterpartId] - Only messages exchanged with / sent by this user
+ * @param {string} [options.from] - Only messages sent at or after this time
+ * @param {string} [options.to] - Only messages sent before this time
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Rows to skip
+ * @returns {Promise<Object>} { results, total } - each result has an HTML-escaped snippet with <mark> highlights
+ */
+const searchVisibleMessages = async (userId, options) => {
+  return repositories.messages.search(userId, options);
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  hasConversation,
+  checkMessagingPermission,
+  createMessage,
+  editMessage,
+  getMessageHistory,
+  conversationScope,
+  inboxScope,
+  userMessagesScope,
+  getMessagePage,
+  getConversationSummaries,
+  searchVisibleMessages,
+  findMessageForParticipant,
+  withDeliveryStatus,
+  markDelivered,
+  markConversationRead
+};
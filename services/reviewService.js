@@ -0,0 +1,15 @@
+// How long after posting a review its author can still change it
+const REVIEW_EDIT_WINDOW_HOURS = Number(process.env.REVIEW_EDIT_WINDOW_HOURS) || 72;
+
+/**
+ * Check whether a review can still be edited
+ * @param {Object} review - Review row
+ * @returns {boolean} True while inside the edit window
+ */
+const isEditable = (review) =>
+  Date.now() - new Date(review.created_at).getTime() < REVIEW_EDIT_WINDOW_HOURS * 60 * 60 * 1000;
+
+module.exports = {
+  REVIEW_EDIT_WINDOW_HOURS,
+  isEditable
+};
@@ -0,0 +1,133 @@
+const repositories = require('../repositories');
+const { generateRandomToken, hashToken } = require('../utils/token');
+
+/**
+ * Socket helpers, required on use: socket/index.js requires this module for its handshake check
+ * @returns {Object} socket/index.js exports
+ */
+const sockets = () => require('../socket');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Expiry timestamp for a refresh token issued now
+ * @returns {string} ISO timestamp
+ */
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Start a new session (one per device/login) and issue its refresh token
+ * @param {string} userId - User ID
+ * @param {Object} [client] - Client details
+ * @param {string} [client.userAgent] - User-Agent header
+ * @param {string} [client.ipAddress] - Client IP address
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const createSession = async (userId, { userAgent, ipAddress } = {}) => {
+  const refreshToken = generateRandomToken();
+
+  const session = await repositories.sessions.create({
+    user_id: userId,
+    refresh_token_hash: hashToken(refreshToken),
+    user_agent: userAgent || null,
+    ip_address: ipAddress || null,
+    expires_at: refreshTokenExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * The presented token stops working as soon as it has been used once
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object|null>} { session, userId, refreshToken } or null if the token is invalid
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const session = await repositories.sessions.findByRefreshTokenHash(hashToken(refreshToken));
+
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return null;
+  }
+
+  const nextRefreshToken = generateRandomToken();
+
+  // Match on the old hash too, so two concurrent refreshes can't both succeed
+  const rotated = await repositories.sessions.rotate(session.id, hashToken(refreshToken), {
+    refresh_token_hash: hashToken(nextRefreshToken),
+    last_used_at: new Date().toISOString(),
+    expires_at: refreshTokenExpiry()
+  });
+
+  if (!rotated) {
+    return null;
+  }
+
+  return { session: rotated, userId: session.user_id, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Check that a session exists, belongs to the user and hasn't been revoked or expired
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} userId - User ID from the access token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await repositories.sessions.findForUser(sessionId, userId);
+
+  if (!session) {
+    return false;
+  }
+
+  return !session.revoked_at && new Date(session.expires_at) > new Date();
+};
+
+/**
+ * List a user's active sessions, most recent first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Sessions
+ */
+const listSessions = async (userId) => {
+  return repositories.sessions.listActive(userId, new Date().toISOString());
+};
+
+/**
+ * Revoke one of a user's sessions and disconnect its sockets
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner of the session
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, userId) => {
+  const revoked = await repositories.sessions.revoke(sessionId, userId, new Date().toISOString());
+
+  if (revoked) {
+    sockets().disconnectSession(sessionId);
+  }
+  return revoked;
+};
+
+/**
+ * Revoke every session of a user (e.g. after a password change) and disconnect their sockets
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<void>}
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  await repositories.sessions.revokeAll(userId, new Date().toISOString(), exceptSessionId);
+  sockets().disconnectUser(userId, exceptSessionId);
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,176 @@
+const { Server } = require('socket.io');
+const { verifyToken } = require('../utils/jwt');
+const { createMessage } = require('../services/messageService');
+const { isSessionActive } = require('../services/sessionService');
+const { consume, retryAfterSeconds } = require('../rateLimit');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+let io = null;
+
+/**
+ * Room name used to reach every socket of a user
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Room name used to reach the sockets opened with one login session
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {string} Room name
+ */
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Socket authentication middleware
+ * Accepts the same JWT as authenticateToken, either in the handshake auth payload
+ * ({ token }) or as a "Bearer TOKEN" Authorization header
+ */
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers['authorization'];
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return next(new Error('Access token is required'));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return next(new Error('Invalid or expired token'));
+  }
+
+  // A failing session lookup is a server problem, not a bad token, so clients shouldn't drop their credentials
+  let active;
+  try {
+    active = await isSessionActive(decoded.sessionId, decoded.userId);
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    return next(new Error('Authentication is temporarily unavailable, please try again'));
+  }
+
+  if (!active) {
+    return next(new Error('Session has been revoked or expired'));
+  }
+
+  socket.user = decoded;
+  next();
+};
+
+/**
+ * Register event handlers for a connected socket
+ * @param {import('socket.io').Socket} socket - Authenticated socket
+ */
+const handleConnection = (socket) => {
+  const userId = socket.user.userId;
+  socket.join([userRoom(userId), sessionRoom(socket.user.sessionId)]);
+
+  // Send a message over the socket - same rules as POST /api/messages
+  socket.on('message:send', async (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    // Same counter as POST /api/messages, so switching transport doesn't get around it.
+    // Like the REST middleware, an unreachable store lets the message through.
+    let limit = null;
+    try {
+      limit = await consume(`message:${userId}`, RATE_LIMITS.MESSAGE);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+    }
+
+    if (limit && !limit.allowed) {
+      return reply({
+        success: false,
+        message: "You're sending messages too quickly, please slow down",
+        retryAfter: retryAfterSeconds(limit.retryAfterMs)
+      });
+    }
+
+    try {
+      const { receiver_id, conversation_id, message, job_id } = payload || {};
+      const result = await createMessage({
+        senderId: userId,
+        senderRole: socket.user.role,
+        receiverId: receiver_id,
+        conversationId: conversation_id,
+        message,
+        jobId: job_id
+      });
+
+      if (!result.success) {
+        return reply({ success: false, message: result.message });
+      }
+
+      result.recipientIds.forEach(recipientId => emitToUser(recipientId, 'message:new', result.data));
+      reply({ success: true, data: result.data });
+
+    } catch (error) {
+      console.error('Socket send message error:', error);
+      reply({ success: false, message: 'Error sending message' });
+    }
+  });
+};
+
+/**
+ * Attach a Socket.IO server to an HTTP server
+ * @param {import('http').Server} server - HTTP server
+ * @returns {import('socket.io').Server} Socket.IO server
+ */
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: { origin: '*' }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+
+  return io;
+};
+
+/**
+ * Emit an event to every connected socket of a user
+ * No-op when the socket server has not been started
+ * @param {string} userId - Target user ID
+ * @param {string} event - Event name
+ * @param {*} payload - Event payload
+ */
+const emitToUser = (userId, event, payload) => {
+  if (!io) {
+    return;
+  }
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+/**
+ * Disconnect the sockets opened with a session once it has been revoked
+ * No-op when the socket server has not been started
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+  if (!io) {
+    return;
+  }
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+/**
+ * Disconnect every socket of a user once their sessions have been revoked
+ * No-op when the socket server has not been started
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session whose sockets stay connected
+ */
+const disconnectUser = (userId, exceptSessionId) => {
+  if (!io) {
+    return;
+  }
+  const sockets = io.in(userRoom(userId));
+  (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+};
+
+module.exports = {
+  initSocket,
+  emitToUser,
+  disconnectSession,
+  disconnectUser
+};
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Local disk storage adapter
+ * Keeps files under one directory so development works without any cloud service
+ * @param {Object} options
+ * @param {string} options.directory - Root directory for stored files
+ */
+const createLocalStorage = ({ directory }) => {
+  // Keys are generated by the application, but never let one escape the root directory
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * @param {string} key - Storage key, e.g. "messages/<id>/<file>"
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<void>}
+     */
+    save: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer>} File contents
+     */
+    read: async (key) => fs.readFile(resolve(key)),
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,57 @@
+/**
+ * Supabase Storage adapter
+ * Stores files in a private bucket; downloads still go through the API so access is checked
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client
+ * @param {string} options.bucket - Bucket name
+ */
+const createSupabaseStorage = ({ client, bucket }) => ({
+  name: 'supabase',
+
+  /**
+   * @param {string} key - Storage key, e.g. "messages/<id>/<file>"
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  save: async (key, buffer, contentType) => {
+    const { error } = await client.storage
+      .from(bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} File contents
+   */
+  read: async (key) => {
+    const { data, error } = await client.storage
+      .from(bucket)
+      .download(key);
+
+    if (error) {
+      throw error;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  /**
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  remove: async (key) => {
+    const { error } = await client.storage
+      .from(bucket)
+      .remove([key]);
+
+    if (error) {
+      throw error;
+    }
+  }
+});
+
+module.exports = createSupabaseStorage;
@@ -0,0 +1,67 @@
+const path = require('path');
+require('dotenv').config();
+const createLocalStorage = require('./adapters/localStorage');
+const createSupabaseStorage = require('./adapters/supabaseStorage');
+
+/**
+ * Build the adapter selected by STORAGE_DRIVER
+ * An adapter is any object with async save(key, buffer, contentType), read(key) and remove(key) methods
+ * @returns {Object} Storage adapter
+ */
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return createLocalStorage({
+        directory: path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads')
+      });
+    case 'supabase':
+      return createSupabaseStorage({
+        client: require('../config/supabase'),
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'attachments'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "local" or "supabase".`);
+  }
+};
+
+let storage = createStorage();
+
+/**
+ * Replace the active storage adapter (e.g. with S3 or an in-memory store)
+ * @param {Object} customStorage - Object with save/read/remove methods
+ */
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Storage key
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<void>}
+ */
+const saveFile = (key, buffer, contentType) => storage.save(key, buffer, contentType);
+
+/**
+ * Read a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer>} File contents
+ */
+const readFile = (key) => storage.read(key);
+
+/**
+ * Delete a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+const removeFile = (key) => storage.remove(key);
+
+module.exports = {
+  setStorage,
+  saveFile,
+  readFile,
+  removeFile
+};
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetState, signup, auth, sendMessage } = require('./helpers');
+
+/**
+ * Log in through the API
+ * @param {Object} user - Result of signup()
+ * @param {string} [password] - Defaults to the signup password
+ * @returns {Promise<Object>} supertest response
+ */
+const login = (user, password = user.password) => request(app)
+  .post('/api/auth/login')
+  .send({ email: user.email, password });
+
+describe('GET /api/me', () => {
+  beforeEach(resetState);
+
+  it('returns the account without the password hash', async () => {
+    const user = await signup({ name: 'Olivia', role: 'housekeeper' });
+
+    const res = await request(app).get('/api/me').set(auth(user));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      { ...res.body.data, created_at: undefined },
+      {
+        id: user.id,
+        email: user.email,
+        email_verified: false,
+        name: 'Olivia',
+        role: 'housekeeper',
+        avatar_url: null,
+        phone: null,
+        bio: null,
+        timezone: null,
+        created_at: undefined
+      }
+    );
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/me');
+
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('PATCH /api/me', () => {
+  beforeEach(resetState);
+
+  it('updates the given fields and leaves the rest', async () => {
+    const user = await signup({ name: 'Olivia' });
+
+    const res = await request(app).patch('/api/me').set(auth(user)).send({
+      name: '  Olivia Smith ',
+      avatar_url: 'https://cdn.example.com/olivia.png',
+      phone: '+44 20 7946 0000',
+      timezone: 'Europe/London',
+      role: 'admin'
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.name, 'Olivia Smith');
+    assert.equal(res.body.data.avatar_url, 'https://cdn.example.com/olivia.png');
+    assert.equal(res.body.data.phone, '+44 20 7946 0000');
+    assert.equal(res.body.data.timezone, 'Europe/London');
+    assert.equal(res.body.data.bio, null);
+    assert.equal(res.body.data.role, 'owner');
+
+    const cleared = await request(app).patch('/api/me').set(auth(user)).send({ phone: null, bio: 'Tidy and punctual' });
+
+    assert.equal(cleared.body.data.phone, null);
+    assert.equal(cleared.body.data.bio, 'Tidy and punctual');
+    assert.equal(cleared.body.data.timezone, 'Europe/London');
+  });
+
+  it('lists every invalid field', async () => {
+    const user = await signup();
+
+    const res = await request(app).patch('/api/me').set(auth(user)).send({
+      name: '',
+      avatar_url: 'javascript:alert(1)',
+      phone: 'call me',
+      timezone: 'Mars/Olympus'
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field), ['name', 'avatar_url', 'phone', 'timezone']);
+  });
+
+  it('rejects a body without editable fields', async () => {
+    const user = await signup();
+
+    const res = await request(app).patch('/api/me').set(auth(user)).send({ email: 'new@example.com' });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /No fields to update/);
+  });
+});
+
+describe('POST /api/me/password', () => {
+  beforeEach(resetState);
+
+  it('changes the password and signs out the other sessions only', async () => {
+    const user = await signup();
+    const otherDevice = (await login(user)).body.data;
+
+    const res = await request(app).post('/api/me/password').set(auth(user)).send({
+      current_password: user.password,
+      new_password: 'new-secret-password'
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal((await request(app).get('/api/me').set(auth(user))).status, 200);
+    assert.equal((await request(app).get('/api/me').set(auth(otherDevice))).status, 401);
+    assert.equal((await login(user)).status, 401);
+    assert.equal((await login(user, 'new-secret-password')).status, 200);
+  });
+
+  it('refuses a wrong current password', async () => {
+    const user = await signup();
+
+    const res = await request(app).post('/api/me/password').set(auth(user)).send({
+      current_password: 'not-my-password',
+      new_password: 'new-secret-password'
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal((await login(user)).status, 200);
+  });
+
+  it('checks the new password like signup does', async () => {
+    const user = await signup();
+
+    const res = await request(app).post('/api/me/password').set(auth(user)).send({
+      current_password: user.password,
+      new_password: '123'
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'new_password');
+  });
+});
+
+describe('DELETE /api/me', () => {
+  beforeEach(resetState);
+
+  it('needs the password', async () => {
+    const user = await signup();
+
+    const missing = await request(app).delete('/api/me').set(auth(user)).send({});
+    const wrong = await request(app).delete('/api/me').set(auth(user)).send({ password: 'not-my-password' });
+
+    assert.equal(missing.status, 400);
+    assert.equal(wrong.status, 403);
+    assert.equal((await request(app).get('/api/me').set(auth(user))).status, 200);
+  });
+
+  it('signs the user out everywhere and frees the email', async () => {
+    const user = await signup({ email: 'leaving@example.com' });
+
+    const res = await request(app).delete('/api/me').set(auth(user)).send({ password: user.password });
+
+    assert.equal(res.status, 200);
+    assert.equal((await request(app).get('/api/me').set(auth(user))).status, 401);
+    assert.equal((await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken })).status, 401);
+    assert.equal((await login(user)).status, 401);
+
+    await signup({ email: 'leaving@example.com' });
+  });
+
+  it('keeps the messages in the other person\'s conversation', async () => {
+    const owner = await signup({ role: 'owner' });
+    const housekeeper = await signup({ role: 'housekeeper' });
+    await sendMessage(housekeeper, owner, 'Can I come on Tuesday?');
+    await sendMessage(owner, housekeeper, 'Tuesday works');
+
+    await request(app).delete('/api/me').set(auth(housekeeper)).send({ password: housekeeper.password });
+
+    const conversation = await request(app)
+      .get(`/api/messages/conversation/${housekeeper.id}`)
+      .set(auth(owner));
+
+    assert.equal(conversation.status, 200);
+    assert.deepEqual(conversation.body.data.map(message => message.message), ['Can I come on Tuesday?', 'Tuesday works']);
+
+    const users = await request(app).get('/api/messages/users/list').set(auth(owner));
+    assert.equal(users.body.data.some(profile => profile.user_id === housekeeper.id), false);
+
+    const reply = await sendMessage(owner, housekeeper, 'Are you still there?');
+    assert.equal(reply.status, 404);
+  });
+});
@@ -0,0 +1,204 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, sentMail, resetState, signup, auth } = require('./helpers');
+const { setTransport } = require('../mailer');
+const { setRateLimitStore } = require('../rateLimit');
+
+describe('POST /api/auth/signup', () => {
+  beforeEach(resetState);
+
+  const valid = {
+    email: 'Olivia@Example.com',
+    password: 'secret-password',
+    name: '  Olivia  ',
+    role: 'owner'
+  };
+
+  it('creates the user and profile and returns tokens', async () => {
+    const res = await request(app).post('/api/auth/signup').send(valid);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.user.email, 'olivia@example.com');
+    assert.equal(res.body.data.user.name, 'Olivia');
+    assert.equal(res.body.data.user.role, 'owner');
+    assert.equal(res.body.data.user.email_verified, false);
+    assert.ok(res.body.data.token);
+    assert.ok(res.body.data.refreshToken);
+    assert.equal(res.body.data.user.password, undefined);
+  });
+
+  it('emails a verification link', async () => {
+    await request(app).post('/api/auth/signup').send(valid);
+
+    assert.equal(sentMail.length, 1);
+    assert.equal(sentMail[0].to, 'olivia@example.com');
+    assert.match(sentMail[0].text, /verify-email\?token=/);
+  });
+
+  it('rejects a missing body with one error per field', async () => {
+    const res = await request(app).post('/api/auth/signup').send({});
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(
+      res.body.errors.map(error => error.field).sort(),
+      ['email', 'name', 'password', 'role']
+    );
+  });
+
+  for (const [field, value, message] of [
+    ['email', 'not-an-email', 'A valid email is required'],
+    ['password', '12345', 'Password must be at least 6 characters long'],
+    ['role', 'admin', "Role must be either 'owner' or 'housekeeper'"],
+    ['name', 42, 'name must be a string']
+  ]) {
+    it(`rejects an invalid ${field}`, async () => {
+      const res = await request(app).post('/api/auth/signup').send({ ...valid, [field]: value });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [{ location: 'body', field, message }]);
+    });
+  }
+
+  it('refuses an email that is already registered, ignoring case', async () => {
+    await request(app).post('/api/auth/signup').send(valid);
+    const res = await request(app).post('/api/auth/signup').send({ ...valid, email: 'OLIVIA@example.com' });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'CONFLICT');
+  });
+
+  it('creates one account when two signups race for the same email', async () => {
+    const responses = await Promise.all([
+      request(app).post('/api/auth/signup').send(valid),
+      request(app).post('/api/auth/signup').send({ ...valid, name: 'Someone else' })
+    ]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [201, 409]);
+
+    const login = await request(app).post('/api/auth/login').send({ email: valid.email, password: valid.password });
+    assert.equal(login.status, 200);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(resetState);
+
+  it('signs in with the right password', async () => {
+    const user = await signup({ email: 'hank@example.com', role: 'housekeeper' });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'HANK@example.com', password: user.password });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.id, user.id);
+    assert.equal(res.body.data.user.role, 'housekeeper');
+    assert.ok(res.body.data.token);
+  });
+
+  it('requires email and password', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'hank@example.com' });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [{ location: 'body', field: 'password', message: 'password is required' }]);
+  });
+
+  it('gives the same answer for a wrong password and an unknown email', async () => {
+    const user = await signup();
+
+    const wrongPassword = await request(app).post('/api/auth/login').send({ email: user.email, password: 'nope-nope' });
+    const unknownEmail = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: 'nope-nope' });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownEmail.status, 401);
+    assert.equal(wrongPassword.body.message, unknownEmail.body.message);
+  });
+
+  it('locks the account after too many failed attempts', async () => {
+    const user = await signup();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+      assert.equal(res.status, 401);
+    }
+
+    const locked = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers['retry-after']) > 0);
+
+    // Even the right password is refused while locked
+    const correct = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+    assert.equal(correct.status, 429);
+  });
+
+  it('still signs in while the rate limit store is down', async (t) => {
+    const user = await signup();
+    const unavailable = async () => { throw new Error('connect ECONNREFUSED'); };
+    setRateLimitStore({ increment: unavailable, get: unavailable, set: unavailable, reset: unavailable });
+    t.mock.method(console, 'error', () => {});
+
+    const wrong = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    assert.equal(wrong.status, 401);
+
+    const correct = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password });
+    assert.equal(correct.status, 200);
+    assert.ok(console.error.mock.calls.some(call => call.arguments[0] === 'Rate limit store error:'));
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  beforeEach(resetState);
+
+  it('rotates the refresh token so the old one stops working', async () => {
+    const user = await signup();
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+    assert.equal(first.status, 200);
+    assert.ok(first.headers['ratelimit-remaining'], 'refresh is rate limited per IP');
+    assert.notEqual(first.body.data.refreshToken, user.refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+    assert.equal(reused.status, 401);
+
+    const me = await request(app)
+      .get('/api/auth/sessions')
+      .set(auth({ token: first.body.data.token }));
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.length, 1);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  beforeEach(resetState);
+
+  const forgotPassword = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+  it('answers the same for known and unknown emails', async () => {
+    const user = await signup();
+
+    const known = await forgotPassword(user.email);
+    const unknown = await forgotPassword('nobody@example.com');
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(sentMail.length, 2);
+    assert.match(sentMail[1].text, /reset-password\?token=/);
+  });
+
+  it('answers the same when the email can\'t be sent', async () => {
+    const user = await signup();
+    setTransport({ send: async () => { throw new Error('SMTP unavailable'); } });
+
+    try {
+      const known = await forgotPassword(user.email);
+      const unknown = await forgotPassword('nobody@example.com');
+
+      assert.equal(known.status, 200);
+      assert.deepEqual(unknown.body, known.body);
+    } finally {
+      setTransport({ send: async (mail) => { sentMail.push(mail); } });
+    }
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { app, request, resetState, signup, auth } = require('./helpers');
+const repositories = require('../repositories');
+
+// Any route behind authenticateToken will do
+const PROTECTED = '/api/auth/sessions';
+
+describe('authenticateToken', () => {
+  let user;
+
+  beforeEach(async () => {
+    resetState();
+    user = await signup();
+  });
+
+  it('lets a valid access token through and exposes the user', async () => {
+    const res = await request(app).get(PROTECTED).set(auth(user));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].current, true);
+  });
+
+  it('requires an Authorization header', async () => {
+    const res = await request(app).get(PROTECTED);
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'UNAUTHORIZED');
+    assert.equal(res.body.message, 'Access token is required');
+  });
+
+  it('rejects a header without a token', async () => {
+    const res = await request(app).get(PROTECTED).set('Authorization', 'Bearer');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Access token is required');
+  });
+
+  it('rejects a malformed token', async () => {
+    const res = await request(app).get(PROTECTED).set('Authorization', 'Bearer not.a.jwt');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const payload = jwt.decode(user.token);
+    const forged = jwt.sign({ ...payload, role: 'admin' }, 'some-other-secret');
+
+    const res = await request(app).get(PROTECTED).set('Authorization', `Bearer ${forged}`);
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+  });
+
+  it('rejects an expired token', async () => {
+    const { userId, email, role, sessionId } = jwt.decode(user.token);
+    const expired = jwt.sign({ userId, email, role, sessionId }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    const res = await request(app).get(PROTECTED).set('Authorization', `Bearer ${expired}`);
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Invalid or expired token');
+  });
+
+  it('rejects tokens of a session that has been logged out', async () => {
+    const logout = await request(app).post('/api/auth/logout').set(auth(user));
+    assert.equal(logout.status, 200);
+
+    const res = await request(app).get(PROTECTED).set(auth(user));
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Session has been revoked or expired');
+  });
+
+  it('rejects a token whose session belongs to someone else', async () => {
+    const other = await signup();
+    const { sessionId } = jwt.decode(other.token);
+    const { userId, email, role } = jwt.decode(user.token);
+    const mixed = jwt.sign({ userId, email, role, sessionId }, process.env.JWT_SECRET);
+
+    const res = await request(app).get(PROTECTED).set('Authorization', `Bearer ${mixed}`);
+
+    assert.equal(res.status, 401);
+  });
+
+  it('answers 500 rather than 401 when the session lookup fails', async () => {
+    repositories.sessions.findForUser = async () => {
+      throw new Error('connection refused');
+    };
+
+    const res = await request(app).get(PROTECTED).set(auth(user));
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'INTERNAL_ERROR');
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// helpers sets up the test environment, so it must be required before any app module
+const { app, request, resetState, signup, auth } = require('./helpers');
+const repositories = require('../repositories');
+const { setStorage } = require('../storage');
+
+// Attachment contents, kept in memory rather than written to uploads/
+const files = new Map();
+setStorage({
+  save: async (key, buffer) => { files.set(key, buffer); },
+  read: async (key) => files.get(key),
+  remove: async (key) => { files.delete(key); }
+});
+
+/**
+ * Create a group conversation through the API
+ * @param {Object} creator - Result of signup()
+ * @param {Array<Object>} members - Other participants
+ * @returns {Promise<string>} Conversation ID
+ */
+const createGroup = async (creator, members) => {
+  const res = await request(app)
+    .post('/api/conversations')
+    .set(auth(creator))
+    .send({ name: 'Household', participant_ids: members.map(member => member.id) });
+
+  assert.equal(res.status, 201, JSON.stringify(res.body));
+  return res.body.data.id;
+};
+
+/**
+ * Send a group message through the API
+ * @param {Object} sender - Result of signup()
+ * @param {string} conversationId - Conversation ID
+ * @param {string} [message='Hello'] - Text
+ * @returns {Promise<Object>} supertest response
+ */
+const sendGroupMessage = (sender, conversationId, message = 'Hello') => request(app)
+  .post('/api/messages')
+  .set(auth(sender))
+  .send({ conversation_id: conversationId, message });
+
+describe('group messages sent before someone joined', () => {
+  let admin;
+  let member;
+  let lateJoiner;
+  let conversationId;
+  let messageId;
+  let attachmentId;
+
+  beforeEach(async () => {
+    resetState();
+    admin = await signup();
+    member = await signup();
+    lateJoiner = await signup();
+    conversationId = await createGroup(admin, [member]);
+
+    const sent = await sendGroupMessage(admin, conversationId, 'Before you joined');
+    assert.equal(sent.status, 201);
+    messageId = sent.body.data.id;
+
+    const edited = await request(app)
+      .patch(`/api/messages/${messageId}`)
+      .set(auth(admin))
+      .send({ message: 'Before you joined (edited)' });
+    assert.equal(edited.status, 200);
+
+    const key = `messages/${messageId}/plan.pdf`;
+    files.set(key, Buffer.from('%PDF-1.4'));
+    [{ id: attachmentId }] = await repositories.messages.createAttachments([{
+      message_id: messageId,
+      uploader_id: admin.id,
+      file_name: 'plan.pdf',
+      content_type: 'application/pdf',
+      size_bytes: 8,
+      width: null,
+      height: null,
+      storage_key: key
+    }]);
+
+    const added = await request(app)
+      .post(`/api/conversations/${conversationId}/participants`)
+      .set(auth(admin))
+      .send({ user_ids: [lateJoiner.id] });
+    assert.equal(added.status, 200);
+  });
+
+  it('shows the edit history to members who were there', async () => {
+    const res = await request(app).get(`/api/messages/${messageId}/history`).set(auth(member));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.edits.length, 1);
+  });
+
+  it('hides the edit history from someone who joined later', async () => {
+    const res = await request(app).get(`/api/messages/${messageId}/history`).set(auth(lateJoiner));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Message not found');
+  });
+
+  it('lets members who were there download its attachments', async () => {
+    const res = await request(app).get(`/api/messages/attachments/${attachmentId}`).set(auth(member));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'application/pdf');
+  });
+
+  it('hides its attachments from someone who joined later', async () => {
+    const res = await request(app).get(`/api/messages/attachments/${attachmentId}`).set(auth(lateJoiner));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Attachment not found');
+  });
+
+  it('shows someone who joined later the messages sent after they joined', async () => {
+    const sent = await sendGroupMessage(member, conversationId, 'Welcome');
+    const res = await request(app).get(`/api/messages/${sent.body.data.id}/history`).set(auth(lateJoiner));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.edits, []);
+  });
+});
+
+describe('blocks in group conversations', () => {
+  let admin;
+  let member;
+  let other;
+
+  beforeEach(async () => {
+    resetState();
+    admin = await signup();
+    member = await signup();
+    other = await signup();
+  });
+
+  const block = async (blocker, blocked) => {
+    const res = await request(app).post(`/api/users/${blocked.id}/block`).set(auth(blocker));
+    assert.equal(res.status, 200);
+  };
+
+  it('refuses to create a group with two users who blocked each other', async () => {
+    await block(member, other);
+
+    const res = await request(app)
+      .post('/api/conversations')
+      .set(auth(admin))
+      .send({ name: 'Household', participant_ids: [member.id, other.id] });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, `Can't add user ${member.id} to this conversation`);
+  });
+
+  it('refuses to add someone who blocked a participant', async () => {
+    const conversationId = await createGroup(admin, [member]);
+    await block(other, member);
+
+    const res = await request(app)
+      .post(`/api/conversations/${conversationId}/participants`)
+      .set(auth(admin))
+      .send({ user_ids: [other.id] });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, `Can't add user ${other.id} to this conversation`);
+  });
+
+  it('stops both sides of a block from sending in a group they share', async () => {
+    const conversationId = await createGroup(admin, [member, other]);
+    await block(member, other);
+
+    for (const sender of [member, other]) {
+      const res = await sendGroupMessage(sender, conversationId);
+
+      assert.equal(res.status, 403);
+      assert.match(res.body.message, /because of a block/);
+    }
+
+    assert.equal((await sendGroupMessage(admin, conversationId)).status, 201);
+  });
+});
@@ -0,0 +1,87 @@
+// Tests run against the in-memory data store, so no Supabase project is needed
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.STORAGE_DRIVER = 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const request = require('supertest');
+const app = require('../app');
+const createMemoryRepositories = require('../repositories/memory');
+const { setRepositories } = require('../repositories');
+const { setTransport } = require('../mailer');
+const { createMemoryStore, setRateLimitStore } = require('../rateLimit');
+
+// Emails are collected instead of printed
+const sentMail = [];
+setTransport({ send: async (mail) => { sentMail.push(mail); } });
+
+let userCount = 0;
+
+/**
+ * Start from empty tables, rate limits and mailbox (call in beforeEach)
+ */
+const resetState = () => {
+  setRepositories(createMemoryRepositories());
+  setRateLimitStore(createMemoryStore());
+  sentMail.length = 0;
+};
+
+/**
+ * Sign a user up through the API
+ * @param {Object} [fields] - Overrides for email, password, name and role
+ * @returns {Promise<Object>} { id, email, password, role, token, refreshToken }
+ */
+const signup = async (fields = {}) => {
+  userCount += 1;
+  const body = {
+    email: `user${userCount}@example.com`,
+    password: 'secret-password',
+    name: `User ${userCount}`,
+    role: 'owner',
+    ...fields
+  };
+
+  const res = await request(app).post('/api/auth/signup').send(body);
+  if (res.status !== 201) {
+    throw new Error(`Signup failed (${res.status}): ${JSON.stringify(res.body)}`);
+  }
+
+  return {
+    id: res.body.data.user.id,
+    email: body.email,
+    password: body.password,
+    role: body.role,
+    token: res.body.data.token,
+    refreshToken: res.body.data.refreshToken
+  };
+};
+
+/**
+ * Authorization header for a signed-up user
+ * @param {Object} user - Result of signup()
+ * @returns {Object} Header object for supertest .set()
+ */
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+/**
+ * Send a direct message through the API
+ * @param {Object} sender - Result of signup()
+ * @param {Object} receiver - Result of signup()
+ * @param {string} [message='Hello'] - Text
+ * @returns {Promise<Object>} supertest response
+ */
+const sendMessage = (sender, receiver, message = 'Hello') => request(app)
+  .post('/api/messages')
+  .set(auth(sender))
+  .send({ receiver_id: receiver.id, message });
+
+module.exports = {
+  app,
+  request,
+  sentMail,
+  resetState,
+  signup,
+  auth,
+  sendMessage
+};
@@ -0,0 +1,44 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetState, signup, auth } = require('./helpers');
+
+describe('GET /api/housekeepers/search', () => {
+  beforeEach(resetState);
+
+  it('rejects a repeated text filter instead of failing', async () => {
+    const owner = await signup();
+
+    for (const query of ['area=Camden&area=Hackney', 'postcode=SW1&postcode=E1', 'services=ironing&services=windows']) {
+      const res = await request(app).get(`/api/housekeepers/search?${query}`).set(auth(owner));
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /must be a single string/);
+    }
+  });
+
+  it('rejects an area or service that would break the array filter', async () => {
+    const owner = await signup();
+
+    for (const query of ['area=Camden%2C%20Hackney', 'area=%7BNW1%7D', 'services=ironing%2C%22windows%22']) {
+      const res = await request(app).get(`/api/housekeepers/search?${query}`).set(auth(owner));
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /can only contain letters, numbers/);
+    }
+  });
+});
+
+describe('PUT /api/housekeepers/me', () => {
+  beforeEach(resetState);
+
+  it('rejects service areas and services that searches could not match', async () => {
+    const housekeeper = await signup({ role: 'housekeeper' });
+
+    for (const body of [{ service_areas: ['Camden, Hackney'] }, { services: ['deep "clean"'] }]) {
+      const res = await request(app).put('/api/housekeepers/me').set(auth(housekeeper)).send(body);
+
+      assert.equal(res.status, 400);
+      assert.match(res.body.message, /can only contain letters, numbers/);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetState, signup, auth, sendMessage } = require('./helpers');
+
+const conversationIds = async (viewer, other) => {
+  const res = await request(app).get(`/api/messages/conversation/${other.id}`).set(auth(viewer));
+  assert.equal(res.status, 200);
+  return res.body.data.map(message => message.id);
+};
+
+const deleteMessage = (user, messageId, body = {}) => request(app)
+  .delete(`/api/messages/${messageId}`)
+  .set(auth(user))
+  .send(body);
+
+describe('deleteMessage and getConversation', () => {
+  let sender;
+  let receiver;
+  let messageId;
+  let replyId;
+
+  beforeEach(async () => {
+    resetState();
+    sender = await signup({ role: 'housekeeper' });
+    receiver = await signup({ role: 'owner' });
+    messageId = (await sendMessage(sender, receiver, 'First')).body.data.id;
+    replyId = (await sendMessage(receiver, sender, 'Reply')).body.data.id;
+  });
+
+  it('shows both sides the whole conversation, oldest first', async () => {
+    assert.deepEqual(await conversationIds(sender, receiver), [messageId, replyId]);
+    assert.deepEqual(await conversationIds(receiver, sender), [messageId, replyId]);
+  });
+
+  it('hides a message only from the sender when they delete it for themselves', async () => {
+    const res = await deleteMessage(sender, messageId);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Message deleted for you');
+    assert.deepEqual(await conversationIds(sender, receiver), [replyId]);
+    assert.deepEqual(await conversationIds(receiver, sender), [messageId, replyId]);
+  });
+
+  it('hides a message only from the receiver when they delete it for themselves', async () => {
+    const res = await deleteMessage(receiver, messageId);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await conversationIds(receiver, sender), [replyId]);
+    assert.deepEqual(await conversationIds(sender, receiver), [messageId, replyId]);
+  });
+
+  it('hides the message from both sides when deleted for everyone', async () => {
+    const res = await deleteMessage(sender, messageId, { deleteForEveryone: true });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Message deleted for everyone');
+    assert.deepEqual(await conversationIds(sender, receiver), [replyId]);
+    assert.deepEqual(await conversationIds(receiver, sender), [replyId]);
+  });
+
+  it('only lets the sender delete for everyone', async () => {
+    const res = await deleteMessage(receiver, messageId, { deleteForEveryone: true });
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(await conversationIds(sender, receiver), [messageId, replyId]);
+  });
+
+  it('keeps the two deletions independent', async () => {
+    await deleteMessage(sender, messageId);
+    await deleteMessage(receiver, messageId);
+
+    assert.deepEqual(await conversationIds(sender, receiver), [replyId]);
+    assert.deepEqual(await conversationIds(receiver, sender), [replyId]);
+  });
+
+  it('leaves deleted messages out of the inbox too', async () => {
+    await deleteMessage(receiver, messageId);
+
+    const res = await request(app).get(`/api/messages/${receiver.id}`).set(auth(receiver));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(message => message.id), [replyId]);
+  });
+
+  it('refuses users outside the conversation', async () => {
+    const outsider = await signup();
+
+    const res = await deleteMessage(outsider, messageId);
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(await conversationIds(receiver, sender), [messageId, replyId]);
+  });
+
+  it('returns 404 for unknown messages and 400 for invalid ids', async () => {
+    assert.equal((await deleteMessage(sender, '00000000-0000-4000-8000-000000000000')).status, 404);
+    assert.equal((await deleteMessage(sender, 'not-a-uuid')).status, 400);
+  });
+
+  it('hides the edit history of a message only from whoever deleted it', async () => {
+    await deleteMessage(receiver, messageId);
+
+    const history = (user) => request(app).get(`/api/messages/${messageId}/history`).set(auth(user));
+    assert.equal((await history(receiver)).status, 404);
+    assert.equal((await history(sender)).status, 200);
+  });
+
+  it('requires deleteForEveryone to be a boolean', async () => {
+    const res = await deleteMessage(sender, messageId, { deleteForEveryone: 'yes' });
+
+    assert.equal(res.status, 400);
+  });
+});
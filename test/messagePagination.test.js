@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetState, signup, auth, sendMessage } = require('./helpers');
+const repositories = require('../repositories');
+
+/**
+ * Fetch one page of a conversation
+ * @param {Object} viewer - Result of signup()
+ * @param {Object} other - The other participant
+ * @param {string} query - Pagination query string
+ * @returns {Promise<Object>} supertest response
+ */
+const conversationPage = (viewer, other, query) => request(app)
+  .get(`/api/messages/conversation/${other.id}?${query}`)
+  .set(auth(viewer));
+
+describe('conversation pagination', () => {
+  let housekeeper;
+  let owner;
+  let ids;
+
+  beforeEach(async () => {
+    resetState();
+    housekeeper = await signup({ role: 'housekeeper' });
+    owner = await signup({ role: 'owner' });
+
+    ids = [];
+    for (const text of ['One', 'Two', 'Three', 'Four']) {
+      ids.push((await sendMessage(housekeeper, owner, text)).body.data.id);
+    }
+
+    // Messages stored in the same instant are ordered by id
+    const sameInstant = (await repositories.messages.findById(ids[0])).created_at;
+    await Promise.all(ids.map(id => repositories.messages.update(id, { created_at: sameInstant })));
+    ids.sort();
+  });
+
+  it('walks back through messages sharing a timestamp without skipping any', async () => {
+    const newest = await conversationPage(owner, housekeeper, 'limit=2');
+    const older = await conversationPage(owner, housekeeper, `limit=2&before=${newest.body.pagination.nextCursor}`);
+
+    assert.deepEqual(newest.body.data.map(message => message.id), ids.slice(2));
+    assert.deepEqual(older.body.data.map(message => message.id), ids.slice(0, 2));
+    assert.equal(older.body.pagination.hasMore, false);
+  });
+
+  it('walks forward through messages sharing a timestamp without skipping any', async () => {
+    const newer = await conversationPage(owner, housekeeper, `limit=2&after=${ids[0]}`);
+
+    assert.deepEqual(newer.body.data.map(message => message.id), ids.slice(1, 3));
+    assert.equal(newer.body.pagination.nextCursor, ids[2]);
+  });
+});
+
+describe('timestamp cursors', () => {
+  beforeEach(resetState);
+
+  it('accepts any date the server can read and rejects the rest', async () => {
+    const housekeeper = await signup({ role: 'housekeeper' });
+    const owner = await signup({ role: 'owner' });
+    await sendMessage(housekeeper, owner, 'Hello');
+
+    const year2000 = encodeURIComponent('Sat, 01 Jan 2000 00:00:00 GMT');
+
+    const before = await conversationPage(owner, housekeeper, `before=${year2000}`);
+    const after = await conversationPage(owner, housekeeper, `after=${year2000}`);
+    const invalid = await conversationPage(owner, housekeeper, 'before=yesterday');
+
+    assert.deepEqual(before.body.data, []);
+    assert.deepEqual(after.body.data.map(message => message.message), ['Hello']);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.message, 'Invalid pagination cursor');
+  });
+});
+
+describe('marking a conversation read', () => {
+  let housekeeper;
+  let owner;
+  let ids;
+
+  beforeEach(async () => {
+    resetState();
+    housekeeper = await signup({ role: 'housekeeper' });
+    owner = await signup({ role: 'owner' });
+
+    ids = [];
+    for (const text of ['One', 'Two', 'Three']) {
+      ids.push((await sendMessage(housekeeper, owner, text)).body.data.id);
+    }
+  });
+
+  const markRead = (upToMessageId) => request(app)
+    .patch(`/api/messages/conversation/${housekeeper.id}/read`)
+    .set(auth(owner))
+    .send(upToMessageId ? { upToMessageId } : {});
+
+  it('stops at the given message among messages sharing its timestamp', async () => {
+    const sameInstant = (await repositories.messages.findById(ids[0])).created_at;
+    await Promise.all(ids.map(id => repositories.messages.update(id, { created_at: sameInstant })));
+    ids.sort();
+
+    const res = await markRead(ids[1]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.message_ids.sort(), ids.slice(0, 2));
+  });
+
+  it('leaves messages the receiver deleted for themselves unread', async () => {
+    const deleted = await request(app).delete(`/api/messages/${ids[0]}`).set(auth(owner)).send({});
+    assert.equal(deleted.status, 200);
+
+    const res = await markRead();
+
+    assert.deepEqual(res.body.data.message_ids.sort(), ids.slice(1).sort());
+    assert.equal((await repositories.messages.findById(ids[0])).read_at, null);
+  });
+});
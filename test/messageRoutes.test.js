@@ -0,0 +1,133 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+// helpers sets up the test environment, so it must be required before any app module
+const { app, request, resetState, signup, auth, sendMessage } = require('./helpers');
+const messagesRouter = require('../routes/messagesRoutes');
+
+/**
+ * Method and path of each route in the order Express tries them
+ * @param {Object} router - Express router
+ * @returns {Array<string>} e.g. ["GET /users/list", ...]
+ */
+const routeOrder = (router) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+
+describe('routes/messagesRoutes.js ordering', () => {
+  it('registers the GET /:userId catch-all after every other GET route', () => {
+    const getRoutes = routeOrder(messagesRouter).filter(route => route.startsWith('GET '));
+
+    assert.equal(getRoutes[getRoutes.length - 1], 'GET /:userId');
+  });
+
+  it('registers fixed GET paths before the parameterised ones', () => {
+    const routes = routeOrder(messagesRouter);
+    const position = (route) => {
+      const index = routes.indexOf(route);
+      assert.notEqual(index, -1, `${route} is not registered`);
+      return index;
+    };
+
+    for (const fixed of ['GET /users/list', 'GET /conversations', 'GET /search']) {
+      assert.ok(position(fixed) < position('GET /:messageId/history'), `${fixed} must come before /:messageId/history`);
+      assert.ok(position(fixed) < position('GET /:userId'), `${fixed} must come before /:userId`);
+    }
+  });
+});
+
+describe('message routes reach the right handlers', () => {
+  let owner;
+  let housekeeper;
+  let messageId;
+
+  beforeEach(async () => {
+    resetState();
+    owner = await signup({ role: 'owner' });
+    housekeeper = await signup({ role: 'housekeeper' });
+    messageId = (await sendMessage(housekeeper, owner, 'Is Tuesday good for cleaning?')).body.data.id;
+  });
+
+  it('GET /users/list returns profiles rather than an inbox', async () => {
+    const res = await request(app).get('/api/messages/users/list').set(auth(housekeeper));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].user_id, owner.id);
+    assert.equal(res.body.pagination, undefined);
+  });
+
+  it('GET /conversations returns conversation summaries', async () => {
+    const res = await request(app).get('/api/messages/conversations').set(auth(owner));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].counterpart.user_id, housekeeper.id);
+    assert.equal(res.body.data[0].unread_count, 1);
+  });
+
+  it('GET /search runs a search', async () => {
+    const res = await request(app).get('/api/messages/search?q=tuesday').set(auth(owner));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data[0].id, messageId);
+    assert.match(res.body.data[0].snippet, /<mark>Tuesday<\/mark>/);
+  });
+
+  it('GET /:messageId/history returns the edit history', async () => {
+    const res = await request(app).get(`/api/messages/${messageId}/history`).set(auth(owner));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.message.id, messageId);
+    assert.deepEqual(res.body.data.edits, []);
+  });
+
+  it('GET /conversation/:otherUserId returns the conversation', async () => {
+    const res = await request(app).get(`/api/messages/conversation/${housekeeper.id}`).set(auth(owner));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(message => message.id), [messageId]);
+  });
+
+  it('GET /attachments/:attachmentId looks up an attachment', async () => {
+    const res = await request(app)
+      .get('/api/messages/attachments/00000000-0000-4000-8000-000000000000')
+      .set(auth(owner));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Attachment not found');
+  });
+
+  it('GET /:userId returns the caller\'s inbox', async () => {
+    const res = await request(app).get(`/api/messages/${owner.id}`).set(auth(owner));
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map(message => message.id), [messageId]);
+    assert.ok(res.body.pagination);
+  });
+
+  it('GET /:userId refuses someone else\'s inbox', async () => {
+    const res = await request(app).get(`/api/messages/${owner.id}`).set(auth(housekeeper));
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, 'Unauthorized to view these messages');
+  });
+
+  it('DELETE /:messageId deletes a message rather than matching a user', async () => {
+    const res = await request(app).delete(`/api/messages/${messageId}`).set(auth(owner)).send({});
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Message deleted for you');
+  });
+
+  it('answers unknown paths with 404', async () => {
+    const res = await request(app).get('/api/messages/users/list/extra').set(auth(owner));
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+
+  it('requires authentication on every route', async () => {
+    for (const path of ['/users/list', '/conversations', '/search?q=x', `/${owner.id}`]) {
+      const res = await request(app).get(`/api/messages${path}`);
+      assert.equal(res.status, 401, path);
+    }
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, request, resetState, signup, auth, sendMessage } = require('./helpers');
+
+const listUsers = async (user) => {
+  const res = await request(app).get('/api/messages/users/list').set(auth(user));
+  assert.equal(res.status, 200);
+  return res.body.data.map(profile => profile.user_id).sort();
+};
+
+describe('sendMessage contact rules', () => {
+  let owner;
+  let otherOwner;
+  let housekeeper;
+  let otherHousekeeper;
+
+  beforeEach(async () => {
+    resetState();
+    owner = await signup({ role: 'owner' });
+    otherOwner = await signup({ role: 'owner' });
+    housekeeper = await signup({ role: 'housekeeper' });
+    otherHousekeeper = await signup({ role: 'housekeeper' });
+  });
+
+  it('lets owners message other owners', async () => {
+    const res = await sendMessage(owner, otherOwner);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.sender_id, owner.id);
+    assert.equal(res.body.data.receiver_id, otherOwner.id);
+  });
+
+  it('lets housekeepers message owners and other housekeepers', async () => {
+    assert.equal((await sendMessage(housekeeper, owner)).status, 201);
+    assert.equal((await sendMessage(housekeeper, otherHousekeeper)).status, 201);
+  });
+
+  it('stops owners from messaging a housekeeper first', async () => {
+    const res = await sendMessage(owner, housekeeper);
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, 'You can only message housekeepers who have messaged you first');
+  });
+
+  it('lets owners reply once the housekeeper has written', async () => {
+    await sendMessage(housekeeper, owner);
+
+    const res = await sendMessage(owner, housekeeper, 'Thanks!');
+
+    assert.equal(res.status, 201);
+  });
+
+  it('still allows replies after the housekeeper deleted their message', async () => {
+    const first = await sendMessage(housekeeper, owner);
+    await request(app)
+      .delete(`/api/messages/${first.body.data.id}`)
+      .set(auth(housekeeper))
+      .send({ deleteForEveryone: true });
+
+    assert.equal((await sendMessage(owner, housekeeper)).status, 201);
+  });
+
+  it('refuses messages to yourself, unknown users and invalid ids', async () => {
+    const self = await sendMessage(owner, owner);
+    assert.equal(self.status, 400);
+    assert.equal(self.body.message, 'Cannot send message to yourself');
+
+    const unknown = await sendMessage(owner, { id: '00000000-0000-4000-8000-000000000000' });
+    assert.equal(unknown.status, 404);
+
+    const invalid = await sendMessage(owner, { id: 'not-a-uuid' });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('refuses empty messages', async () => {
+    const res = await sendMessage(housekeeper, owner, '   ');
+
+    assert.equal(res.status, 400);
+  });
+
+  it('blocks messages in both directions once either side blocks', async () => {
+    await sendMessage(housekeeper, owner);
+    const block = await request(app).post(`/api/users/${housekeeper.id}/block`).set(auth(owner));
+    assert.equal(block.status, 200);
+
+    assert.equal((await sendMessage(owner, housekeeper)).status, 403);
+    assert.equal((await sendMessage(housekeeper, owner)).status, 403);
+  });
+});
+
+describe('getUsers contact list', () => {
+  let owner;
+  let otherOwner;
+  let housekeeper;
+  let otherHousekeeper;
+
+  beforeEach(async () => {
+    resetState();
+    owner = await signup({ role: 'owner', name: 'Olive' });
+    otherOwner = await signup({ role: 'owner', name: 'Oscar' });
+    housekeeper = await signup({ role: 'housekeeper', name: 'Hank' });
+    otherHousekeeper = await signup({ role: 'housekeeper', name: 'Hilda' });
+  });
+
+  it('shows housekeepers every owner and no housekeepers', async () => {
+    assert.deepEqual(await listUsers(housekeeper), [owner.id, otherOwner.id].sort());
+  });
+
+  it('shows owners the other owners but no housekeepers they have not talked to', async () => {
+    assert.deepEqual(await listUsers(owner), [otherOwner.id]);
+  });
+
+  it('adds a housekeeper to an owner\'s list after they exchange messages', async () => {
+    await sendMessage(housekeeper, owner);
+
+    assert.deepEqual(await listUsers(owner), [otherOwner.id, housekeeper.id].sort());
+    assert.deepEqual(await listUsers(otherOwner), [owner.id]);
+  });
+
+  it('returns the list ordered by name', async () => {
+    await sendMessage(otherHousekeeper, owner);
+    await sendMessage(housekeeper, owner);
+
+    const res = await request(app).get('/api/messages/users/list').set(auth(owner));
+
+    assert.deepEqual(res.body.data.map(profile => profile.name), ['Oscar', 'Hank', 'Hilda']);
+  });
+
+  it('hides users blocked in either direction', async () => {
+    await request(app).post(`/api/users/${otherOwner.id}/block`).set(auth(owner));
+
+    assert.deepEqual(await listUsers(owner), []);
+    assert.deepEqual(await listUsers(otherOwner), []);
+  });
+});
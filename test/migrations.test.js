@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, connect, getStatus, migrateUp, migrateDown, baseline } = require('../migrator');
+
+/**
+ * Write migration files into a new temporary directory
+ * @param {Object} files - File name -> SQL
+ * @returns {string} Directory path
+ */
+const writeMigrations = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  Object.entries(files).forEach(([name, sql]) => fs.writeFileSync(path.join(dir, name), sql));
+  return dir;
+};
+
+describe('config/migrations', () => {
+  it('numbers migrations from 0001 without gaps, each with a rollback', () => {
+    const migrations = loadMigrations();
+
+    migrations.forEach((migration, index) => {
+      assert.equal(migration.version, String(index + 1).padStart(4, '0'));
+      assert.ok(migration.down, `${migration.version}_${migration.name} has no .down.sql file`);
+    });
+  });
+});
+
+describe('migrator loadMigrations', () => {
+  it('pairs up and down files and sorts them by version', () => {
+    const dir = writeMigrations({
+      '0002_second.up.sql': 'SELECT 2;',
+      '0001_first.up.sql': 'SELECT 1;',
+      '0001_first.down.sql': 'SELECT -1;',
+      'README.md': 'ignored'
+    });
+
+    const migrations = loadMigrations(dir);
+
+    assert.deepEqual(migrations.map(m => [m.version, m.name, m.down]), [
+      ['0001', 'first', 'SELECT -1;'],
+      ['0002', 'second', undefined]
+    ]);
+  });
+
+  it('rejects a rollback without its migration', () => {
+    const dir = writeMigrations({ '0001_first.down.sql': 'SELECT 1;' });
+
+    assert.throws(() => loadMigrations(dir), /0001_first has no \.up\.sql file/);
+  });
+});
+
+// Needs a throwaway Postgres database: every table in it is dropped
+describe('migrator against Postgres', { skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL not set' }, () => {
+  let client;
+
+  before(async () => {
+    client = await connect(process.env.TEST_DATABASE_URL);
+    await client.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+  });
+
+  after(async () => {
+    await client.end();
+  });
+
+  it('applies every migration, then rolls them all back', async () => {
+    const migrations = loadMigrations();
+
+    const applied = await migrateUp(client);
+    assert.equal(applied.length, migrations.length);
+    assert.equal((await getStatus(client)).pending.length, 0);
+    assert.equal((await migrateUp(client)).length, 0);
+
+    await migrateDown(client, { steps: migrations.length });
+    const { rows } = await client.query(
+      "SELECT tablename FROM pg_tables WHERE schemaname = 'public' AND tablename <> 'schema_migrations'"
+    );
+    assert.deepEqual(rows, []);
+    assert.equal((await getStatus(client)).pending.length, migrations.length);
+  });
+
+  it('leaves nothing behind when a migration fails', async () => {
+    const dir = writeMigrations({
+      '0001_broken.up.sql': 'CREATE TABLE half_done (id INT); SELECT missing_function();'
+    });
+
+    await assert.rejects(
+      migrateUp(client, { migrations: loadMigrations(dir) }),
+      /0001_broken failed/
+    );
+
+    const { rows } = await client.query("SELECT to_regclass('half_done') AS table_name");
+    assert.equal(rows[0].table_name, null);
+    assert.equal((await getStatus(client, loadMigrations(dir))).pending.length, 1);
+  });
+
+  it('creates a signup\'s user and profile together or not at all', async () => {
+    await migrateUp(client);
+    const signup = (email, role) => client.query(
+      'SELECT create_user_with_profile($1, $2, $3, $4) AS account',
+      [email, 'password-hash', 'Olivia', role]
+    );
+
+    const { rows } = await signup('Olivia@Example.com', 'owner');
+    assert.equal(rows[0].account.user.email, 'olivia@example.com');
+    assert.equal(rows[0].account.profile.user_id, rows[0].account.user.id);
+
+    await assert.rejects(signup('olivia@example.com', 'owner'), { code: '23505' });
+    await assert.rejects(signup('hank@example.com', 'pilot'), { code: '23514' });
+
+    const users = await client.query("SELECT email FROM users WHERE email = 'hank@example.com'");
+    assert.equal(users.rows.length, 0);
+  });
+
+  it('baselines a hand-made database without running the migrations', async () => {
+    await client.query('DROP SCHEMA public CASCADE; CREATE SCHEMA public;');
+    await client.query('CREATE TABLE made_by_hand (id INT)');
+    const migrations = loadMigrations(writeMigrations({
+      '0001_first.up.sql': 'CREATE TABLE made_by_hand (id INT);',
+      '0002_second.up.sql': 'ALTER TABLE made_by_hand ADD COLUMN name TEXT;'
+    }));
+
+    await assert.rejects(baseline(client, { to: '0003', migrations }), /There is no migration 0003/);
+
+    const recorded = await baseline(client, { to: '0001', migrations });
+    assert.deepEqual(recorded.map(migration => migration.version), ['0001']);
+
+    const applied = await migrateUp(client, { migrations });
+    assert.deepEqual(applied.map(migration => migration.version), ['0002']);
+    assert.equal((await getStatus(client, migrations)).pending.length, 0);
+  });
+});
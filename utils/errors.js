@@ -0,0 +1,102 @@
+/**
+ * Application errors
+ * Throw these from controllers, middleware and services; the error handler
+ * (middleware/errorHandler.js) turns them into responses with the matching
+ * status and a stable `code` clients can branch on. Their messages are always
+ * safe to show to the client.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='INTERNAL_ERROR'] - Stable error code
+   * @param {Object} [options.details] - Extra fields added to the response body (e.g. { errors } or { data })
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', details) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Forbidden', details) {
+    super(message, { status: 403, code: 'FORBIDDEN', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', details) {
+    super(message, { status: 404, code: 'NOT_FOUND', details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', details) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {number} retryAfterSeconds - Sent as the Retry-After header
+   */
+  constructor(message = 'Too many requests, please try again later', retryAfterSeconds) {
+    super(message, { status: 429, code: 'RATE_LIMITED' });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const ERROR_CLASSES = {
+  400: ValidationError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError
+};
+
+const STATUS_CODES = {
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+/**
+ * Build the error for a status, e.g. from a service result { success: false, status, message }
+ * @param {number} status - HTTP status
+ * @param {string} message - Client-facing message
+ * @returns {AppError} Error of the matching class
+ */
+const createHttpError = (status, message) => {
+  const ErrorClass = ERROR_CLASSES[status];
+  if (ErrorClass) {
+    return new ErrorClass(message);
+  }
+  return new AppError(message, { status, code: STATUS_CODES[status] || 'ERROR' });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  createHttpError
+};
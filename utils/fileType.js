@@ -0,0 +1,116 @@
+/**
+ * File types accepted as attachments, detected from the file contents rather than
+ * the name or the client-supplied MIME type
+ */
+const FILE_TYPES = [
+  { mime: 'image/jpeg', extension: 'jpg', matches: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { mime: 'image/png', extension: 'png', matches: (buffer) => buffer.length > 8 && buffer.toString('hex', 0, 8) === '89504e470d0a1a0a' },
+  { mime: 'image/gif', extension: 'gif', matches: (buffer) => buffer.length > 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6)) },
+  { mime: 'image/webp', extension: 'webp', matches: (buffer) => buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+  { mime: 'application/pdf', extension: 'pdf', matches: (buffer) => buffer.length > 5 && buffer.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Detect a supported file type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} { mime, extension } or null if the type isn't supported
+ */
+const detectFileType = (buffer) => {
+  const type = FILE_TYPES.find(candidate => candidate.matches(buffer));
+  return type ? { mime: type.mime, extension: type.extension } : null;
+};
+
+/**
+ * Read the pixel size of a JPEG by walking its segments to the first start-of-frame marker
+ * @param {Buffer} buffer - JPEG contents
+ * @returns {Object|null} { width, height }
+ */
+const getJpegDimensions = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+};
+
+/**
+ * Read the pixel size of a WebP image (lossy, lossless or extended)
+ * @param {Buffer} buffer - WebP contents
+ * @returns {Object|null} { width, height }
+ */
+const getWebpDimensions = (buffer) => {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff
+    };
+  }
+
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1
+    };
+  }
+
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Read the pixel size of an image without decoding it
+ * @param {Buffer} buffer - File contents
+ * @param {string} mime - Detected MIME type
+ * @returns {Object|null} { width, height }, or null for documents and unreadable images
+ */
+const getImageDimensions = (buffer, mime) => {
+  try {
+    switch (mime) {
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/jpeg':
+        return getJpegDimensions(buffer);
+      case 'image/webp':
+        return getWebpDimensions(buffer);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated or malformed header
+    return null;
+  }
+};
+
+module.exports = {
+  FILE_TYPES,
+  detectFileType,
+  getImageDimensions
+};
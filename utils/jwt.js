@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
 if (!JWT_SECRET) {
   throw new Error('Missing JWT_SECRET environment variable');
@@ -13,6 +14,7 @@ if (!JWT_SECRET) {
  * @param {string} payload.userId - User ID
  * @param {string} payload.email - User email
  * @param {string} payload.role - User role
+ * @param {string} payload.sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
 const generateToken = (payload) => {
@@ -20,11 +22,12 @@ const generateToken = (payload) => {
     {
       userId: payload.userId,
       email: payload.email,
-      role: payload.role
+      role: payload.role,
+      sessionId: payload.sessionId
     },
     JWT_SECRET,
     {
-      expiresIn: '7d' // Token expires in 7 days
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN // Short-lived, renewed with a refresh token
     }
   );
 };
@@ -0,0 +1,88 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Parse cursor pagination query parameters
+ * Cursors may be a message ID or a created_at timestamp
+ * @param {Object} query - Request query object
+ * @param {string} [query.before] - Return items older than this cursor
+ * @param {string} [query.after] - Return items newer than this cursor
+ * @param {string} [query.limit] - Page size (1-100, default 50)
+ * @returns {Object} { isValid: boolean, message?: string, limit, before, after }
+ */
+const parseCursorQuery = (query = {}) => {
+  const { before, after } = query;
+
+  if (before && after) {
+    return {
+      isValid: false,
+      message: 'Use either before or after, not both'
+    };
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return {
+        isValid: false,
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      };
+    }
+  }
+
+  return {
+    isValid: true,
+    limit,
+    before: before || null,
+    after: after || null
+  };
+};
+
+/**
+ * Parse page-number pagination query parameters
+ * Used for sorted result lists (e.g. search) where a cursor doesn't fit
+ * @param {Object} query - Request query object
+ * @param {string} [query.page] - Page number, starting at 1
+ * @param {string} [query.limit] - Page size (1-100, default 20)
+ * @returns {Object} { isValid: boolean, message?: string, page, limit, offset }
+ */
+const parsePageQuery = (query = {}) => {
+  let page = 1;
+  if (query.page !== undefined) {
+    page = Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      return {
+        isValid: false,
+        message: 'page must be a positive integer'
+      };
+    }
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return {
+        isValid: false,
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}`
+      };
+    }
+  }
+
+  return {
+    isValid: true,
+    page,
+    limit,
+    offset: (page - 1) * limit
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  DEFAULT_PAGE_SIZE,
+  MAX_LIMIT,
+  parseCursorQuery,
+  parsePageQuery
+};
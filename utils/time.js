@@ -0,0 +1,162 @@
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Validate an IANA timezone name (e.g. "Europe/London")
+ * @param {string} timeZone - Timezone to validate
+ * @returns {boolean} True if the runtime knows the timezone
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse a "HH:MM" (or "HH:MM:SS") wall-clock time
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+const parseTimeOfDay = (value) => {
+  const match = typeof value === 'string' && /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/.exec(value);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} timestamp - Instant in ms
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC instant
+ * @param {Object} date - { year, month (1-12), day }
+ * @param {number} minutes - Minutes since local midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Instant in ms
+ */
+const zonedTimeToUtc = ({ year, month, day }, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+
+  // Re-check the offset at the result to handle DST changes between the guess and the answer
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  return wallClock - getTimeZoneOffset(firstGuess, timeZone);
+};
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {number} timestamp - Instant in ms
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month (1-12), day }
+ */
+const getZonedDate = (timestamp, timeZone) => {
+  const local = new Date(timestamp + getTimeZoneOffset(timestamp, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate()
+  };
+};
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array<Object>} intervals - [{ start, end }] in ms
+ * @returns {Array<Object>} Sorted, non-overlapping intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Remove blocked intervals from a set of intervals
+ * @param {Array<Object>} intervals - [{ start, end }] in ms
+ * @param {Array<Object>} blocked - [{ start, end }] in ms
+ * @returns {Array<Object>} What is left of the intervals
+ */
+const subtractIntervals = (intervals, blocked) => {
+  const blocks = mergeIntervals(blocked);
+  const result = [];
+
+  mergeIntervals(intervals).forEach(interval => {
+    let start = interval.start;
+
+    for (const block of blocks) {
+      if (block.end <= start || block.start >= interval.end) {
+        continue;
+      }
+      if (block.start > start) {
+        result.push({ start, end: block.start });
+      }
+      start = Math.max(start, block.end);
+      if (start >= interval.end) {
+        break;
+      }
+    }
+
+    if (start < interval.end) {
+      result.push({ start, end: interval.end });
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Check whether two intervals overlap (touching ends don't count)
+ * @param {Object} a - { start, end }
+ * @param {Object} b - { start, end }
+ * @returns {boolean} True if they overlap
+ */
+const intervalsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+module.exports = {
+  MINUTE_MS,
+  DAY_MS,
+  isValidTimeZone,
+  parseTimeOfDay,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  getZonedDate,
+  mergeIntervals,
+  subtractIntervals,
+  intervalsOverlap
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Generate an opaque random token (refresh tokens, one-time links)
+ * @param {number} [bytes=48] - Number of random bytes
+ * @returns {string} URL-safe token
+ */
+const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash a token for storage so a database leak doesn't expose usable tokens
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
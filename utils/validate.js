@@ -1,3 +1,6 @@
+const { ALL_ROLES, SIGNUP_ROLES } = require('../config/roles');
+const { isValidTimeZone } = require('./time');
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -23,7 +26,16 @@ const isValidPassword = (password) => {
  * @returns {boolean} True if valid role
  */
 const isValidRole = (role) => {
-  return role === 'owner' || role === 'housekeeper';
+  return ALL_ROLES.includes(role);
+};
+
+/**
+ * Validate a role chosen at signup (admin can't be self-assigned)
+ * @param {string} role - Role to validate
+ * @returns {boolean} True if the role can be chosen at signup
+ */
+const isSignupRole = (role) => {
+  return SIGNUP_ROLES.includes(role);
 };
 
 /**
@@ -34,20 +46,136 @@ const isValidRole = (role) => {
  */
 const validateRequiredFields = (data, fields) => {
   for (const field of fields) {
-    if (!data[field] || data[field].trim() === '') {
+    const value = data ? data[field] : undefined;
+
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
       return {
         isValid: false,
         message: `${field} is required`
       };
     }
+
+    if (typeof value !== 'string') {
+      return {
+        isValid: false,
+        message: `${field} must be a string`
+      };
+    }
   }
   return { isValid: true };
 };
 
+/**
+ * Validate an absolute http(s) URL
+ * @param {string} value - Value to validate
+ * @returns {boolean} True if value is an http or https URL
+ */
+const isValidHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate UUID format
+ * @param {string} value - Value to validate
+ * @returns {boolean} True if value is a UUID
+ */
+const isValidUUID = (value) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return typeof value === 'string' && uuidRegex.test(value);
+};
+
+// Type checks for validateSchema; each returns an error message or null
+const TYPE_CHECKS = {
+  string: (value, name) => (typeof value === 'string' ? null : `${name} must be a string`),
+  email: (value, name) => (typeof value === 'string' && isValidEmail(value) ? null : `${name} must be a valid email address`),
+  uuid: (value, name) => (isValidUUID(value) ? null : `${name} must be a valid id`),
+  boolean: (value, name) => (typeof value === 'boolean' ? null : `${name} must be true or false`),
+  integer: (value, name) => (Number.isInteger(value) ? null : `${name} must be an integer`),
+  date: (value, name) => (typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : `${name} must be a valid date`),
+  url: (value, name) => (typeof value === 'string' && isValidHttpUrl(value) ? null : `${name} must be an http or https URL`),
+  timezone: (value, name) => (isValidTimeZone(value) ? null : `${name} must be a valid IANA timezone, e.g. Europe/London`)
+};
+
+/**
+ * Check one field against its rule
+ * @param {*} value - Field value
+ * @param {string} name - Field name (used in messages)
+ * @param {Object} rule - Field rule (see validateSchema)
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+const checkField = (value, name, rule) => {
+  const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+  if (isEmpty) {
+    if (rule.required) {
+      return rule.message || `${name} is required`;
+    }
+    return rule.nonEmpty && value !== undefined ? rule.message || `${name} can't be empty` : null;
+  }
+
+  const typeError = TYPE_CHECKS[rule.type || 'string'](value, name);
+  if (typeError) {
+    return rule.message || typeError;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return rule.message || `${name} must be one of: ${rule.values.join(', ')}`;
+  }
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return rule.message || `${name} must be at least ${rule.minLength} characters long`;
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return rule.message || `${name} can't be longer than ${rule.maxLength} characters`;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.message || `${name} is not in a valid format`;
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return rule.message || `${name} must be at least ${rule.min}`;
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    return rule.message || `${name} must be at most ${rule.max}`;
+  }
+
+  return null;
+};
+
+/**
+ * Validate an object against a field schema, collecting every failure
+ * @param {Object} data - Object to validate (missing is treated as empty)
+ * @param {Object} fields - { [field]: rule } where rule is
+ *   { type?: 'string' | 'email' | 'uuid' | 'boolean' | 'integer' | 'date' | 'url' | 'timezone' (default 'string'),
+ *     required?, nonEmpty? (may be left out but not sent empty or null), values?: [], minLength?, maxLength?,
+ *     pattern?: RegExp, min?, max?, message? (replaces every default message) }
+ * @returns {Array<Object>} Errors as { field, message }, empty if valid
+ */
+const validateSchema = (data, fields) => {
+  const source = data || {};
+
+  return Object.entries(fields).reduce((errors, [field, rule]) => {
+    const message = checkField(source[field], field, rule);
+    return message ? [...errors, { field, message }] : errors;
+  }, []);
+};
+
 module.exports = {
   isValidEmail,
   isValidPassword,
   isValidRole,
-  validateRequiredFields
+  isSignupRole,
+  isValidUUID,
+  isValidHttpUrl,
+  validateRequiredFields,
+  validateSchema
 };
 